@@ -107,16 +107,30 @@ define("browser/js/Hotpot", ["common/js/Utils", "common/js/Time", "common/js/Tim
 				$div.find(".th-lkg").show().text(Time.formatDelta(deltat));
 			}
 			$div.find(".th-target").text(ttgt);
+			for (let setting of [ "hysteresis", "overheat_margin" ]) {
+				let $input = $div.find(".th-" + setting);
+				// Don't overwrite while the user is editing
+				let v = obj.thermostat[service][setting];
+				if (!$input.is(":focus"))
+					$input.val(typeof v === "undefined" ? "" : v);
+			}
 			let ptext = (obj.pin[service].state === 0) ? "OFF" : "ON";
 			$div.find(".pin-state").text(ptext);
-			$div.find(".pin-reason").text(obj.pin[service].reason);
+			let reason = obj.pin[service].reason;
+			let deferred = obj.pin[service].deferred;
+			if (deferred && deferred.until > obj.time)
+				// Waiting for minimum on/off time
+				reason += ` (${deferred.state === 0 ? "OFF" : "ON"} at ${new Date(deferred.until).toLocaleTimeString()})`;
+			$div.find(".pin-reason").text(reason);
 
 			let $requests = $div.find(".requests");
 			$requests.empty();
 			for (let req of obj.thermostat[service].requests) {
 				let $div = $("<div></div>").addClass("request");
-				let u = (!req.until || req.until === Utils.BOOST)
-					? "boosted" : new Date(req.until);
+				// Requests with no until (e.g. from rules) last until
+				// they are cleared
+				let u = (req.until === Utils.BOOST) ? "boosted"
+					: !req.until ? "cleared" : new Date(req.until);
 				$div.append("<span>" + req.source + " is requesting " +
 							req.target + " </span>°C until " + u + " ");
 				let $butt = $("<button>Clear</button>")
@@ -134,6 +148,22 @@ define("browser/js/Hotpot", ["common/js/Utils", "common/js/Time", "common/js/Tim
 				$requests.append($div);
 			}
 
+			// Prediction made by an optimum start rule
+			let $pred = $div.find(".prediction");
+			$pred.hide();
+			for (let name in obj.rule) {
+				let p = obj.rule[name].prediction;
+				if (p && obj.rule[name].service === service) {
+					$pred.find(".pred-start").text(
+						new Date(p.start).toLocaleTimeString());
+					$pred.find(".pred-target").text(
+						Math.round(10 * p.target) / 10);
+					$pred.find(".pred-at").text(
+						new Date(p.at).toLocaleTimeString());
+					$pred.show();
+				}
+			}
+
 			let $caldiv = $div.find(".calendar");
 			$caldiv.hide();
 			for (let name in obj.calendar) {
@@ -161,6 +191,43 @@ define("browser/js/Hotpot", ["common/js/Utils", "common/js/Time", "common/js/Tim
 			$("#systemTime").text(new Date(data.time).toLocaleString())
 			this.updateService("CH", data);
 			this.updateService("HW", data);
+			this.updateAway(data.away);
+		}
+
+		/**
+		 * Update the away mode display
+		 * @param {object} away away state from /ajax/state
+		 */
+		updateAway(away) {
+			let $status = $("#away .away-status");
+			if (!away || typeof away.until === "undefined"
+				|| away.until <= Date.now()) {
+				$status.text("Home");
+				$("#away .away-clear").hide();
+				return;
+			}
+			let text = away.active ? "Away" : "Going away";
+			text += ` from ${new Date(away.from).toLocaleString()} until ${new Date(away.until).toLocaleString()}`;
+			if (away.preheating)
+				text += ", warming up";
+			if (away.source)
+				text += ` (${away.source})`;
+			$status.text(text);
+			$("#away .away-clear").show();
+		}
+
+		/**
+		 * User sets or clears away mode. Send it to the server.
+		 * @param {object} params parameters for /ajax/away
+		 */
+		sendAway(params) {
+			$.post("/ajax/away", JSON.stringify(params))
+			.fail((jqXHR, textStatus, err) => {
+				this.log(`Could not contact server: ${textStatus} ${err}`);
+			})
+			.always(() => {
+				$(document).trigger("poll");
+			});
 		}
 
 		/**
@@ -385,8 +452,142 @@ define("browser/js/Hotpot", ["common/js/Utils", "common/js/Time", "common/js/Tim
 			});
 		}
 
+		/**
+		 * User changes a thermostat setting. Send it to the server.
+		 * @param {string} service name of the thermostat
+		 * @param {string} setting name of the setting e.g. "hysteresis"
+		 * @param {string} value new value
+		 */
+		sendSetting(service, setting, value) {
+			let v = Number.parseFloat(value);
+			if (isNaN(v))
+				return;
+			$.post(`/ajax/setconfig/thermostat/${service}/${setting}`,
+				   JSON.stringify(v))
+			.fail((jqXHR, textStatus, err) => {
+				this.log(`Could not contact server: ${textStatus} ${err}`);
+			})
+			.always(() => {
+				$(document).trigger("poll");
+			});
+		}
+
+		/**
+		 * Load the script rules from the server, and fill the list
+		 * of scripts
+		 * @param {string} select name of the script to select
+		 */
+		loadScripts(select) {
+			$.getJSON("/ajax/getconfig/rule")
+			.done(rules => {
+				this.scripts = {};
+				let $select = $("#scripts .script-select");
+				$select.find("option").not("[value='']").remove();
+				for (let name in rules) {
+					if (rules[name].$instance_of !== "server/js/ScriptRule")
+						continue;
+					this.scripts[name] = rules[name];
+					$select.append($("<option></option>")
+								   .attr("value", name).text(name));
+				}
+				$select.val(this.scripts[select] ? select : "");
+				this.showScript($select.val());
+			})
+			.fail((jqXHR, textStatus, err) => {
+				this.log(`Could not contact server: ${textStatus} ${err}`);
+			});
+		}
+
+		/**
+		 * Show a script in the editor
+		 * @param {string} name name of the script, "" for a new one
+		 */
+		showScript(name) {
+			let script = this.scripts[name] || {};
+			$("#scripts .script-name").val(name).prop("disabled", name !== "");
+			$("#scripts .script-priority").val(script.priority || 0);
+			$("#scripts .script-text").val(script.script || "");
+			$("#scripts .script-result").text("");
+		}
+
+		/**
+		 * Send a script to the server. The server checks it before it
+		 * is activated, and the result is shown under the editor.
+		 * @param {boolean} remove true to delete the script
+		 */
+		saveScript(remove) {
+			let name = $("#scripts .script-name").val().trim();
+			if (name === "") {
+				$("#scripts .script-result").text("The script needs a name");
+				return;
+			}
+			let params = {
+				script: remove ? "" : $("#scripts .script-text").val(),
+				priority: $("#scripts .script-priority").val()
+			};
+			$.post(`/ajax/script/${encodeURIComponent(name)}`,
+				   JSON.stringify(params))
+			.done(res => {
+				let decisions = (res.decisions || []).map(
+					d => `${d.pin} ${d.state === 1 ? "ON" : "OFF"} (${d.reason})`);
+				$("#scripts .script-result").text(
+					remove ? "Deleted" : `Saved. ${decisions.length > 0
+					? "Now it would set " + decisions.join(", ")
+					: "Now it would do nothing"}`);
+				this.loadScripts(remove ? "" : name);
+			})
+			.fail(jqXHR => {
+				$("#scripts .script-result").text(jqXHR.responseText);
+			});
+		}
+
+		/**
+		 * Load the energy report from the server, and chart the hours
+		 * the boiler was on in each period
+		 */
+		loadEnergy() {
+			let period = $("#energy .energy-period").val();
+			$.getJSON("/ajax/energy", { period: period, count: 7 })
+			.done(report => {
+				let $chart = $("#energy .energy-chart").empty();
+				let most = Math.max(1, ...report.periods.map(p => p.hours));
+				for (let p of report.periods.reverse()) {
+					let start = new Date(p.start);
+					let label = period === "month"
+						? start.toLocaleDateString(undefined, { month: "short", year: "numeric" })
+						: start.toLocaleDateString();
+					let pins = Object.keys(p.pins).map(
+						name => `${name} ${p.pins[name]}h`).join(", ");
+					let text = ` ${p.hours}h (${pins}) ${p.kWh}kWh ${report.currency}${p.cost.toFixed(2)}`;
+					if (typeof p.degree_days === "number")
+						text += ` ${p.degree_days} degree-days${p.efficiency === null ? "" : `, ${p.efficiency}h per degree-day`}`;
+					$chart.append($("<div class='energy-row'></div>")
+								  .append($("<span class='energy-label'></span>")
+										  .text(label))
+								  .append($("<span class='energy-bar'></span>")
+										  .css("width", `${20 * p.hours / most}em`))
+								  .append($("<span></span>").text(text)));
+				}
+				let result = `At ${report.rating}kW and ${report.currency}${report.price} per kWh.`;
+				if (report.trend > 0)
+					result += ` Hours per degree-day (base ${report.base}°C) are rising by ${report.trend} each ${period}.`;
+				else if (report.trend < 0)
+					result += ` Hours per degree-day (base ${report.base}°C) are falling by ${-report.trend} each ${period}.`;
+				$("#energy .energy-result").text(result);
+			})
+			.fail(jqXHR => {
+				$("#energy .energy-chart").empty();
+				$("#energy .energy-result").text(jqXHR.responseText);
+			});
+		}
+
 		configureService(service) {
 			let $div = $("#" + service);
+			for (let setting of [ "hysteresis", "overheat_margin" ]) {
+				let $input = $div.find(".th-" + setting);
+				$input.on("change", () => this.sendSetting(
+					service, setting, $input.val()));
+			}
 			$div.find(".boost")
 			.on("click",
 				{
@@ -422,6 +623,22 @@ define("browser/js/Hotpot", ["common/js/Utils", "common/js/Time", "common/js/Tim
 			$("#refresh_calendars")
 			.on("click", () => this.refreshCalendars());
 
+			$("#away .away-set").on("click", () => {
+				let from = $("#away .away-from").val();
+				let until = $("#away .away-until").val();
+				if (!until) {
+					this.log("When will you be back?");
+					return;
+				}
+				this.sendAway({
+					from: from ? new Date(from).getTime() : Date.now(),
+					until: new Date(until).getTime()
+				});
+			});
+
+			$("#away .away-clear")
+			.on("click", () => this.sendAway({ until: "clear" }));
+
 			$("#open-twisty").on("click", () => {
 				$("#help-twisty").show();
 				$(this).hide();
@@ -432,11 +649,21 @@ define("browser/js/Hotpot", ["common/js/Utils", "common/js/Time", "common/js/Tim
 				$("#open-twisty").show();
 			});
 
-			$(".switcher").on("click", () => {
+			$(".switcher").on("click", e => {
 				$(".display").hide();
-				$("#" + $(this).data("to")).show();
+				$("#" + $(e.currentTarget).data("to")).show();
 			});
 
+			this.scripts = {};
+			this.loadScripts("");
+			$("#scripts .script-select")
+			.on("change", e => this.showScript($(e.currentTarget).val()));
+			$("#scripts .script-save").on("click", () => this.saveScript(false));
+			$("#scripts .script-delete").on("click", () => this.saveScript(true));
+
+			$(".switcher[data-to='energy']").on("click", () => this.loadEnergy());
+			$("#energy .energy-period").on("change", () => this.loadEnergy());
+
 			$(document).on("poll", () => this.poll());
 
 			this.poll();
@@ -365,7 +365,7 @@ define("common/js/DataModel", ["common/js/Utils"], function(Utils) {
 					// Building a type defined in the data. When we serialise,
 					// it will record the type loaded, not the type in the
 					// original data
-					return new Promise(resolve => {
+					return new Promise((resolve, reject) => {
 						requirejs([rebuilt.$instance_of], module => {
 							let promise;
 							if (typeof module.Model !== "undefined")
@@ -380,8 +380,9 @@ define("common/js/DataModel", ["common/js/Utils"], function(Utils) {
 								// Hack in where it came from
 								sub.$instantiated_from = rebuilt.$instance_of;
 								resolve(sub);
-							});
-						});
+							})
+							.catch(reject);
+						}, reject);
 					});
 				}
 
@@ -457,8 +458,8 @@ define("common/js/DataModel", ["common/js/Utils"], function(Utils) {
 				for (let key in data) {
 					promises.push(
 						DataModel.getSerialisable(
-							data[index], model.$map_of,
-							context.concat(index))
+							data[key], model.$map_of,
+							context.concat(key))
 						.then(ser => { return { key: key, serialised: ser }; }));
 				}
 				return Promise.all(promises).then(s => {
@@ -478,9 +479,14 @@ define("common/js/DataModel", ["common/js/Utils"], function(Utils) {
 			}
 
 			let promises = [];
-			if (model.$instantiable)
+			if (model.$instantiable) {
 				promises.push(Promise.resolve({
 					key: "$instance_of", serialised: data.$instantiated_from}));
+				// The fields are described by the model of the class that
+				// was instantiated, not by the model of the container
+				if (typeof data.constructor.Model === "object")
+					model = data.constructor.Model;
+			}
 			// Only serialise fields described in the model. All other fields
 			// in the object (except $instance_of) are ignored.
 			for (let key in model) {
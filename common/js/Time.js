@@ -4,7 +4,7 @@
 
 const ONE_DAY = 24 * 60 * 60 * 1000; // one day in ms
 
-define("common/js/Time", () => {
+define("common/js/Time", ["common/js/Utils"], Utils => {
 
 	/**
 	 * Functions for handling times within the current 24 hour period.
@@ -17,7 +17,7 @@ define("common/js/Time", () => {
 		 * @return {number} midnight as number of ms since epoch
 		 */
 		static midnight() {
-			let d = new Date();
+			let d = new Date(Utils.now());
 			d.setHours(0, 0, 0, 0);
 			return d.getTime();
 		}
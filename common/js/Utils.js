@@ -61,6 +61,7 @@ define("common/js/Utils", () => {
 
 	var TIMERS = {};
 	var TIMER_ID = 1;
+	var CLOCK;
 
 	class Utils {
 
@@ -227,6 +228,17 @@ define("common/js/Utils", () => {
 			}
 		}
 
+		/**
+		 * Produce a tagged error message. The first parameter is
+		 * interpreted as a tag. Unlike TRACE, it is always written.
+		 */
+		static ERROR() {
+			var args = [].slice.call(arguments);
+			let module = args.shift();
+			args.unshift(new Date().toISOString(), " ", module, " ERROR: ");
+			Utils.writeTrace(Utils.joinArgs(args));
+		}
+
 		/**
 		 * Set where to write trace output to. Requires fs, so not available
 		 * on browsers.
@@ -256,6 +268,24 @@ define("common/js/Utils", () => {
 			return compiled;
 		}
 
+		/**
+		 * Get the current time. Use this rather than Date.now() so that
+		 * a simulation can supply its own clock (see setClock)
+		 * @return {number} epoch ms
+		 */
+		static now() {
+			return CLOCK ? CLOCK() : Date.now();
+		}
+
+		/**
+		 * Set the clock used by Utils.now()
+		 * @param {function} clock function returning epoch ms, or
+		 * undefined to go back to the real clock
+		 */
+		static setClock(clock) {
+			CLOCK = clock;
+		}
+
 		/**
 		 * Like setTimeout, but run at a given date rather than after
 		 * a delta. date can be a Date object or a time in ms
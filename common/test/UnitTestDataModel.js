@@ -217,7 +217,7 @@ requirejs(["test/TestRunner", "common/js/DataModel", "common/js/Utils"], functio
 	});
 
 	tr.addTest("serialise toady", () => {
-		DataModel.remodel("", toadyData, toadyModel)
+		return DataModel.remodel("", toadyData, toadyModel)
 		.then(data => DataModel.getSerialisable(data, toadyModel))
 		.then(function(s) {
 			assert.equal(Utils.dump(s), Utils.dump(toadySerial));
@@ -0,0 +1,197 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+define("server/js/Audit", ["fs", "common/js/Utils", "common/js/DataModel"], function(fs, Utils, DataModel) {
+
+	const TAG = "Audit";
+
+	const Fs = fs.promises;
+
+	const HOUR = 60 * 60 * 1000;
+
+	// How often old records are trimmed from the file
+	const TRIM_EVERY = HOUR;
+
+	/**
+	 * Audit trail of the decisions made by rules. Each record explains
+	 * why a rule changed, or decided not to change, the state of a pin:
+	 * ```
+	 * {
+	 *   time: epoch ms,
+	 *   rule: name of the rule,
+	 *   pin: name of the pin,
+	 *   state: state of the pin when the decision was made,
+	 *   decision: state the rule asked for, undefined if it declined to change
+	 *   changed: true if the decision changed the pin state
+	 *   reason: short description e.g. "Too cold",
+	 *   inputs: { the values the decision was based on }
+	 * }
+	 * ```
+	 * Rules are evaluated every few seconds, so to keep the trail readable
+	 * a decision that doesn't change the pin is only recorded when it is
+	 * different to the last decision recorded by the same rule for that pin.
+	 *
+	 * Records are appended to a file, one JSON object per line. Records
+	 * older than `keep` are trimmed from the file when a record is
+	 * appended, at most once an hour, so the file (and the time taken
+	 * to query it) doesn't grow forever.
+	 * @param {object} proto see Audit.Model
+	 * @param {string} name identifier
+	 * @class
+	 */
+	class Audit {
+
+		constructor(proto, name) {
+			Utils.extend(this, proto);
+
+			this.name = name;
+
+			// Map from rule/pin to the last decision recorded
+			this.last = {};
+
+			// File operations, one at a time so a trim can't lose a
+			// record being appended
+			this.queue = Promise.resolve();
+
+			// When the file was last trimmed, undefined if it hasn't been
+			this.trimmed = undefined;
+		}
+
+		/**
+		 * Get the expanded file name
+		 */
+		path() {
+			return Utils.expandEnvVars(this.file);
+		}
+
+		/**
+		 * Promise to record a decision in the trail.
+		 * @param {object} record the decision (see above). `time` will be
+		 * added if it is not given.
+		 * @return {Promise} resolving to true if the record was written
+		 */
+		record(record) {
+			let key = `${record.rule}/${record.pin}`;
+			let signature = `${record.decision}/${record.reason}`;
+			if (!record.changed && this.last[key] === signature)
+				return Promise.resolve(false);
+			this.last[key] = signature;
+
+			if (typeof record.time === "undefined")
+				record.time = Utils.now();
+
+			let promise = this.queue
+			.then(() => Fs.appendFile(
+				this.path(), `${JSON.stringify(record)}\n`))
+			.then(() => {
+				let now = Utils.now();
+				if (typeof this.trimmed === "undefined"
+					|| now - this.trimmed >= TRIM_EVERY) {
+					this.trimmed = now;
+					return this._trim(now - this.keep);
+				}
+				return undefined;
+			})
+			.then(() => true)
+			.catch(ferr => {
+				Utils.TRACE(TAG, `failed to append to '${this.path()}': `, ferr);
+				return false;
+			});
+			this.queue = promise;
+			return promise;
+		}
+
+		/**
+		 * Promise to remove records older than the given time from the
+		 * file. The trimmed trail is written to a new file that replaces
+		 * the old one, so the trail is never left half written.
+		 * @param {number} before epoch ms
+		 * @return {Promise} resolves when the file has been trimmed
+		 * @private
+		 */
+		_trim(before) {
+			let path = this.path();
+			return Fs.readFile(path)
+			.then(data => {
+				let lines = data.toString().split("\n")
+					.filter(line => line.length > 0);
+				let kept = lines.filter(line => {
+					try {
+						return JSON.parse(line).time >= before;
+					} catch (e) {
+						return false;
+					}
+				});
+				if (kept.length === lines.length)
+					return undefined;
+				Utils.TRACE(TAG, `Trimming ${lines.length - kept.length} records`);
+				let temp = `${path}.tmp`;
+				return Fs.writeFile(
+					temp, kept.map(line => `${line}\n`).join(""))
+				.then(() => Fs.rename(temp, path));
+			});
+		}
+
+		/**
+		 * Promise to get records from the trail
+		 * @param {object} filter optional fields used to select records:
+		 * * since: earliest time of interest (epoch ms)
+		 * * until: latest time of interest (epoch ms)
+		 * * pin: name of the pin
+		 * * rule: name of the rule
+		 * @return {Promise} resolving to an array of records, oldest first
+		 */
+		query(filter) {
+			filter = filter || {};
+			let since = parseFloat(filter.since);
+			let until = parseFloat(filter.until);
+
+			return Fs.readFile(this.path())
+			.then(data => {
+				let records = [];
+				for (let line of data.toString().split("\n")) {
+					if (line.length === 0)
+						continue;
+					let record;
+					try {
+						record = JSON.parse(line);
+					} catch (e) {
+						Utils.TRACE(TAG, `Bad record '${line}' ignored`);
+						continue;
+					}
+					if (record.time < since || record.time > until)
+						continue;
+					if (typeof filter.pin !== "undefined"
+						&& record.pin !== filter.pin)
+						continue;
+					if (typeof filter.rule !== "undefined"
+						&& record.rule !== filter.rule)
+						continue;
+					records.push(record);
+				}
+				return records;
+			})
+			.catch(e => {
+				Utils.TRACE(TAG, "Failed to read audit trail ", e);
+				return [];
+			});
+		}
+	}
+
+	Audit.Model = {
+		$class: Audit,
+		file: {
+			$doc: "Full path to the audit trail file",
+			$class: DataModel.File,
+			$mode: "w"
+		},
+		keep: {
+			$doc: "How long (ms) to keep records for",
+			$class: Number,
+			$default: 30 * 24 * HOUR
+		}
+	};
+
+	return Audit;
+});
@@ -0,0 +1,167 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+define("server/js/Away", ["common/js/Utils"], function(Utils) {
+
+	const TAG = "Away";
+
+	/**
+	 * Away (holiday) mode. While away, thermostats target a `setback`
+	 * temperature instead of their timelines, and the thermostats listed
+	 * in `suspend` (usually "HW") target 0, so their services are
+	 * switched off. Rules that force services on (frost and legionella
+	 * protection) still override this. The timelines themselves are not
+	 * changed.
+	 *
+	 * For the `preheat` period before the return, every thermostat targets
+	 * the temperature its timeline gives for the time of return, so the
+	 * house is warm when we get back.
+	 *
+	 * Requests (e.g. boosts) still take precedence over away mode.
+	 * @param {object} proto see Away.Model
+	 * @param {string} name identifier
+	 * @class
+	 */
+	class Away {
+
+		constructor(proto, name) {
+			Utils.extend(this, proto);
+			this.name = name;
+		}
+
+		/**
+		 * Parse a time given as epoch ms, or as a date string
+		 * @param {number|string} t the time
+		 * @return {number} epoch ms
+		 */
+		static parseTime(t) {
+			if (typeof t === "number")
+				return t;
+			let ms = /^\d+$/.test(t) ? Number.parseInt(t) : Date.parse(t);
+			if (isNaN(ms))
+				throw Utils.exception(TAG, `Cannot understand time '${t}'`);
+			return ms;
+		}
+
+		/**
+		 * Set the away period
+		 * @param {number} from start of the period, epoch ms
+		 * @param {number} until end of the period (the return), epoch ms
+		 * @param {string} source optional source e.g. a calendar event id
+		 */
+		set(from, until, source) {
+			if (!(until > from))
+				throw Utils.exception(TAG, "Away must end after it starts");
+			Utils.TRACE(TAG, `Away from ${new Date(from)} until ${new Date(until)}`);
+			this.from = from;
+			this.until = until;
+			if (typeof source === "undefined")
+				delete this.source;
+			else
+				this.source = source;
+		}
+
+		/**
+		 * Cancel away mode
+		 */
+		clear() {
+			Utils.TRACE(TAG, "Cleared");
+			delete this.from;
+			delete this.until;
+			delete this.source;
+		}
+
+		/**
+		 * Determine if away mode is active now
+		 * @return {boolean} true if active
+		 */
+		isActive() {
+			let now = Utils.now();
+			return typeof this.from === "number" && typeof this.until === "number"
+			&& now >= this.from && now < this.until;
+		}
+
+		/**
+		 * Determine if the pre-heat before the return is running
+		 * @return {boolean} true if pre-heating
+		 */
+		isPreheating() {
+			return this.isActive() && Utils.now() >= this.until - this.preheat;
+		}
+
+		/**
+		 * Get the target temperature for a thermostat
+		 * @param {Thermostat} thermostat the thermostat
+		 * @return {number} the target, or undefined if away mode is
+		 * not active
+		 */
+		getTarget(thermostat) {
+			if (!this.isActive())
+				return undefined;
+
+			if (this.isPreheating()) {
+				let midnight = new Date(this.until);
+				midnight.setHours(0, 0, 0, 0);
+				return thermostat.timeline.valueAtTime(
+					this.until - midnight.getTime());
+			}
+
+			if (this.suspend.indexOf(thermostat.name) >= 0)
+				return 0;
+
+			return this.setback;
+		}
+
+		/**
+		 * Promise to get the state of away mode, for /ajax/state
+		 * @return {Promise} resolves to { active, preheating, from,
+		 * until, source }
+		 */
+		getSerialisableState() {
+			return Promise.resolve({
+				active: this.isActive(),
+				preheating: this.isPreheating(),
+				from: this.from,
+				until: this.until,
+				source: this.source
+			});
+		}
+	}
+
+	Away.Model = {
+		$class: Away,
+		setback: {
+			$class: Number,
+			$doc: "Target temperature (°C) for thermostats while away",
+			$default: 12
+		},
+		suspend: {
+			$doc: "Names of thermostats whose services are switched off while away",
+			$array_of: { $class: String },
+			$default: [ "HW" ]
+		},
+		preheat: {
+			$class: Number,
+			$doc: "Time (ms) before the return when thermostats target the temperature their timelines give for the return, so the house is warm",
+			$default: 2 * 60 * 60 * 1000
+		},
+		from: {
+			$class: Number,
+			$doc: "Start of the away period, epoch ms. Set using /ajax/away.",
+			$optional: true
+		},
+		until: {
+			$class: Number,
+			$doc: "End of the away period (the return), epoch ms. Set using /ajax/away.",
+			$optional: true
+		},
+		source: {
+			$class: String,
+			$doc: "Where the away period came from e.g. a calendar event",
+			$optional: true
+		}
+	};
+
+	return Away;
+});
@@ -0,0 +1,31 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+define("server/js/BME280", ["common/js/Utils", "server/js/SysfsSensor"], (Utils, SysfsSensor) => {
+
+	/**
+	 * Driver for Bosch BME280 (and BMP280, which has no humidity)
+	 * temperature, humidity and pressure sensors on I2C, read through
+	 * the kernel iio driver. Enable it with
+	 * `dtoverlay=i2c-sensor,bme280` in /boot/config.txt.
+	 * @class
+	 */
+	class BME280 extends SysfsSensor {
+
+		constructor(proto, id) {
+			super(proto, id, "/sys/bus/iio/devices", {
+				temperature: { file: "in_temp_input", scale: 0.001 },
+				humidity: { file: "in_humidityrelative_input", scale: 0.001 },
+				// kPa
+				pressure: { file: "in_pressure_input", scale: 10 }
+			});
+		}
+	}
+
+	BME280.Model = Utils.extend({}, SysfsSensor.Model, {
+		$class: BME280
+	});
+
+	return BME280;
+});
@@ -9,6 +9,9 @@ define("server/js/Calendar", ["fs", "common/js/Utils", "common/js/Time", "common
 
 	const TAG = "Calendar";
 
+	// Service name used for away events
+	const AWAY = "AWAY";
+
 	/**
 	 * Abstract base class of calendars. Specific calendar implementations
 	 * should subclass, e.g. GoogleCalendar, this class should not be
@@ -185,6 +188,10 @@ define("server/js/Calendar", ["fs", "common/js/Utils", "common/js/Time", "common
 		 * ```
 		 * is a command to boost the central heating up to 18C. The <prefix> and
 		 * "boost" are case-insensitive.
+		 *
+		 * The event `away` (case-insensitive) turns on away mode for the
+		 * duration of the event. It is passed to the trigger with the
+		 * service Calendar.AWAY.
 		 */
 		parseEvents(start, end, description) {
 			// Parse event instructions out of the calendar events
@@ -226,7 +233,15 @@ define("server/js/Calendar", ["fs", "common/js/Utils", "common/js/Time", "common
 					}
 				}
 				if (state === 1) {
-					if (/^\w+$/.test(token)) {
+					if (/^away$/i.test(token)) {
+						// Away for the duration of the event; treat like
+						// a complete temperature spec so it is committed
+						service = AWAY;
+						temperature = 0;
+						state = 3;
+						Utils.TRACE(`${TAG}Parser`, `1 -> 3 on '${token}'`);
+						token = null;
+					} else if (/^\w+$/.test(token)) {
 						service = token;
 						state = 2;
 						Utils.TRACE(`${TAG}Parser`, `1 -> 2 on '${token}'`);
@@ -280,6 +295,11 @@ define("server/js/Calendar", ["fs", "common/js/Utils", "common/js/Time", "common
 		}
 	}
 
+	/**
+	 * Service name given to the trigger for away events
+	 */
+	Calendar.AWAY = AWAY;
+
 	Calendar.Model = {
 		prefix: {
 			$doc: "Prefix for hotpot instructions in the calendar",
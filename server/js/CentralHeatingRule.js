@@ -1,9 +1,10 @@
 define("server/js/CentralHeatingRule", ["common/js/Utils", "server/js/Rule"], (Utils, Rule) => {
 
-	// How close to the target temperature we want to be. Heating will
-	// be turned on if temp drops lower than this below the target. You
-	// could set this to 0, but there is the risk of the system oscillating.
-	const PRECISION = 0.5;
+	// How close to the target temperature we want to be, if the
+	// thermostat doesn't set a `hysteresis`. Heating will be turned on if
+	// temp drops lower than this below the target. You could set this to
+	// 0, but there is the risk of the system oscillating.
+	const HYSTERESIS = 0.5;
 
 	class CentralHeatingRule extends Rule {
 
@@ -12,50 +13,30 @@ define("server/js/CentralHeatingRule", ["common/js/Utils", "server/js/Rule"], (U
 		}
 
 		test(controller) {
-			let thermostat = controller.thermostat.CH;
-			let pin = controller.pin.CH;
-
-			return pin.getState()
-			.then(function(state) {
-				if (thermostat.temperature > thermostat.getMaximumTemperature()) {
-					if (state === 1) {
-						Utils.TRACE("Rules", "CH is overheating ", thermostat.temperature,
-									"°C so turning off");
-						pin.reason = "Overheat";
-					}
-					// setPromise is a NOP if already in the right state
-					return controller.setPromise("CH", 0);
-				}
-
-				// Otherwise respect the timeline
-				let target = thermostat.getTargetTemperature();
-				if (thermostat.temperature > target) {
-					// Warm enough inside, so switch off even if
-					if (state === 1) {
-						Utils.TRACE("Rules", "CH is ", thermostat.temperature,
-									"°C so turning off");
-						pin.reason = "Warm enough";
-					}
-					// setPromise is a NOP if already in the right state
-					return controller.setPromise("CH", 0);
-
-				}
-				if (thermostat.temperature < target - PRECISION) {
-					if (state === 0) {
-						Utils.TRACE("Rules", "CH only ",
-									thermostat.temperature,
-									"°C, so on");
-						pin.reason = "Too cold";
-					}
-					return controller.setPromise("CH", 1);
-				}
-			});
+			let thermostat = controller.thermostat[this.thermostat];
+			let inputs = this.getInputs(controller, thermostat);
+
+			return this.decideOnTemperature(
+				controller, inputs, inputs.target,
+				typeof inputs.hysteresis === "number"
+				? inputs.hysteresis : HYSTERESIS,
+				"Warm enough");
 		}
 	}
 
-	CentralHeatingRule.Model = {
-		$class: CentralHeatingRule
-	};
+	CentralHeatingRule.Model = Utils.extend({}, Rule.Model, {
+		$class: CentralHeatingRule,
+		thermostat: {
+			$class: String,
+			$doc: "Name of the thermostat that measures the central heating temperature",
+			$default: "CH"
+		},
+		service: {
+			$class: String,
+			$doc: "Name of the service switched by the rule",
+			$default: "CH"
+		}
+	});
 
 	return CentralHeatingRule;
 });
@@ -0,0 +1,50 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+define("server/js/Combi", ["server/js/Topology"], function(Topology) {
+
+	/**
+	 * Combination boiler, which heats hot water on demand so there is no
+	 * "HW" service to control. The heating is switched by a demand pin
+	 * (usually wired to the boiler's room thermostat terminals). Where the
+	 * boiler has more than one demand input (e.g. for underfloor zones),
+	 * each can be mapped to a service.
+	 * @param {object} proto see Combi.Model
+	 * @param {string} name identifier
+	 * @class
+	 */
+	class Combi extends Topology {
+
+		constructor(proto, name) {
+			super(proto, name);
+		}
+
+		getPin(controller, service) {
+			let pin = this.demand[service];
+			return typeof pin === "undefined" ? undefined : controller.pin[pin];
+		}
+
+		reset(controller) {
+			let promises = [];
+			for (let service in this.demand)
+				promises.push(this.requirePin(controller, this.demand[service])
+							  .setState(0));
+			return Promise.all(promises);
+		}
+	}
+
+	Combi.Model = {
+		$class: Combi,
+		demand: {
+			$doc: "Map from the name of each service to the name of the pin that signals demand to the boiler",
+			$map_of: {
+				$class: String,
+				$doc: "name of the pin"
+			},
+			$default: { CH: "CH" }
+		}
+	};
+
+	return Combi;
+});
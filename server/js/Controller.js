@@ -1,10 +1,27 @@
 /*@preserve Copyright (C) 2016-2019 Crawford Currie http://c-dot.co.uk license MIT*/
 
 /*eslint-env node */
-define("server/js/Controller", ["events", "common/js/Utils", "common/js/DataModel", "common/js/Time", "server/js/Thermostat", "server/js/Pin"], function(Events, Utils, DataModel, Time, Thermostat, Pin) {
+define("server/js/Controller", ["fs", "events", "common/js/Utils", "common/js/DataModel", "common/js/Time", "server/js/Thermostat", "server/js/Pin", "server/js/Audit", "server/js/Energy", "server/js/Away", "server/js/Calendar"], function(fs, Events, Utils, DataModel, Time, Thermostat, Pin, Audit, Energy, Away, Calendar) {
 
 	const TAG = "Controller";
 
+	// Name used for holds and decisions made when an open window is detected
+	const OPEN_WINDOW = "Open window";
+
+	// Module that implements rules written as scripts
+	const SCRIPT_RULE = "server/js/ScriptRule";
+
+	// How often (ms) watched rule modules are checked for changes
+	const RULE_WATCH_INTERVAL = 2000;
+
+	// Kinds of decision a rule can make about a service
+	const PROPOSE = "propose";
+	const FORCE = "force";
+	const VETO = "veto";
+
+	// Priority of safety vetoes, above that of any rule
+	const SAFETY_PRIORITY = Number.MAX_SAFE_INTEGER;
+
 	/**
 	 * Controller for a number of pins, thermostats, calendars, weather agents,
 	 * and the rules that manage the system state based on inputs from all these
@@ -18,6 +35,11 @@ define("server/js/Controller", ["events", "common/js/Utils", "common/js/DataMode
 		constructor(proto) {
 			super();
 			Utils.extend(this, proto);
+
+			// Away mode overrides the thermostat timelines
+			for (let name in this.thermostat)
+				this.thermostat[name].setTargetOverride(
+					th => this.away.getTarget(th));
 		}
 
 		/**
@@ -33,10 +55,14 @@ define("server/js/Controller", ["events", "common/js/Utils", "common/js/DataMode
 
 			.then(() => this.initialiseThermostats())
 
+			.then(() => this.initialiseRules())
+
 			.then(() => this.initialiseCalendars())
 
 			.then(() => this.initialiseWeatherAgents())
 
+			.then(() => this.initialisePresence())
+
 			// Start the poll loop; the promise returned resolves to this
 			.then(() => this.pollRules());
 		};
@@ -58,6 +84,23 @@ define("server/js/Controller", ["events", "common/js/Utils", "common/js/DataMode
 			});
 		};
 
+		/**
+		 * Start presence sources that need it e.g. to poll the network
+		 * @return {Promise} a promise
+		 * @private
+		 */
+		initialisePresence() {
+			let promises = [];
+			for (let name in this.presence) {
+				let source = this.presence[name];
+				if (typeof source.initialise === "function")
+					promises.push(source.initialise());
+			}
+			return Promise.all(promises).then(() => {
+				Utils.TRACE(TAG, "Initialised presence sources");
+			});
+		}
+
 		/**
 		 * Add a request to a thermostat.
 		 * @param service themostat to add the request to, or "ALL" to add the request
@@ -109,11 +152,20 @@ define("server/js/Controller", ["events", "common/js/Utils", "common/js/DataMode
 				let cal = this.calendar[name];
 				cal.setTrigger(
 					(id, service, target, until) => {
-						this.addRequest(service, id, target, until);
+						if (service === Calendar.AWAY) {
+							this.away.set(Utils.now(), until, id);
+							this.emit("config_change");
+						} else
+							this.addRequest(service, id, target, until);
 					});
 				cal.setRemove(
 					(id, service) => {
-						if (/^ALL$/i.test(service)) {
+						if (service === Calendar.AWAY) {
+							if (this.away.source === id) {
+								this.away.clear();
+								this.emit("config_change");
+							}
+						} else if (/^ALL$/i.test(service)) {
 							for (let name in this.thermostat) {
 								let th = this.thermostat[name];
 								th.purgeRequests({
@@ -156,33 +208,7 @@ define("server/js/Controller", ["events", "common/js/Utils", "common/js/DataMode
 		 * @private
 		 */
 		resetValve() {
-			let pins = this.pin;
-			let valveBack = this.valve_return;
-
-			Utils.TRACE(TAG, "Resetting valve");
-			return pins.HW.setState(1, "Reset")
-
-			.then(() => {
-				Utils.TRACE(TAG, "Reset: HW(1) done");
-				return new Promise(resolve => {
-					Utils.startTimer("HWreset", resolve, valveBack);
-				});
-			})
-
-			.then(() => {
-				Utils.TRACE(TAG, "Reset: delay done");
-				return pins.CH.setState(0, "Reset");
-			})
-
-			.then(() => {
-				Utils.TRACE(TAG, "Reset: CH(0) done");
-				return pins.HW.setState(0, "Reset");
-			})
-
-			.then(() => {
-				Utils.TRACE(TAG, "Valve reset");
-			})
-
+			return this.topology.reset(this)
 			.catch(e => {
 				Utils.TRACE(TAG, "Failed to reset valve: ", e);
 			});
@@ -193,21 +219,174 @@ define("server/js/Controller", ["events", "common/js/Utils", "common/js/DataMode
 		 * @private
 		 */
 		initialiseThermostats() {
-			let promises = [];
+			let init = names => Promise.all(names.map(
+				name => this.thermostat[name].initialise()
+				.then(th => {
+					th.setAlertHandler(
+						mess => this.sendMailToAdmin("HOTPOT ALERT", mess));
+					th.setOpenWindowHandler(
+						drop => this.openWindow(th, drop));
+					th.setServiceCheck(() => {
+						let pin = this.getServicePin(th.name);
+						return pin ? pin.getState() : Promise.resolve(0);
+					});
+					return th.poll();
+				})));
+
+			let real = [], virtual = [];
 			for (let name in this.thermostat) {
-				promises.push(
-					this.thermostat[name].initialise()
-					.then(th => {
-						th.setAlertHandler(
-							mess => this.sendMailToAdmin("HOTPOT ALERT", mess));
-						return th.poll();
-					}));
+				let th = this.thermostat[name];
+				th.setController(this);
+				(th.isVirtual() ? virtual : real).push(name);
 			}
-			return Promise.all(promises).then(() => {
+
+			// Virtual thermostats are computed from the others, so
+			// wait for those to have a temperature first
+			return init(real)
+			.then(() => init(virtual))
+			.then(() => {
 				Utils.TRACE(TAG, "Initialised thermostats");
 			});
 		};
 
+		/**
+		 * Attach alert handlers to rules
+		 * @private
+		 */
+		initialiseRules() {
+			for (let name in this.rule) {
+				let rule = this.rule[name];
+				if (typeof rule.setAlertHandler === "function")
+					rule.setAlertHandler(
+						mess => this.sendMailToAdmin("HOTPOT ALERT", mess));
+			}
+			if (this.watch_rules)
+				this.watchRules();
+			Utils.TRACE(TAG, "Initialised rules");
+			return Promise.resolve();
+		}
+
+		/**
+		 * Promise to reload the modules that implement rules, so changes
+		 * to them take effect without a restart. Each rule is rebuilt
+		 * from its current configuration using the new module. If a rule
+		 * can't be rebuilt (e.g. the module has a syntax error) the
+		 * previous version is kept, and an alert is raised. Only the
+		 * rule's own module is reloaded, not the modules it depends on
+		 * (such as server/js/Rule). State held in the rule (but not in
+		 * the controller e.g. requests) is lost.
+		 * @param {string} module optional module id e.g.
+		 * "server/js/HotWaterRule". If not given, all rule modules are
+		 * reloaded.
+		 * @return {Promise} resolves to a map from rule name to "OK", or
+		 * the reason it could not be reloaded
+		 */
+		reloadRules(module) {
+			let model = Controller.Model.rule.$map_of;
+			let names = Object.keys(this.rule).filter(
+				name => typeof module === "undefined"
+				|| this.rule[name].$instantiated_from === module);
+			for (let name of names)
+				requirejs.undef(this.rule[name].$instantiated_from);
+
+			let report = {};
+			return Promise.all(names.map(name => {
+				let old = this.rule[name];
+				return DataModel.getSerialisable(old, model, [ "rule", name ])
+				.then(config => DataModel.remodel(
+					name, config, model, [ "rule", name ]))
+				.then(rule => {
+					if (typeof rule.setAlertHandler === "function"
+						&& typeof old.alertHandler === "function")
+						rule.setAlertHandler(old.alertHandler);
+					this.rule[name] = rule;
+					Utils.TRACE(TAG, `Reloaded rule '${name}'`);
+					report[name] = "OK";
+				})
+				.catch(e => {
+					let mess = `Rule '${name}' could not be reloaded, keeping the previous version: ${e.message || e}`;
+					if (typeof old.alert === "function")
+						old.alert(mess);
+					else
+						console.error(mess);
+					report[name] = e.message || `${e}`;
+				});
+			}))
+			.then(() => report);
+		}
+
+		/**
+		 * Promise to create, replace or delete a script rule (see
+		 * server/js/ScriptRule). The script is compiled and given a dry
+		 * run against the current state before it is activated, so a
+		 * script that doesn't work never replaces one that does.
+		 * @param {string} name name of the rule
+		 * @param {object} data { script, priority, timeout }. If script
+		 * is empty, the rule is deleted.
+		 * @return {Promise} resolves to { status, decisions } where
+		 * decisions are those made by the dry run
+		 */
+		setScript(name, data) {
+			if (typeof name === "undefined" || name.length === 0)
+				return Promise.reject(Utils.exception(TAG, "Script has no name"));
+			let old = this.rule[name];
+			if (old && old.$instantiated_from !== SCRIPT_RULE)
+				return Promise.reject(Utils.exception(
+					TAG, `Rule '${name}' is not a script`));
+
+			if (!data || typeof data.script !== "string"
+				|| data.script.trim().length === 0) {
+				if (old) {
+					Utils.TRACE(TAG, `Deleted script '${name}'`);
+					delete this.rule[name];
+					this.emit("config_change");
+				}
+				return Promise.resolve({ status: "OK" });
+			}
+
+			let config = { $instance_of: SCRIPT_RULE, script: data.script };
+			for (let setting of [ "priority", "timeout" ])
+				if (typeof data[setting] !== "undefined")
+					config[setting] = Number(data[setting]);
+
+			let rule;
+			return DataModel.remodel(
+				name, config, Controller.Model.rule.$map_of, [ "rule", name ])
+			.then(r => {
+				rule = r;
+				return rule.dryRun(this);
+			})
+			.then(decisions => {
+				rule.setAlertHandler(
+					mess => this.sendMailToAdmin("HOTPOT ALERT", mess));
+				this.rule[name] = rule;
+				Utils.TRACE(TAG, `Activated script '${name}'`);
+				this.emit("config_change");
+				return { status: "OK", decisions: decisions };
+			});
+		}
+
+		/**
+		 * Watch the modules that implement rules, and reload them
+		 * (using `reloadRules`) when they change
+		 */
+		watchRules() {
+			if (typeof this.ruleWatchers === "undefined")
+				this.ruleWatchers = {};
+			for (let name in this.rule) {
+				let module = this.rule[name].$instantiated_from;
+				if (typeof module === "undefined" || this.ruleWatchers[module])
+					continue;
+				let file = requirejs.toUrl(`${module}.js`);
+				Utils.TRACE(TAG, `Watching ${file}`);
+				this.ruleWatchers[module] = file;
+				fs.watchFile(file, { interval: RULE_WATCH_INTERVAL }, (cur, prev) => {
+					if (cur.mtimeMs !== prev.mtimeMs)
+						this.reloadRules(module);
+				});
+			}
+		}
+
 		/**
 		 * Set a handler to be invoked if there's a problem requiring
 		 * an admin alert
@@ -215,6 +394,9 @@ define("server/js/Controller", ["events", "common/js/Utils", "common/js/DataMode
 		setAlertHandler(func) {
 			for (let name in this.thermostat)
 				this.thermostat[name].setAlertHandler(func);
+			for (let name in this.rule)
+				if (typeof this.rule[name].setAlertHandler === "function")
+					this.rule[name].setAlertHandler(func);
 		}
 
 		/**
@@ -224,8 +406,104 @@ define("server/js/Controller", ["events", "common/js/Utils", "common/js/DataMode
 			for (let name in this.weather) {
 				this.weather[name].setLocation(location);
 			}
+			for (let name in this.presence) {
+				let source = this.presence[name];
+				if (typeof source.setLocation === "function")
+					source.setLocation(location);
+			}
 		};
 
+		/**
+		 * Pass readings sent by a remote sensor to its driver
+		 * (see PushSensor)
+		 * @param {string} id the sensor id
+		 * @param {object} data { token, temperature, humidity, pressure }
+		 * @return {Promise} resolves to { status: "OK" }, or rejects if
+		 * there is no such sensor, or the readings were refused
+		 */
+		pushReadings(id, data) {
+			for (let name in this.thermostat) {
+				let sensor = this.thermostat[name].getSensor(id);
+				if (sensor && typeof sensor.push === "function") {
+					try {
+						data = data || {};
+						sensor.push(data.token, data);
+					} catch (e) {
+						return Promise.reject(e);
+					}
+					return Promise.resolve({ status: "OK" });
+				}
+			}
+			let e = Utils.exception(TAG, `No pushed sensor '${id}'`);
+			e.status = 404;
+			return Promise.reject(e);
+		}
+
+		/**
+		 * Pass a location report to the presence sources that handle them
+		 * @param {string} person who the report is for, or undefined to
+		 * let the source get it from the report
+		 * @param {object} data the report
+		 * @return {Promise} resolves when the report has been handled,
+		 * or rejects with status 400 if a source can't use it
+		 */
+		reportLocation(person, data) {
+			let used = false;
+			for (let name in this.presence) {
+				let source = this.presence[name];
+				try {
+					if (typeof source.report === "function"
+						&& source.report(person, data || {}))
+						used = true;
+				} catch (e) {
+					e.status = 400;
+					return Promise.reject(e);
+				}
+			}
+			Utils.TRACE(TAG, `location report for ${person} `,
+						used ? "used" : "ignored");
+			return Promise.resolve();
+		}
+
+		/**
+		 * Make a rejection for a request for something that isn't
+		 * configured
+		 * @param {string} what description of the missing thing
+		 * @return {Promise} rejects with status 404
+		 * @private
+		 */
+		_notConfigured(what) {
+			let e = Utils.exception(TAG, `No ${what} configured`);
+			e.status = 404;
+			return Promise.reject(e);
+		}
+
+		/**
+		 * Get what the presence sources know about who is home. Someone
+		 * is home if any source says they are.
+		 * @return {object} map from person to { home, eta } where eta
+		 * (if known) is when someone heading home is expected to arrive
+		 */
+		getPresence() {
+			let presence = {};
+			for (let name in this.presence) {
+				let reported = this.presence[name].getPresence();
+				for (let person in reported) {
+					let r = reported[person];
+					let p = presence[person];
+					if (typeof p === "undefined")
+						presence[person] = Utils.extend({}, r);
+					else {
+						p.home = p.home || r.home;
+						if (typeof r.eta !== "undefined"
+							&& !(p.eta <= r.eta))
+							p.eta = r.eta;
+					}
+				}
+			}
+			return presence;
+		}
+
 		/**
 		 * Generate and return a promise for a serialisable version of
 		 * the structure, suitable for use in an AJAX response.
@@ -234,7 +512,7 @@ define("server/js/Controller", ["events", "common/js/Utils", "common/js/DataMode
 		getSerialisableState() {
 
 			let state = {
-				time: Date.now() // local time
+				time: Utils.now() // local time
 			};
 
 			let promises = [];
@@ -267,6 +545,12 @@ define("server/js/Controller", ["events", "common/js/Utils", "common/js/DataMode
 				}
 			}
 
+			promises.push(
+				this.away.getSerialisableState()
+				.then(value => {
+					state.away = value;
+				}));
+
 			return Promise.all(promises)
 			.then(() => state);
 		};
@@ -323,76 +607,351 @@ define("server/js/Controller", ["events", "common/js/Utils", "common/js/DataMode
 		};
 
 		/**
-		 * Get a promise to set the on/off state of a pin, suitable for
-		 * calling from Rules. This is more
-		 * sophisticated than a simple `Pin.setState()` call, because there is a
-		 * relationship between the state of the pins in Y-plan systems
-		 * that must be respected.
-		 * @param {String} channel e.g. "HW" or "CH"
+		 * Get the pin that shows the state of a service
+		 * @param {string} service name of the service e.g. "CH"
+		 * @return {Pin} the pin, or undefined if the topology doesn't
+		 * have the service
+		 */
+		getServicePin(service) {
+			return this.topology.getPin(this, service);
+		}
+
+		/**
+		 * Get a promise to set the on/off state of a service. This is
+		 * more sophisticated than a simple `Pin.setState()` call, because
+		 * the topology (e.g. Y-plan or S-plan) may have relationships
+		 * between pins that must be respected. The minimum on and off
+		 * times of every pin the topology will switch (e.g. the S-plan
+		 * boiler as well as the zone valve) are also enforced here, so a
+		 * transition that comes too soon after the last one is deferred
+		 * (recorded in `pin.deferred` of the service pin) rather than
+		 * performed. Rules are re-evaluated regularly, so it will be
+		 * performed later if it is still wanted.
+		 * @param {String} channel name of the service e.g. "HW" or "CH"
 		 * @param {number} state 1 (on) or 0 (off)
+		 * @param {boolean} urgent true to ignore the minimum times, for
+		 * getting out of a state forbidden by a safety veto
 		 */
-		setPromise(channel, newState) {
-			let pins = this.pin;
+		setPromise(channel, newState, urgent) {
+			let pin = this.getServicePin(channel);
+			if (typeof pin === "undefined")
+				return this.topology.setState(this, channel, newState);
+
+			let promise = urgent ? Promise.resolve([])
+				: this.topology.getChanges(this, channel, newState);
+			return promise
+			.then(changes => Promise.all(changes.map(
+				c => c.pin.getState()
+				.then(cur => (cur === c.state) ? 0 : c.pin.getHold(c.state)))))
+			.then(holds => {
+				let hold = Math.max(0, ...holds);
+				if (hold > 0) {
+					pin.deferred = {
+						state: newState,
+						until: Utils.now() + hold
+					};
+					Utils.TRACE(TAG, `${channel} `, newState === 1 ? "on" : "off",
+								` deferred for ${hold}ms`);
+					return Promise.resolve();
+				}
+				delete pin.deferred;
+				return this.topology.setState(this, channel, newState);
+			});
+		}
 
-			// Avoid race condition during initialisation
-			if (pins[channel] === "undefined")
+		/**
+		 * Hold a service in a state on behalf of a rule, until the hold
+		 * is released or (optionally) expires. While it is held, the
+		 * holder's decisions about the service are forced, and if the
+		 * holder makes no decision the held state is forced on its
+		 * behalf (see `decide`). Used to suspend a service from outside
+		 * the rules, e.g. when a window is open.
+		 * @param {Rule} rule the rule holding the service
+		 * @param {string} channel name of the service e.g. "CH"
+		 * @param {number} state 1 (on) or 0 (off)
+		 * @param {number} until optional epoch ms when the hold is
+		 * released automatically
+		 */
+		hold(rule, channel, state, until) {
+			let pin = this.getServicePin(channel);
+			if (typeof pin === "undefined")
+				throw Utils.exception(
+					TAG, `Rule '${rule.name}' cannot hold unknown service '${channel}'`);
+			pin.held = { rule: rule.name, state: state };
+			if (typeof until !== "undefined")
+				pin.held.until = until;
+		}
+
+		/**
+		 * Release a hold placed by a rule using `hold`
+		 * @param {Rule} rule the rule that placed the hold
+		 * @param {string} channel name of the service e.g. "CH"
+		 */
+		release(rule, channel) {
+			let pin = this.getServicePin(channel);
+			if (pin && pin.held && pin.held.rule === rule.name)
+				delete pin.held;
+		}
+
+		/**
+		 * Promise to handle an open window detected by a thermostat. If
+		 * the service the thermostat controls is on, it is switched off
+		 * and held off for the thermostat's `open_window.suspend` period.
+		 * Holds placed by other rules are left alone, and rules that
+		 * force the service on (e.g. frost protection) still win.
+		 * @param {Thermostat} thermostat the thermostat
+		 * @param {number} drop the fall in temperature that was seen
+		 * @return {Promise} a promise that resolves when the pin is set
+		 */
+		openWindow(thermostat, drop) {
+			let pin = this.getServicePin(thermostat.name);
+			if (typeof pin === "undefined")
 				return Promise.resolve();
+			let rule = { name: OPEN_WINDOW };
+			return pin.getState()
+			.then(state => {
+				if (state !== 1)
+					return Promise.resolve();
+				if (pin.held && pin.held.rule !== rule.name)
+					return Promise.resolve();
+				this.hold(rule, thermostat.name, 0,
+						  Utils.now() + thermostat.open_window.suspend);
+				return this.decide(
+					rule, thermostat.name, 0, "Window open", {
+						temperature: thermostat.temperature,
+						drop: drop
+					});
+			});
+		}
 
-			if (this.pending) {
-				return new Promise(resolve => {
-					Utils.startTimer("setPromise", () => resolve(
-						this.setPromise(channel, newState)),
-							   this.valve_return);
-				});
+		/**
+		 * Promise to act on a decision made by a rule about the state of a
+		 * service. Rules should use this (or `force` or `veto`) rather
+		 * than calling `setPromise` directly, so there is a record of why
+		 * pins were switched.
+		 *
+		 * While the rules are being tested (see `testRules`) decisions are
+		 * collected, and when all the rules have been tested the decisions
+		 * about each service are arbitrated (see `arbitrate`). Outside
+		 * of testing, the decision is arbitrated on its own straight away.
+		 * @param {Rule} rule the rule making the decision
+		 * @param {string} channel name of the service e.g. "CH"
+		 * @param {number} state 1 (on) or 0 (off), or undefined if the rule
+		 * has decided to leave the service as it is
+		 * @param {string} reason short description of the decision
+		 * e.g. "Too cold"
+		 * @param {object} inputs the values the decision was based on
+		 * @return {Promise} a promise that resolves when the decision has
+		 * been recorded, or acted on
+		 */
+		decide(rule, channel, state, reason, inputs) {
+			return this._addDecision(
+				PROPOSE, rule, channel, state, reason, inputs);
+		}
+
+		/**
+		 * Like `decide`, but the decision wins over every decision that
+		 * isn't forced, unless it is vetoed. Used by safety rules, such
+		 * as frost protection, that must override the others.
+		 * @param {Rule} rule the rule making the decision
+		 * @param {string} channel name of the service e.g. "CH"
+		 * @param {number} state 1 (on) or 0 (off)
+		 * @param {string} reason short description of the decision
+		 * @param {object} inputs the values the decision was based on
+		 * @return {Promise} see `decide`
+		 */
+		force(rule, channel, state, reason, inputs) {
+			return this._addDecision(
+				FORCE, rule, channel, state, reason, inputs);
+		}
+
+		/**
+		 * Forbid a service from being in a state. Decisions for that
+		 * state made by rules that don't have a higher priority are
+		 * ignored, and if the service is already in that state it is
+		 * switched to the other one.
+		 * @param {Rule} rule the rule making the decision
+		 * @param {string} channel name of the service e.g. "CH"
+		 * @param {number} state the forbidden state, 1 (on) or 0 (off)
+		 * @param {string} reason short description of the decision
+		 * e.g. "Overheat"
+		 * @param {object} inputs the values the decision was based on
+		 * @return {Promise} see `decide`
+		 */
+		veto(rule, channel, state, reason, inputs) {
+			return this._addDecision(
+				VETO, rule, channel, state, reason, inputs);
+		}
+
+		/**
+		 * Like `veto`, but above the priority of every rule, so nothing
+		 * can override it. Used for safety limits, such as overheating.
+		 * A rule that needs to go past such a limit (e.g. a legionella
+		 * cycle) must raise the limit instead, e.g. with a request.
+		 * @param {Rule} rule the rule making the decision
+		 * @param {string} channel name of the service e.g. "CH"
+		 * @param {number} state the forbidden state, 1 (on) or 0 (off)
+		 * @param {string} reason short description of the decision
+		 * @param {object} inputs the values the decision was based on
+		 * @return {Promise} see `decide`
+		 */
+		safetyVeto(rule, channel, state, reason, inputs) {
+			return this._addDecision(
+				VETO, rule, channel, state, reason, inputs, SAFETY_PRIORITY);
+		}
+
+		/**
+		 * Promise to add a decision to those being collected, or if the
+		 * rules aren't being tested, to arbitrate it on its own
+		 * @private
+		 */
+		_addDecision(mode, rule, channel, state, reason, inputs, priority) {
+			let pin = this.getServicePin(channel);
+			if (typeof pin === "undefined")
+				return Promise.reject(Utils.exception(
+					TAG, `Rule '${rule.name}' decided about unknown service '${channel}'`));
+
+			let decision = {
+				mode: mode,
+				rule: rule.name,
+				priority: priority || rule.priority || 0,
+				state: state,
+				reason: reason,
+				inputs: inputs
+			};
+
+			if (typeof this.decisions !== "undefined") {
+				if (typeof this.decisions[channel] === "undefined")
+					this.decisions[channel] = [];
+				this.decisions[channel].push(decision);
+				return Promise.resolve();
+			}
+
+			return this.arbitrate(channel, [ decision ]);
+		}
+
+		/**
+		 * Promise to decide the state of a service from the decisions
+		 * made about it, and act on the result.
+		 * 1. A decision for a state is vetoed if a rule with the same or a
+		 *    higher priority vetoed that state.
+		 * 2. The highest priority forced decision that isn't vetoed wins.
+		 * 3. Otherwise, if the service is held (see `hold`) the held state
+		 *    wins, unless it is vetoed.
+		 * 4. Otherwise the highest priority decision that isn't vetoed wins.
+		 * 5. Otherwise, if the service is in a vetoed state, it is switched
+		 *    to the other state.
+		 * 6. Otherwise the service is left as it is.
+		 * Each decision is recorded in the audit trail (if there is one),
+		 * along with the rule that overrode or vetoed it.
+		 * @param {string} channel name of the service e.g. "CH"
+		 * @param {object[]} decisions the decisions made about it
+		 * @return {Promise} a promise that resolves when the pin is set
+		 */
+		arbitrate(channel, decisions) {
+			let pin = this.getServicePin(channel);
+
+			// Highest priority first. sort() is stable, so decisions
+			// with the same priority stay in the order they were made.
+			decisions = decisions.slice().sort((a, b) => b.priority - a.priority);
+
+			// The holder's decisions are forced. If the holder hasn't
+			// decided, the held state is forced on its behalf.
+			let held = pin.held;
+			if (held) {
+				let holder = this.rule[held.rule];
+				let mine = decisions.filter(d => d.rule === held.rule
+											&& typeof d.state !== "undefined");
+				if (mine.length === 0)
+					decisions.push({
+						mode: FORCE,
+						rule: held.rule,
+						priority: holder && holder.priority || 0,
+						state: held.state,
+						reason: pin.reason,
+						held: true
+					});
+				else for (let d of mine)
+					if (d.mode === PROPOSE)
+						d.mode = FORCE;
 			}
 
-			return pins[channel].getState()
+			let vetoes = decisions.filter(d => d.mode === VETO);
+			for (let d of decisions) {
+				if (d.mode === VETO || typeof d.state === "undefined")
+					continue;
+				let v = vetoes.find(v => v.state === d.state
+									&& v.priority >= d.priority);
+				if (v)
+					d.vetoed = v.rule;
+			}
 
+			let live = decisions.filter(d => d.mode !== VETO && !d.vetoed
+										&& typeof d.state !== "undefined");
+			let winner = live.find(d => d.mode === FORCE) || live[0];
+
+			return pin.getState()
 			.then(curState => {
-				if (curState === newState)
-					return Promise.resolve(); // already in the right state
-
-				// Y-plan systems have a state where if the heating is
-				// on but the hot water is off, and the heating is
-				// turned off, then the grey wire to the valve (the
-				// "hot water off" signal) is held high, stalling the
-				// motor. They are designed for this so it's not a big
-				// problem, but we can resolve it by briefly turning
-				// on the hot water while we turn the heating off,
-				// then turning it off again. That will allow the spring
-				// to return, powering down the motor.
-
-				if (channel === "CH" && curState === 1 && newState === 0) {
-					// CH is on, and it's going off
-					return pins.HW.getState()
-					.then(hwState => {
-						// HW is on, so just turn CH off
-						if (hwState !== 0)
-							return pins.CH.setState(newState);
-
-						// HW is 0 but CH is 1, so we're in state 3 (grey
-						// live and white live).
-						// Need to switch on HW to kill the grey wire.
-						// This allows the spring to fully return. Then after a
-						// timeout, turn CH off.
-						this.pending = true;
-						return pins.CH.setState(0) // switch off CH
-						.then(() => pins.HW.setState(1)) // switch on HW
-						// wait for spring return
-						.then(() => new Promise(
-							resolve => Utils.startTimer(
-								"springReturn",
-								resolve, this.valve_return)))
-						.then(() => pinsHW.setState(0)) // switch off HW
-						.then(() => { this.pending = false;	});
-					});
+				let state;
+				if (winner)
+					state = winner.state;
+				else {
+					// Switch out of a vetoed state
+					winner = vetoes.find(v => v.state === curState);
+					if (winner)
+						state = 1 - curState;
+				}
+
+				let changed = typeof state !== "undefined" && state !== curState;
+				if (changed) {
+					Utils.TRACE("Rules", `${winner.rule}: ${winner.reason}, so ${channel} `,
+								state === 1 ? "on" : "off");
+					pin.reason = winner.reason;
 				}
 
-				// Otherwise this is a simple state transition, just
-				// promise to set the appropriate pin
-				return pins[channel].setState(newState);
+				let promise = Promise.resolve();
+				if (this.audit) {
+					for (let d of decisions) {
+						if (d.held)
+							continue;
+						let overridden;
+						if (winner && d !== winner && !d.vetoed
+							&& typeof d.state !== "undefined"
+							&& d.mode !== VETO && d.state !== state)
+							overridden = winner.rule;
+						let record = {
+							rule: d.rule,
+							pin: channel,
+							state: curState,
+							decision: d.state,
+							changed: changed && d === winner,
+							reason: d.reason,
+							overridden: overridden,
+							vetoed: d.vetoed,
+							inputs: d.inputs
+						};
+						if (d.mode !== PROPOSE)
+							record.mode = d.mode;
+						promise = promise.then(() => this.audit.record(record));
+					}
+				}
+
+				if (typeof state === "undefined") {
+					// Any deferred transition is no longer wanted
+					delete pin.deferred;
+					return promise;
+				}
+
+				// Getting out of a state forbidden for safety can't wait
+				// for the minimum on and off times
+				let urgent = vetoes.some(v => v.priority === SAFETY_PRIORITY
+										 && v.state === curState);
+
+				// setPromise is a NOP if already in the right state
+				return promise.then(
+					() => this.setPromise(channel, state, urgent));
 			});
-		};
+		}
 
 		/**
 		 * Command handler for ajax commands, suitable for calling by a Server.
@@ -429,12 +988,14 @@ define("server/js/Controller", ["events", "common/js/Utils", "common/js/DataMode
 				return DataModel.at(this, Controller.Model, path)
 				.then(p => DataModel.getSerialisable(p.node, p.model));
 			case "setconfig":
-				// /setconfig/path/to/config/node, data.value is new setting
+				// /setconfig/path/to/config/node, data.value is new setting.
+				// Optional settings that are not yet set can be set, as
+				// long as the model describes them.
 				return DataModel.at(this, Controller.Model, path)
 				.then(p => {
 					if (typeof p.parent === "undefined" ||
 						typeof p.key === "undefined" ||
-						typeof p.node === "undefined")
+						typeof p.model === "undefined")
 						throw Utils.exception(
 							TAG,
 							`Cannot update ${path}, insufficient context`);
@@ -446,6 +1007,39 @@ define("server/js/Controller", ["events", "common/js/Utils", "common/js/DataMode
 						return { status: "OK" };
 					});
 				});
+			case "away":
+				// /away?from=;until=
+				// from and until are epoch ms or date strings. from
+				// defaults to now. until=clear cancels away mode.
+				if (data && data.until == "clear") {
+					this.away.clear();
+					this.emit("config_change");
+				} else if (data && typeof data.until !== "undefined") {
+					this.away.set(
+						typeof data.from === "undefined"
+						? Utils.now() : Away.parseTime(data.from),
+						Away.parseTime(data.until));
+					this.emit("config_change");
+				}
+				return this.away.getSerialisableState();
+			case "script":
+				// /script/{name}, data is { script, priority, timeout }
+				// Create, replace or (if script is empty) delete a
+				// script rule
+				return this.setScript(path[0], data);
+			case "reload_rules":
+				// /reload_rules
+				// Reload the modules that implement rules
+				return this.reloadRules();
+			case "sensor":
+				// /sensor/{id}, data is { token, temperature, humidity, pressure }
+				// Readings sent by a remote sensor
+				return this.pushReadings(path[0], data);
+			case "location":
+				// /location[/{person}]
+				// Location report from a phone, data is the report
+				// OwnTracks expects an array in response
+				return this.reportLocation(path[0], data).then(() => []);
 			case "request":
 				// Push a request onto a service (or all services). Requests may come
 				// from external sources such as browsers.
@@ -458,6 +1052,27 @@ define("server/js/Controller", ["events", "common/js/Utils", "common/js/DataMode
 				else if (data.until == "clear") data.until = Utils.CLEAR;
 				this.addRequest(data.service, data.source, data.target, data.until);
 				break;
+			case "audit":
+				// /audit[/{pin}]?since=;until=;rule=
+				// Get decisions recorded in the audit trail
+				if (!this.audit)
+					return this._notConfigured("audit trail");
+				return this.audit.query({
+					pin: path[0],
+					rule: data ? data.rule : undefined,
+					since: data ? data.since : undefined,
+					until: data ? data.until : undefined
+				});
+			case "energy":
+				// /energy?period=;count=
+				// Get run hours, energy and cost for each day, week or month
+				if (!this.energy)
+					return this._notConfigured("energy accounting");
+				return this.energy.report(
+					this,
+					data && data.period ? data.period : "day",
+					data && typeof data.count !== "undefined"
+					? Number(data.count) : 7);
 			case "refresh_calendars":
 				// Force the refresh of all calendars (sent manually when one changes)
 				// SMELL: could use push notification to do this, but that requires
@@ -476,28 +1091,70 @@ define("server/js/Controller", ["events", "common/js/Utils", "common/js/DataMode
 		};
 
 		/**
-		 * Evaluate rules at regular intervals.
-		 * @private
+		 * Promise to evaluate all the rules once. A rule that fails
+		 * doesn't stop the others being tested, or their decisions
+		 * being acted on.
+		 * @return {Promise} resolves when all rules have been tested, or
+		 * rejects (once the decisions have been acted on) if any rule
+		 * failed
 		 */
-		pollRules() {
-			Utils.TRACE(TAG, "Polling rules");
-
+		testRules() {
 			// Purge completed requests
 			for (let name in this.thermostat)
 				this.thermostat[name].purgeRequests();
 
-			// Test each of the rules. Rule evaluation functions
-			// return a promise to set a pin state, which is decided
-			// by reading the thermostats. Requests in the thermostats
-			// may define a temperature target, or if not the timeline
-			// is used.
-			let promises = [];
-			for (let name in this.rule) {
-				let rule = this.rule[name];
-				promises.push(rule.test(this));
+			// Release holds that have expired
+			for (let name in this.pin) {
+				let held = this.pin[name].held;
+				if (held && held.until <= Utils.now()) {
+					Utils.TRACE(TAG, `${held.rule} hold on ${name} expired`);
+					delete this.pin[name].held;
+				}
 			}
 
-			return Promise.all(promises)
+			// Test each of the rules in turn, highest priority first, so
+			// a rule can rely on the requests added by a rule with a
+			// higher priority. Rules decide on pin states by reading the
+			// thermostats. Requests in the thermostats may define a
+			// temperature target, or if not the timeline is used.
+			let rules = Object.keys(this.rule)
+				.map(name => this.rule[name])
+				.sort((a, b) => (b.priority || 0) - (a.priority || 0));
+
+			// Collect the decisions, so they can be arbitrated once all
+			// the rules have been tested
+			this.decisions = {};
+			let failures = [];
+			let promise = Promise.resolve();
+			for (let rule of rules) {
+				promise = promise
+				.then(() => rule.test(this))
+				.catch(e => failures.push(
+					`Rule '${rule.name}' failed: ${e.message || e}`));
+			}
+
+			return promise
+			.then(() => {
+				let decisions = this.decisions;
+				delete this.decisions;
+				return Promise.all(Object.keys(decisions).map(
+					channel => this.arbitrate(channel, decisions[channel])));
+			})
+			.then(() => {
+				if (failures.length > 0)
+					throw Utils.exception(TAG, failures.join("; "));
+			});
+		}
+
+		/**
+		 * Evaluate rules at regular intervals.
+		 * @private
+		 */
+		pollRules() {
+			Utils.TRACE(TAG, "Polling rules");
+
+			return this.testRules()
+			.catch(e => Utils.ERROR(TAG, e.message))
 			.then(() => {
 				// Queue the next poll
 				this.pollTimer = Utils.startTimer(
@@ -525,6 +1182,14 @@ define("server/js/Controller", ["events", "common/js/Utils", "common/js/DataMode
 			for (let name in this.weather) {
 				this.weather[name].stop();
 			}
+			for (let name in this.presence) {
+				let source = this.presence[name];
+				if (typeof source.stop === "function")
+					source.stop();
+			}
+			for (let module in this.ruleWatchers)
+				fs.unwatchFile(this.ruleWatchers[module]);
+			delete this.ruleWatchers;
 		}
 
 		/**
@@ -619,8 +1284,13 @@ define("server/js/Controller", ["events", "common/js/Utils", "common/js/DataMode
 			$doc: "Set of Pins",
 			$map_of: Pin.Model
 		},
+		topology: {
+			$doc: "How services map to pins e.g. $instance_of:`server/js/SPlan`",
+			$instantiable: true,
+			$default: { $instance_of: "server/js/YPlan" }
+		},
 		valve_return: {
-			$doc: "Time to wait for the multiposition valve to return to the discharged state, in ms",
+			$doc: "Time to wait for the multiposition valve to return to the discharged state, in ms (Y-plan only)",
 			$class: Number,
 			$default: 8000
 		},
@@ -629,10 +1299,32 @@ define("server/js/Controller", ["events", "common/js/Utils", "common/js/DataMode
 			$class: Number,
 			$default: 5000
 		},
+		away: Utils.extend({
+			$doc: "Away (holiday) mode",
+			$default: {}
+		}, Away.Model),
+		audit: Utils.extend({
+			$doc: "Audit trail of decisions made by rules",
+			$optional: true
+		}, Audit.Model),
+		energy: Utils.extend({
+			$doc: "Accounting of boiler run hours, energy and cost",
+			$optional: true
+		}, Energy.Model),
 		rule: {
 			$doc: "Set of Rules",
 			$map_of: { $instantiable: true }
 		},
+		watch_rules: {
+			$doc: "Set to reload rule modules when they change, without a restart",
+			$class: Boolean,
+			$optional: true
+		},
+		presence: {
+			$doc: "Set of presence sources, that know who is home e.g. $instance_of:`server/js/Geofence` or `server/js/LANPresence`",
+			$map_of: { $instantiable: true },
+			$default: {}
+		},
 		calendar: {
 			$doc: "Set of Calendars e.g. $instance_of:`GoogleCalendar`",
 			$map_of: { $instantiable: true }
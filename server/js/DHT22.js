@@ -0,0 +1,30 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+define("server/js/DHT22", ["common/js/Utils", "server/js/SysfsSensor"], (Utils, SysfsSensor) => {
+
+	/**
+	 * Driver for DHT22 (AM2302) temperature and humidity sensors, read
+	 * through the kernel dht11 iio driver, which also handles DHT22s.
+	 * Enable it with `dtoverlay=dht11,gpiopin=<pin>` in
+	 * /boot/config.txt. DHT22s often fail to respond, so poll them no
+	 * more than every few seconds.
+	 * @class
+	 */
+	class DHT22 extends SysfsSensor {
+
+		constructor(proto, id) {
+			super(proto, id, "/sys/bus/iio/devices", {
+				temperature: { file: "in_temp_input", scale: 0.001 },
+				humidity: { file: "in_humidityrelative_input", scale: 0.001 }
+			});
+		}
+	}
+
+	DHT22.Model = Utils.extend({}, SysfsSensor.Model, {
+		$class: DHT22
+	});
+
+	return DHT22;
+});
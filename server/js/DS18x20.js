@@ -6,7 +6,7 @@
  * Interface to DS18x20 temperature sensors
  */
 
-define("server/js/DS18x20", ["fs", "path", "common/js/Utils"], (fs, Path, Utils) => {
+define("server/js/DS18x20", ["fs", "path", "common/js/Utils", "server/js/Sensor"], (fs, Path, Utils, Sensor) => {
 
 	const Fs = fs.promises;
 	const TAG = "DS18x20";
@@ -15,19 +15,20 @@ define("server/js/DS18x20", ["fs", "path", "common/js/Utils"], (fs, Path, Utils)
 	// can be overridded in DebugSupport.js
 	const ONE_WIRE_PATH = "/sys/bus/w1/devices";
 
-	class DS18x20 {
+	// Reading (in thousandths of a °C) given by a sensor that has just
+	// powered up, before it has made a conversion
+	const RESET_VALUE = 85000;
 
-		constructor(id) {
-			this.id = id;
-		}
-
-		/**
-		 * Ensure the sensor exists and can be read.
-		 */
-		initialiseSensor() {
-			return this.getTemperature()
-			.then(() => this);
-		}
+	/**
+	 * Driver for DS18x20 sensors on the 1-wire bus. This is the driver
+	 * thermostats use if no other is given. The sensor id is the 1-wire
+	 * device id e.g. 28-0115914ff5ff
+	 *
+	 * A reading that fails its CRC check, or is the power-on reset value
+	 * of 85°C, is rejected as a fault (see Sensor.fault).
+	 * @class
+	 */
+	class DS18x20 extends Sensor {
 
 		/**
 		 * Return a promise to get the temperature from the sensor
@@ -42,20 +43,36 @@ define("server/js/DS18x20", ["fs", "path", "common/js/Utils"], (fs, Path, Utils)
 			.then(content => {
 				let lines = content.split("\n");
 				if (lines[0].substr(-3) != "YES")
-					throw new Error(`DS18x20 ${this.id} CRC check failed '${content}'`);
+					throw Sensor.fault(
+						"crc", `DS18x20 ${this.id} CRC check failed '${content}'`);
 				let parts = lines[1].split('t=');
 				if (parts.length !== 2)
-					throw new Error("DS18x20 ${this.id} format error");
-				this.lastKnownGood = Date.now();
-				return parseFloat(parts[1]) / 1000;
+					throw new Error(`DS18x20 ${this.id} format error`);
+				let t = parseFloat(parts[1]);
+				if (t === RESET_VALUE)
+					throw Sensor.fault(
+						"reset", `DS18x20 ${this.id} gave the reset value`);
+				this.lastKnownGood = Utils.now();
+				return t / 1000;
 			})
 			.catch(e => {
 				Utils.TRACE(TAG, `Poll failed ${e}`);
 				throw e;
 			});
 		}
+
+		getReadings() {
+			return this.getTemperature()
+			.then(t => {
+				return { temperature: t };
+			});
+		}
 	}
 
+	DS18x20.Model = Utils.extend({}, Sensor.Model, {
+		$class: DS18x20
+	});
+
 	/**
 	 * Return a promise to get a list of available sensors
 	 */
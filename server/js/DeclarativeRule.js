@@ -0,0 +1,301 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+define("server/js/DeclarativeRule", ["common/js/Utils", "common/js/Time", "server/js/Rule"], (Utils, Time, Rule) => {
+
+	const TAG = "DeclarativeRule";
+
+	// Comparison operators that can be used in a Condition
+	const OPERATORS = {
+		"<": (a, b) => a < b,
+		"<=": (a, b) => a <= b,
+		"=": (a, b) => a == b,
+		"!=": (a, b) => a != b,
+		">=": (a, b) => a >= b,
+		">": (a, b) => a > b
+	};
+
+	// Fields of a thermostat that can be referred to in an Operand
+	const THERMOSTAT_FIELDS = {
+		temperature: th => th.temperature,
+		target: th => th.getTargetTemperature(),
+		maximum: th => th.getMaximumTemperature(),
+		requests: th => th.requests.length
+	};
+
+	/**
+	 * An operand in a Condition. Operands are compiled from a number, or
+	 * from a string that is one of:
+	 * * a number e.g. `"20.5"`
+	 * * a time of day `HH:MM[:SS]`, giving ms since midnight
+	 * * `time`, the current time of day in ms since midnight
+	 * * `thermostat.<name>.<field>` where field is one of `temperature`,
+	 *   `target`, `maximum` or `requests` (the number of active requests)
+	 * * `pin.<name>.state`, 1 (on) or 0 (off)
+	 * * `weather.<name>.<field>` where field is anything the weather
+	 *   agent `get()` supports e.g. `weather.MetOffice.Feels Like Temperature`
+	 * Syntax is checked when the operand is constructed. Names of
+	 * thermostats, pins and weather agents are checked when the operand
+	 * is evaluated.
+	 */
+	class Operand {
+
+		/**
+		 * @param {number|string} source the operand text
+		 */
+		constructor(source) {
+			this.source = source;
+
+			if (typeof source === "number") {
+				this.constant = source;
+				return;
+			}
+
+			let s = ("" + source).trim();
+			if (/^[-+]?(\d+\.?\d*|\.\d+)$/.test(s)) {
+				this.constant = parseFloat(s);
+				return;
+			}
+
+			if (/^\d\d?:\d\d(:\d\d(\.\d+)?)?$/.test(s)) {
+				this.constant = Time.parse(s);
+				return;
+			}
+
+			if (s === "time") {
+				this.set = "time";
+				return;
+			}
+
+			let m = /^(thermostat|pin|weather)\.([^.]+)\.(.+)$/.exec(s);
+			if (!m)
+				throw Utils.exception(TAG, `Cannot compile operand '${s}'`);
+
+			this.set = m[1];
+			this.name = m[2];
+			this.field = m[3];
+
+			if (this.set === "thermostat" && !THERMOSTAT_FIELDS[this.field])
+				throw Utils.exception(
+					TAG, `Unknown thermostat field '${this.field}' in '${s}'`);
+
+			if (this.set === "pin" && this.field !== "state")
+				throw Utils.exception(
+					TAG, `Unknown pin field '${this.field}' in '${s}'`);
+		}
+
+		/**
+		 * Promise to get the value of the operand
+		 * @param {Controller} controller the controller
+		 * @return {Promise} resolving to a number (or string, for
+		 * non-numeric weather fields). Rejects if a weather agent has
+		 * no weather for now.
+		 */
+		evaluate(controller) {
+			if (typeof this.constant !== "undefined")
+				return Promise.resolve(this.constant);
+
+			if (this.set === "time")
+				return Promise.resolve(Utils.now() - Time.midnight());
+
+			let item = controller[this.set] ? controller[this.set][this.name]
+				: undefined;
+			if (typeof item === "undefined")
+				return Promise.reject(Utils.exception(
+					TAG, `No ${this.set} '${this.name}' in '${this.source}'`));
+
+			switch (this.set) {
+			case "thermostat":
+				return Promise.resolve(THERMOSTAT_FIELDS[this.field](item));
+			case "pin":
+				return item.getState();
+			default: // weather
+				if (!item.covers(Utils.now()))
+					return Promise.reject(Utils.exception(
+						TAG, `No weather for now in '${this.source}'`));
+				return Promise.resolve(item.get(this.field));
+			}
+		}
+
+		getSerialisable() {
+			return Promise.resolve(this.source);
+		}
+	}
+
+	Operand.Model = {
+		$class: Operand,
+		$doc: "a number, a time of day HH:MM[:SS], `time`, `thermostat.<name>.<field>`, `pin.<name>.state` or `weather.<name>.<field>`"
+	};
+
+	/**
+	 * A comparison between two operands e.g.
+	 * `{ value: "thermostat.CH.temperature", is: "<", than: 18 }`
+	 */
+	class Condition {
+
+		/**
+		 * @param {object} proto see Condition.Model
+		 */
+		constructor(proto) {
+			Utils.extend(this, proto);
+			if (!OPERATORS[this.is])
+				throw Utils.exception(
+					TAG, `Unknown comparison '${this.is}'`);
+		}
+
+		/**
+		 * Promise to evaluate the condition
+		 * @param {Controller} controller the controller
+		 * @param {object} inputs map from operand source to value, the
+		 * values of the operands are added to this
+		 * @return {Promise} resolving to a boolean
+		 */
+		evaluate(controller, inputs) {
+			return Promise.all([
+				this.value.evaluate(controller),
+				this.than.evaluate(controller)
+			])
+			.then(vals => {
+				inputs[this.value.source] = vals[0];
+				inputs[this.than.source] = vals[1];
+				return OPERATORS[this.is](vals[0], vals[1]);
+			});
+		}
+	}
+
+	Condition.Model = {
+		$class: Condition,
+		$doc: "comparison between two operands",
+		value: Utils.extend({}, Operand.Model, {
+			$doc: "left hand side of the comparison"
+		}),
+		is: {
+			$class: String,
+			$doc: "comparison, one of " + Object.keys(OPERATORS).join(" ")
+		},
+		than: Utils.extend({}, Operand.Model, {
+			$doc: "right hand side of the comparison"
+		})
+	};
+
+	/**
+	 * An action to switch a service, e.g. `{ pin: "CH", state: 1 }`
+	 */
+	class Action {
+
+		/**
+		 * @param {object} proto see Action.Model
+		 */
+		constructor(proto) {
+			Utils.extend(this, proto);
+			if (this.state !== 0 && this.state !== 1)
+				throw Utils.exception(
+					TAG, `Bad state ${this.state} for pin '${this.pin}'`);
+			if (typeof this.mode !== "undefined"
+				&& [ "propose", "force", "veto" ].indexOf(this.mode) < 0)
+				throw Utils.exception(
+					TAG, `Bad mode '${this.mode}' for pin '${this.pin}'`);
+		}
+
+		/**
+		 * Promise to perform the action
+		 * @param {Controller} controller the controller
+		 * @param {Rule} rule the rule performing the action
+		 * @param {object} inputs the values of the operands in the conditions
+		 */
+		perform(controller, rule, inputs) {
+			let reason = this.reason || rule.name;
+			if (this.mode === "force")
+				return controller.force(rule, this.pin, this.state, reason, inputs);
+			if (this.mode === "veto")
+				return controller.veto(rule, this.pin, this.state, reason, inputs);
+			return controller.decide(rule, this.pin, this.state, reason, inputs);
+		}
+	}
+
+	Action.Model = {
+		$class: Action,
+		$doc: "set the state of a pin",
+		pin: {
+			$class: String,
+			$doc: "name of the service to switch e.g. CH"
+		},
+		state: {
+			$class: Number,
+			$doc: "1 (on) or 0 (off)"
+		},
+		reason: {
+			$class: String,
+			$optional: true,
+			$doc: "reason recorded on the pin, defaults to the rule name"
+		},
+		mode: {
+			$class: String,
+			$optional: true,
+			$doc: "`propose` (the default), `force` to win over proposals, or `veto` to forbid the state (see Controller.arbitrate)"
+		}
+	};
+
+	/**
+	 * A rule described by data in the configuration rather than by
+	 * Javascript code. The rule has a list of conditions (`when`). If all
+	 * of them are true, the actions in `then` are performed. Otherwise
+	 * the actions in `else` (if any) are performed.
+	 * ```
+	 * "Cold snap": {
+	 *   $instance_of: "server/js/DeclarativeRule",
+	 *   when: [
+	 *     { value: "weather.MetOffice.Temperature", is: "<", than: 0 },
+	 *     { value: "time", is: ">=", than: "06:00" }
+	 *   ],
+	 *   then: [ { pin: "CH", state: 1 } ]
+	 * }
+	 * ```
+	 * Rules are compiled and validated when the configuration is loaded
+	 * (or updated using `/ajax/setconfig`), so syntax errors are reported
+	 * before the rule is ever run.
+	 */
+	class DeclarativeRule extends Rule {
+
+		constructor(proto, name) {
+			super(proto, name);
+		}
+
+		test(controller) {
+			let inputs = {};
+			return Promise.all(this.when.map(
+				c => c.evaluate(controller, inputs)))
+			.then(results => {
+				let actions = results.every(r => r) ? this.then : this.else;
+				if (!actions)
+					return Promise.resolve();
+				return Promise.all(actions.map(
+					a => a.perform(controller, this, inputs)));
+			});
+		}
+	}
+
+	DeclarativeRule.Model = Utils.extend({}, Rule.Model, {
+		$class: DeclarativeRule,
+		when: {
+			$doc: "Conditions, all of which must be true to perform `then`",
+			$array_of: Condition.Model
+		},
+		then: {
+			$doc: "Actions performed when all conditions are true",
+			$array_of: Action.Model
+		},
+		else: {
+			$doc: "Actions performed when any condition is false",
+			$optional: true,
+			$array_of: Action.Model
+		}
+	});
+
+	DeclarativeRule.Operand = Operand;
+	DeclarativeRule.Condition = Condition;
+	DeclarativeRule.Action = Action;
+
+	return DeclarativeRule;
+});
@@ -0,0 +1,367 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+define("server/js/Energy", ["common/js/Utils"], function(Utils) {
+
+	const TAG = "Energy";
+
+	const HOUR = 60 * 60 * 1000;
+
+	const DAY = 24 * HOUR;
+
+	// Periods with fewer degree-days than this are too mild to give a
+	// meaningful efficiency
+	const MIN_DEGREE_DAYS = 1;
+
+	// Most periods that can be reported at once, a year of days
+	const MAX_PERIODS = 366;
+
+	/**
+	 * Energy accounting. Works out how long each pin was on in each
+	 * day, week or month from the pin histories, and estimates the energy
+	 * used and what it cost from the boiler `rating` and the fuel
+	 * `price`.
+	 *
+	 * The boiler is on whenever any of the `pins` that fire it is on, so
+	 * if (for example) CH and HW are on at the same time, the time is
+	 * only counted once in the boiler hours. The estimate assumes the
+	 * boiler runs flat out whenever it is on, so it will be high for a
+	 * modulating boiler.
+	 *
+	 * If `degree_days` is given, the outside temperature is used to work
+	 * out the heating degree-days in each period, which is how far (and
+	 * for how long) it was below the `base` temperature. Dividing the
+	 * hours the CH was on by the degree-days gives an efficiency that
+	 * doesn't depend on the weather, so you can see if (for example)
+	 * insulation has made a difference. Lower is better.
+	 * @param {object} proto see Energy.Model
+	 * @param {string} name identifier
+	 * @class
+	 */
+	class Energy {
+
+		constructor(proto, name) {
+			Utils.extend(this, proto);
+			this.name = name;
+		}
+
+		/**
+		 * Get the periods that make up a report, oldest first. Days start
+		 * at midnight, weeks on Monday, and months on the 1st. The last
+		 * period is the one we are in now.
+		 * @param {string} period "day", "week" or "month"
+		 * @param {number} count number of periods, 1..366
+		 * @return {object[]} array of { start, end } in epoch ms
+		 * @throws {Error} with status 400 if the period or count is bad
+		 */
+		static periods(period, count) {
+			let e;
+			if ([ "day", "week", "month" ].indexOf(period) < 0)
+				e = Utils.exception(TAG, `Unknown period '${period}'`);
+			else if (!Number.isInteger(count) || count < 1
+					 || count > MAX_PERIODS)
+				e = Utils.exception(
+					TAG, `Count must be a whole number from 1 to ${MAX_PERIODS}, not '${count}'`);
+			if (e) {
+				e.status = 400;
+				throw e;
+			}
+
+			function step(d, n) {
+				if (period === "month")
+					d.setMonth(d.getMonth() + n);
+				else
+					d.setDate(d.getDate() + (period === "week" ? 7 * n : n));
+			}
+
+			let start = new Date(Utils.now());
+			start.setHours(0, 0, 0, 0);
+			if (period === "week")
+				start.setDate(start.getDate() - (start.getDay() + 6) % 7);
+			else if (period === "month")
+				start.setDate(1);
+			step(start, 1 - count);
+
+			let periods = [];
+			for (let i = 0; i < count; i++) {
+				let end = new Date(start.getTime());
+				step(end, 1);
+				periods.push({ start: start.getTime(), end: end.getTime() });
+				start = end;
+			}
+			return periods;
+		}
+
+		/**
+		 * Get the times a pin was on from its history
+		 * @param {number[]} history as returned by
+		 * Historian.getSerialisableHistory
+		 * @return {number[][]} array of [ start, end ] epoch ms
+		 */
+		static onTimes(history) {
+			let times = [];
+			if (!history || history.length < 3)
+				return times;
+			let on;
+			for (let i = 1; i < history.length; i += 2) {
+				let t = history[0] + history[i];
+				if (history[i + 1] > 0) {
+					if (typeof on === "undefined")
+						on = t;
+				} else if (typeof on !== "undefined") {
+					times.push([ on, t ]);
+					on = undefined;
+				}
+			}
+			// Still on
+			if (typeof on !== "undefined")
+				times.push([ on, Utils.now() ]);
+			return times;
+		}
+
+		/**
+		 * Merge sets of times into a single set, so overlapping times
+		 * are only counted once
+		 * @param {number[][][]} sets arrays of [ start, end ]
+		 * @return {number[][]} merged array of [ start, end ]
+		 */
+		static union(sets) {
+			let all = [].concat(...sets).sort((a, b) => a[0] - b[0]);
+			let merged = [];
+			for (let t of all) {
+				let last = merged[merged.length - 1];
+				if (last && t[0] <= last[1])
+					last[1] = Math.max(last[1], t[1]);
+				else
+					merged.push([ t[0], t[1] ]);
+			}
+			return merged;
+		}
+
+		/**
+		 * Get how long a set of times overlaps a period
+		 * @param {number[][]} times array of [ start, end ]
+		 * @param {number} start start of the period, epoch ms
+		 * @param {number} end end of the period, epoch ms
+		 * @return {number} ms
+		 */
+		static overlap(times, start, end) {
+			let ms = 0;
+			for (let t of times)
+				ms += Math.max(0, Math.min(end, t[1]) - Math.max(start, t[0]));
+			return ms;
+		}
+
+		/**
+		 * Get the heating degree-days in a period from a temperature
+		 * history. Each sample holds until the next one (or until now,
+		 * for the last sample).
+		 * @param {number[]} history as returned by
+		 * Historian.getSerialisableHistory
+		 * @param {number} base base temperature
+		 * @param {number} start start of the period, epoch ms
+		 * @param {number} end end of the period, epoch ms
+		 * @return {number} degree-days
+		 */
+		static degreeDays(history, base, start, end) {
+			if (!history || history.length < 3)
+				return 0;
+			let sum = 0;
+			for (let i = 1; i < history.length; i += 2) {
+				let from = history[0] + history[i];
+				let to = i + 2 < history.length
+					? history[0] + history[i + 2] : Utils.now();
+				let ms = Math.min(end, to) - Math.max(start, from);
+				if (ms > 0)
+					sum += Math.max(0, base - history[i + 1]) * ms;
+			}
+			return sum / DAY;
+		}
+
+		/**
+		 * Get the slope of the least squares line through a series
+		 * @param {number[]} ys values, some of which may be null
+		 * @return {number} change in value per step, or undefined if
+		 * there are fewer than two values
+		 */
+		static trend(ys) {
+			let points = [];
+			ys.forEach((y, x) => {
+				if (y !== null)
+					points.push([ x, y ]);
+			});
+			if (points.length < 2)
+				return undefined;
+			let n = points.length;
+			let mx = points.reduce((a, p) => a + p[0], 0) / n;
+			let my = points.reduce((a, p) => a + p[1], 0) / n;
+			let sxy = 0, sxx = 0;
+			for (let p of points) {
+				sxy += (p[0] - mx) * (p[1] - my);
+				sxx += (p[0] - mx) * (p[0] - mx);
+			}
+			return sxy / sxx;
+		}
+
+		/**
+		 * Promise to get the outside temperature history for degree-days
+		 * @param {Controller} controller the controller
+		 * @return {Promise} resolves to the history, or undefined
+		 * @private
+		 */
+		_getOutside(controller) {
+			let name = this.degree_days.outside;
+			let source = controller.weather && controller.weather[name];
+			if (!source && controller.thermostat)
+				source = controller.thermostat[name];
+			if (!source) {
+				Utils.TRACE(TAG, `No weather agent or thermostat '${name}'`);
+				return Promise.resolve();
+			}
+			return source.getSerialisableLog();
+		}
+
+		/**
+		 * Promise to get the times each of the `pins` was on
+		 * @param {Controller} controller the controller
+		 * @return {Promise} resolves to a map from pin name to an
+		 * array of [ start, end ]
+		 */
+		getOnTimes(controller) {
+			let times = {};
+			return Promise.all(this.pins.map(name => {
+				let pin = controller.pin[name];
+				if (typeof pin === "undefined")
+					return Promise.resolve();
+				return pin.getSerialisableLog()
+				.then(history => {
+					times[name] = Energy.onTimes(history);
+				});
+			}))
+			.then(() => times);
+		}
+
+		/**
+		 * Promise to report run hours, energy and cost
+		 * @param {Controller} controller the controller
+		 * @param {string} period "day", "week" or "month"
+		 * @param {number} count number of periods to report
+		 * @return {Promise} resolves to { period, rating, price, currency,
+		 * periods } where periods is an array (oldest first) of
+		 * { start, end, pins, hours, kWh, cost }. `pins` maps pin name
+		 * to hours on, and `hours` is the hours the boiler was on. If
+		 * `degree_days` is configured, each period also has
+		 * `degree_days` and `efficiency` (hours per degree-day, null if
+		 * the period was too mild), and the report has `base` and
+		 * `trend`, the change in efficiency per period. Rejects with
+		 * status 400 if the period or count is bad.
+		 */
+		report(controller, period, count) {
+			let periods;
+			try {
+				periods = Energy.periods(period, count);
+			} catch (e) {
+				return Promise.reject(e);
+			}
+			let outside;
+			return (this.degree_days
+					? this._getOutside(controller) : Promise.resolve())
+			.then(h => {
+				outside = h;
+				return this.getOnTimes(controller);
+			})
+			.then(times => {
+				let boiler = Energy.union(Object.values(times));
+				for (let p of periods) {
+					p.pins = {};
+					for (let name in times)
+						p.pins[name] = round(
+							Energy.overlap(times[name], p.start, p.end) / HOUR, 2);
+					let hours = Energy.overlap(boiler, p.start, p.end) / HOUR;
+					p.hours = round(hours, 2);
+					p.kWh = round(hours * this.rating, 1);
+					p.cost = round(hours * this.rating * this.price, 2);
+				}
+				let report = {
+					period: period,
+					rating: this.rating,
+					price: this.price,
+					currency: this.currency,
+					periods: periods
+				};
+				if (!this.degree_days)
+					return report;
+
+				let dd = this.degree_days;
+				let efficiencies = periods.map(p => {
+					let days = Energy.degreeDays(outside, dd.base, p.start, p.end);
+					p.degree_days = round(days, 1);
+					let on = times[dd.pin]
+						? Energy.overlap(times[dd.pin], p.start, p.end) / HOUR : 0;
+					p.efficiency = days < MIN_DEGREE_DAYS
+						? null : round(on / days, 2);
+					return p.efficiency;
+				});
+				report.base = dd.base;
+				let trend = Energy.trend(efficiencies);
+				if (typeof trend !== "undefined")
+					report.trend = round(trend, 3);
+				return report;
+			});
+		}
+	}
+
+	/**
+	 * Round a number to a number of decimal places
+	 * @private
+	 */
+	function round(n, places) {
+		let f = Math.pow(10, places);
+		return Math.round(n * f) / f;
+	}
+
+	Energy.Model = {
+		$class: Energy,
+		pins: {
+			$doc: "Names of the pins that fire the boiler. Each must have a history.",
+			$array_of: { $class: String },
+			$default: [ "CH", "HW" ]
+		},
+		rating: {
+			$class: Number,
+			$doc: "Power (kW) the boiler uses while it is on",
+			$default: 24
+		},
+		price: {
+			$class: Number,
+			$doc: "Fuel price per kWh",
+			$default: 0.04
+		},
+		currency: {
+			$class: String,
+			$doc: "Currency symbol for costs",
+			$default: "£"
+		},
+		degree_days: {
+			$doc: "Set to work out heating degree-days and efficiency",
+			$optional: true,
+			outside: {
+				$class: String,
+				$doc: "Name of a weather agent or thermostat that records the outside temperature"
+			},
+			base: {
+				$class: Number,
+				$doc: "Base temperature (°C); heating is needed when it is colder than this outside",
+				$default: 15.5
+			},
+			pin: {
+				$class: String,
+				$doc: "Pin that heats the building. Must be one of the `pins`.",
+				$default: "CH"
+			}
+		}
+	};
+
+	return Energy;
+});
@@ -0,0 +1,168 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+define("server/js/FrostRule", ["common/js/Utils", "common/js/Time", "server/js/Rule"], (Utils, Time, Rule) => {
+
+	const TAG = "FrostRule";
+
+	/**
+	 * Frost protection. If the temperature falls below the `floor`, the
+	 * services are forced on, overriding all other rules (it has a high
+	 * `priority`), requests and timelines, until it has risen `hysteresis` degrees
+	 * above the floor. This protects pipes even if the heating is disabled
+	 * or its timeline is set very low.
+	 *
+	 * If the thermostat has not had a good reading for `stale` ms it
+	 * can't be trusted, so the outside temperature reported by the
+	 * weather agent is used instead, compared to `outside_floor`. If there
+	 * is no weather information either, the protection stays as it was.
+	 *
+	 * An alert is raised when frost protection comes on.
+	 * @class
+	 */
+	class FrostRule extends Rule {
+
+		constructor(proto, name) {
+			super(proto, name);
+
+			// Whether frost protection is active
+			this.active = false;
+
+			// What triggered the protection, "inside" or "outside"
+			this.trigger = undefined;
+		}
+
+		/**
+		 * Get the outside temperature from the weather agent
+		 * @param {object} inputs as returned by getInputs
+		 * @return {number} outside temperature, or undefined
+		 * @private
+		 */
+		_getOutside(inputs) {
+			if (!inputs.weather)
+				return undefined;
+			if (typeof this.weather !== "undefined")
+				return inputs.weather[this.weather];
+			for (let name in inputs.weather)
+				if (typeof inputs.weather[name] === "number")
+					return inputs.weather[name];
+			return undefined;
+		}
+
+		/**
+		 * Work out if frost protection is needed
+		 * @param {Thermostat} thermostat the thermostat
+		 * @param {object} inputs as returned by getInputs, updated with
+		 * the reading used
+		 * @return {boolean} true if protection is needed, false if not,
+		 * undefined if it can't be determined
+		 */
+		needed(thermostat, inputs) {
+			// Once on, stay on until comfortably above the floor
+			let margin = this.active ? this.hysteresis : 0;
+
+			let waiting = Utils.now() - thermostat.lastKnownGood;
+			if (waiting <= this.stale) {
+				inputs.trigger = "inside";
+				return inputs.temperature < this.floor + margin;
+			}
+
+			let outside = this._getOutside(inputs);
+			if (typeof outside !== "number") {
+				Utils.TRACE(TAG, `${this.thermostat} has had no reading for `,
+							Time.formatDelta(waiting), " and no weather");
+				return undefined;
+			}
+			inputs.trigger = "outside";
+			inputs.outside = outside;
+			return outside < this.outside_floor + margin;
+		}
+
+		test(controller) {
+			let thermostat = controller.thermostat[this.thermostat];
+			let inputs = this.getInputs(controller, thermostat);
+			inputs.floor = this.floor;
+
+			let protect = this.needed(thermostat, inputs);
+			if (typeof protect === "undefined")
+				protect = this.active;
+
+			if (protect && !this.active) {
+				this.alert(inputs.trigger === "outside"
+						   ? `Frost protection on, outside is ${inputs.outside}°C and ${this.thermostat} has no reading`
+						   : `Frost protection on, ${this.thermostat} is ${inputs.temperature}°C`);
+				this.trigger = inputs.trigger;
+			}
+			this.active = protect;
+
+			let promises = [];
+			for (let service of this.services) {
+				if (protect)
+					promises.push(controller.force(
+						this, service, 1, "Frost protection", inputs));
+				else
+					promises.push(controller.decide(
+						this, service, undefined, "No frost risk", inputs));
+			}
+			return Promise.all(promises);
+		}
+
+		/**
+		 * Promise to get the state of the rule, for /ajax/state
+		 * @return {Promise} resolves to { active, trigger }
+		 */
+		getSerialisableState() {
+			return Promise.resolve({
+				active: this.active,
+				trigger: this.active ? this.trigger : undefined
+			});
+		}
+	}
+
+	FrostRule.Model = Utils.extend({}, Rule.Model, {
+		$class: FrostRule,
+		priority: {
+			$class: Number,
+			$doc: "See Rule.Model. Frost protection is a safety rule, so it has a high priority.",
+			$default: 100
+		},
+		thermostat: {
+			$class: String,
+			$doc: "Name of the thermostat that measures the temperature to protect",
+			$default: "CH"
+		},
+		services: {
+			$doc: "Names of the services switched on to protect against frost e.g. CH and a hot water circulation pump",
+			$array_of: { $class: String },
+			$default: [ "CH" ]
+		},
+		floor: {
+			$class: Number,
+			$doc: "Temperature (°C) below which frost protection comes on",
+			$default: 5
+		},
+		hysteresis: {
+			$class: Number,
+			$doc: "Degrees above the floor the temperature must rise before frost protection goes off",
+			$default: 1
+		},
+		stale: {
+			$class: Number,
+			$doc: "Time (ms) without a good thermostat reading after which the outside temperature is used instead",
+			$default: 10 * 60 * 1000
+		},
+		weather: {
+			$class: String,
+			$optional: true,
+			$doc: "Name of the weather agent to use (default the first one)"
+		},
+		outside_floor: {
+			$class: Number,
+			$doc: "Outside temperature (°C) below which frost protection comes on, when the thermostat is stale",
+			$default: 0
+		}
+	});
+
+	return FrostRule;
+});
@@ -0,0 +1,137 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+define("server/js/Geofence", ["common/js/Utils", "common/js/Location"], function(Utils, Location) {
+
+	const TAG = "Geofence";
+
+	/**
+	 * Presence source that works out who is home from location reports
+	 * sent by household phones to `/ajax/location`. A person is home if
+	 * their last report was within `radius` metres of the server
+	 * location.
+	 *
+	 * Reports can come from OwnTracks (in HTTP mode), or be a plain POST
+	 * of `{ latitude, longitude }`. The person is identified by the last
+	 * component of the URL path e.g. `/ajax/location/Fred`, or by the
+	 * `person` (or OwnTracks `tid`) field in the report.
+	 *
+	 * If a person who is away gets at least `approach` metres closer to
+	 * home between two reports, they are assumed to be heading home, and
+	 * their estimated time of arrival is worked out from their speed.
+	 * @param {object} proto see Geofence.Model
+	 * @param {string} name identifier
+	 * @class
+	 */
+	class Geofence {
+
+		constructor(proto, name) {
+			Utils.extend(this, proto);
+			this.name = name;
+
+			// Home location, set by setLocation
+			this.home = undefined;
+
+			// Map from person to the last thing we know about them
+			// { time, distance, home, eta }
+			this.people = {};
+		}
+
+		/**
+		 * Set the location of the server, which is home
+		 * @param {Location} location where the server is
+		 */
+		setLocation(location) {
+			this.home = location;
+		}
+
+		/**
+		 * Handle a location report
+		 * @param {string} person who the report is about, or undefined
+		 * to take it from the report
+		 * @param {object} data the report
+		 * @return {boolean} true if the report was used, false if it was
+		 * not a location report
+		 */
+		report(person, data) {
+			if (typeof data._type !== "undefined" && data._type !== "location")
+				// OwnTracks sends other message types, which we ignore
+				return false;
+			if (typeof this.home === "undefined")
+				throw Utils.exception(TAG, "No home location");
+
+			person = person || data.person || data.tid;
+			if (typeof person === "undefined")
+				throw Utils.exception(TAG, "Location report doesn't say who it is for");
+
+			let where = new Location(
+				Number(typeof data.lat !== "undefined" ? data.lat : data.latitude),
+				Number(typeof data.lon !== "undefined" ? data.lon : data.longitude));
+			if (isNaN(where.latitude) || isNaN(where.longitude))
+				throw Utils.exception(TAG, `Bad location report for ${person}`);
+
+			// OwnTracks time is in epoch seconds
+			let time = typeof data.tst !== "undefined"
+				? data.tst * 1000 : Utils.now();
+			let distance = where.haversine(this.home);
+			let state = {
+				time: time,
+				distance: distance,
+				home: distance <= this.radius
+			};
+
+			let last = this.people[person];
+			if (!state.home && last && time > last.time
+				&& last.distance - distance >= this.approach) {
+				let speed = (last.distance - distance) / (time - last.time);
+				state.eta = time + Math.round(distance / speed);
+			}
+
+			Utils.TRACE(TAG, `${person} is ${Math.round(distance)}m from home`,
+						state.eta ? `, arriving ${new Date(state.eta)}` : "");
+			this.people[person] = state;
+			return true;
+		}
+
+		/**
+		 * Get what is known about who is home
+		 * @return {object} map from person to { home, eta } where eta
+		 * is the estimated time of arrival of someone heading home
+		 */
+		getPresence() {
+			let presence = {};
+			for (let person in this.people) {
+				let p = this.people[person];
+				presence[person] = { home: p.home };
+				if (typeof p.eta !== "undefined")
+					presence[person].eta = p.eta;
+			}
+			return presence;
+		}
+
+		/**
+		 * Promise to get the state of the source, for /ajax/state
+		 * @return {Promise} resolves to the map of people
+		 */
+		getSerialisableState() {
+			return Promise.resolve(this.people);
+		}
+	}
+
+	Geofence.Model = {
+		$class: Geofence,
+		radius: {
+			$class: Number,
+			$doc: "Distance (metres) from the server location within which a person is at home",
+			$default: 500
+		},
+		approach: {
+			$class: Number,
+			$doc: "Distance (metres) a person must get closer to home between reports to be heading home",
+			$default: 200
+		}
+	};
+
+	return Geofence;
+});
@@ -1,9 +1,10 @@
 define("server/js/HotWaterRule", ["common/js/Utils", "server/js/Rule"], (Utils, Rule) => {
 
-	// How close to the target temperature we want to be. Water will
-	// be turned on if temp drops lower than this below the target. You
-	// could set this to 0, but there is the risk of the system oscillating.
-	const PRECISION = 2;
+	// How close to the target temperature we want to be, if the
+	// thermostat doesn't set a `hysteresis`. Water will be turned on if
+	// temp drops lower than this below the target. You could set this to
+	// 0, but there is the risk of the system oscillating.
+	const HYSTERESIS = 2;
 
 	class HotWaterRule extends Rule {
 
@@ -12,55 +13,33 @@ define("server/js/HotWaterRule", ["common/js/Utils", "server/js/Rule"], (Utils,
 		}
 
 		test(controller) {
-			let thermostat = controller.thermostat.HW;
-			let pin = controller.pin.HW;
-
-			return pin.getState()
-			.then(function(state) {
-				if (thermostat.temperature > thermostat.getMaximumTemperature()) {
-					// Hot enough, so switch off regardless of other rules
-					if (state === 1) {
-						Utils.TRACE("Rules", "HW is overheating ", thermostat.temperature,
-									"°C so turning off");
-						pin.reason = "Overheat";
-					}
-					// Use setPromise rather than Pin.setState() because setPromise
-					// handles the interaction between HW and CH in Y-plan systems
-					return controller.setPromise("HW", 0);
-				}
-
-				// Otherwise respect the timeline
-				let target = thermostat.getTargetTemperature();
-				if (thermostat.temperature > target) {
-					// Hot enough, so switch off regardless of other rules
-					if (state === 1) {
-						Utils.TRACE("Rules", "HW is ", thermostat.temperature,
-									"°C so turning off");
-						pin.reason = "Hot enough";
-					}
-					// Use setPromise rather than Pin.setState() because setPromise
-					// handles the interaction between HW and CH in Y-plan systems
-					return controller.setPromise("HW", 0);
-				}
-
-				if (thermostat.temperature < target - PRECISION) {
-					if (state === 0) {
-						Utils.TRACE("Rules", "HW only ",
-									thermostat.temperature,
-									"°C, so on");
-						pin.reason = "Too cold";
-					}
-					return controller.setPromise("HW", 1);
-				}
-
-				return Promise.resolve();
-			});
+			let thermostat = controller.thermostat[this.thermostat];
+			let inputs = this.getInputs(controller, thermostat);
+
+			// Decide rather than Pin.setState() because it goes via
+			// setPromise, which lets the topology handle the interaction
+			// between HW and CH in e.g. Y-plan systems
+			return this.decideOnTemperature(
+				controller, inputs, inputs.target,
+				typeof inputs.hysteresis === "number"
+				? inputs.hysteresis : HYSTERESIS,
+				"Hot enough");
 		}
 	}
 
-	HotWaterRule.Model = {
-		$class: HotWaterRule
-	};
+	HotWaterRule.Model = Utils.extend({}, Rule.Model, {
+		$class: HotWaterRule,
+		thermostat: {
+			$class: String,
+			$doc: "Name of the thermostat that measures the hot water temperature",
+			$default: "HW"
+		},
+		service: {
+			$class: String,
+			$doc: "Name of the service switched by the rule",
+			$default: "HW"
+		}
+	});
 
 	return HotWaterRule;
 });
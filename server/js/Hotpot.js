@@ -95,7 +95,7 @@ requirejs(["node-getopt", "common/js/Location", "common/js/Utils", "common/js/Da
 			"config_change",
 			() => {
 				DataModel.saveData(config, HOTPOT_MODEL, cliopt.config)
-				.done(() => {
+				.then(() => {
 					Utils.TRACE(TAG, cliopt.config, " updated");
 				});
 			});
@@ -0,0 +1,248 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+define("server/js/LANPresence", ["fs", "common/js/Utils"], function(fs, Utils) {
+
+	const Fs = fs.promises;
+
+	const TAG = "LANPresence";
+
+	/**
+	 * Presence source that works out who is home by looking for their
+	 * devices (usually phones) on the local network. Each person has a
+	 * list of MAC addresses and/or hostnames. Every `poll_every` seconds
+	 * the kernel ARP table (`arp`) and the dnsmasq leases file (`leases`)
+	 * are read, and a person is home if any of their devices is found.
+	 *
+	 * Phones drop off the network when they are asleep, so a person is
+	 * only taken to be away when none of their devices has been seen for
+	 * `debounce` ms. They are home as soon as one is seen.
+	 *
+	 * The ARP table only has MAC and IP addresses. Hostnames are found
+	 * from the leases file, where an unexpired lease also counts as the
+	 * device being seen. Leases can last for hours, so if you rely on
+	 * them, keep the DHCP lease time short.
+	 * @param {object} proto see LANPresence.Model
+	 * @param {string} name identifier
+	 * @class
+	 */
+	class LANPresence {
+
+		constructor(proto, name) {
+			Utils.extend(this, proto);
+			this.name = name;
+
+			// Map from person to { home, seen }, where seen is the
+			// last time one of their devices was seen
+			this.state = {};
+		}
+
+		/**
+		 * Promise to read a file, resolving to an array of lines split
+		 * into fields. If the file can't be read, resolves to undefined.
+		 * @param {string} file path to the file
+		 * @return {Promise} resolves to array of arrays, or undefined
+		 * @private
+		 */
+		_readTable(file) {
+			if (typeof file === "undefined" || file.length === 0)
+				return Promise.resolve();
+			let path = Utils.expandEnvVars(file);
+			return Fs.readFile(path)
+			.then(content => content.toString().split("\n")
+				  .map(line => line.trim())
+				  .filter(line => line.length > 0)
+				  .map(line => line.split(/\s+/)))
+			.catch(e => {
+				Utils.TRACE(TAG, `Could not read ${path}: ${e}`);
+				return undefined;
+			});
+		}
+
+		/**
+		 * Promise to find the devices that are on the network
+		 * @return {Promise} resolves to a Set of lower case MAC
+		 * addresses and hostnames, or undefined if nothing could be read
+		 * @private
+		 */
+		_findDevices() {
+			return Promise.all([
+				this._readTable(this.arp),
+				this._readTable(this.leases)
+			])
+			.then(tables => {
+				let arp = tables[0], leases = tables[1];
+				if (!arp && !leases)
+					return undefined;
+
+				let seen = new Set();
+				let hostnames = {};
+
+				// dnsmasq leases are "<expiry> <mac> <ip> <hostname> <client id>",
+				// where an expiry of 0 means never
+				if (leases) {
+					let now = Utils.now() / 1000;
+					for (let lease of leases) {
+						if (lease.length < 4)
+							continue;
+						let mac = lease[1].toLowerCase();
+						let host = lease[3].toLowerCase();
+						if (host !== "*")
+							hostnames[mac] = host;
+						let expiry = Number(lease[0]);
+						if (expiry === 0 || expiry > now) {
+							seen.add(mac);
+							if (host !== "*")
+								seen.add(host);
+						}
+					}
+				}
+
+				// /proc/net/arp is "<ip> <hw type> <flags> <mac> <mask> <device>"
+				// after a header line. Flags 0x0 is an incomplete entry.
+				if (arp) {
+					for (let entry of arp.slice(1)) {
+						if (entry.length < 4 || Number(entry[2]) === 0)
+							continue;
+						let mac = entry[3].toLowerCase();
+						seen.add(mac);
+						if (hostnames[mac])
+							seen.add(hostnames[mac]);
+					}
+				}
+
+				return seen;
+			});
+		}
+
+		/**
+		 * Promise to look for everyone's devices, and update who is home
+		 * @return {Promise} resolves to this
+		 */
+		update() {
+			return this._findDevices()
+			.then(seen => {
+				if (!seen)
+					return this;
+
+				let now = Utils.now();
+				for (let person in this.people) {
+					let found = this.people[person].some(
+						d => seen.has(d.toLowerCase()));
+					let state = this.state[person];
+					if (typeof state === "undefined") {
+						state = this.state[person] = {
+							home: found,
+							seen: found ? now : undefined
+						};
+						Utils.TRACE(TAG, `${person} is ${found ? "home" : "away"}`);
+						continue;
+					}
+					if (found) {
+						state.seen = now;
+						if (!state.home)
+							Utils.TRACE(TAG, `${person} has come home`);
+						state.home = true;
+					} else if (state.home
+							   && !(now - state.seen < this.debounce)) {
+						Utils.TRACE(TAG, `${person} has gone out`);
+						state.home = false;
+					}
+				}
+				return this;
+			});
+		}
+
+		/**
+		 * Promise to start polling the network
+		 * @return {Promise} resolves to this
+		 */
+		initialise() {
+			this.interrupted = false;
+			return this.poll();
+		}
+
+		/**
+		 * Promise to update, and schedule the next update
+		 * @return {Promise} resolves to this
+		 */
+		poll() {
+			delete this.pollTimer;
+			return this.update()
+			.finally(() => {
+				if (this.interrupted) {
+					Utils.TRACE(TAG, `'${this.name}' interrupted`);
+					this.interrupted = false;
+					return;
+				}
+				this.pollTimer = Utils.startTimer(
+					`poll${this.name}`,
+					() => this.poll(),
+					1000 * this.poll_every);
+			});
+		}
+
+		/**
+		 * Stop polling
+		 */
+		stop() {
+			if (this.pollTimer) {
+				Utils.cancelTimer(this.pollTimer);
+				delete this.pollTimer;
+			} else
+				this.interrupted = true;
+		}
+
+		/**
+		 * Get what is known about who is home
+		 * @return {object} map from person to { home }
+		 */
+		getPresence() {
+			let presence = {};
+			for (let person in this.state)
+				presence[person] = { home: this.state[person].home };
+			return presence;
+		}
+
+		/**
+		 * Promise to get the state of the source, for /ajax/state
+		 * @return {Promise} resolves to map from person to { home, seen }
+		 */
+		getSerialisableState() {
+			return Promise.resolve(this.state);
+		}
+	}
+
+	LANPresence.Model = {
+		$class: LANPresence,
+		people: {
+			$doc: "Map from a person to the MAC addresses and/or hostnames of their devices",
+			$map_of: {
+				$array_of: { $class: String }
+			}
+		},
+		arp: {
+			$class: String,
+			$doc: "Path to the kernel ARP table. Set to an empty string to not use it.",
+			$default: "/proc/net/arp"
+		},
+		leases: {
+			$class: String,
+			$doc: "Path to the dnsmasq leases file, if there is one e.g. /var/lib/misc/dnsmasq.leases",
+			$optional: true
+		},
+		poll_every: {
+			$class: Number,
+			$doc: "Time (seconds) between looks at the network",
+			$default: 60
+		},
+		debounce: {
+			$class: Number,
+			$doc: "Time (ms) none of a person's devices must be missing from the network before they are away",
+			$default: 10 * 60 * 1000
+		}
+	};
+
+	return LANPresence;
+});
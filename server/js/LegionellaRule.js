@@ -0,0 +1,232 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+define("server/js/LegionellaRule", ["common/js/Utils", "common/js/Time", "server/js/Rule", "server/js/Historian"], (Utils, Time, Rule, Historian) => {
+
+	const TAG = "LegionellaRule";
+
+	const DAY = 24 * 60 * 60 * 1000;
+
+	/**
+	 * Anti-legionella cycle. Hot water must be raised to a sterilisation
+	 * `temperature` at least once every `interval`, to kill legionella
+	 * bacteria in the cylinder. A cycle is started at the last `start`
+	 * time of day before the interval runs out, and the hot water is forced
+	 * on, overriding the other rules, until the temperature is reached.
+	 * The sterilisation temperature is usually over the maximum of the
+	 * thermostat's timeline, so the cycle adds a boost request for it to
+	 * the thermostat, to stop the overheat veto from switching the
+	 * service off.
+	 *
+	 * Any time the temperature reaches the sterilisation temperature
+	 * counts, so if the normal timeline (or a boost for a shower) gets
+	 * there the next cycle is simply rescheduled. The time of the last
+	 * success is recorded in the (optional) `history`, so it survives a
+	 * restart.
+	 *
+	 * If a cycle fails to reach the temperature within `timeout`, an alert
+	 * is raised, and the cycle is tried again at the next `start` time.
+	 * @class
+	 */
+	class LegionellaRule extends Rule {
+
+		constructor(proto, name) {
+			super(proto, name);
+
+			// Time of day to start cycles, ms since midnight
+			this.startTime = Time.parse(this.start);
+
+			// Time of the last success, epoch ms
+			this.lastSuccess = undefined;
+
+			// Time the next cycle is due, epoch ms
+			this.due = undefined;
+
+			// Time the running cycle was started, epoch ms
+			this.running = undefined;
+
+			// Highest temperature seen during the running cycle
+			this.peak = undefined;
+
+			// Set while the temperature is at or above the sterilisation
+			// temperature
+			this.hot = false;
+		}
+
+		/**
+		 * Schedule the next cycle at the first start time at or after
+		 * the given time
+		 * @param {number} from epoch ms
+		 * @private
+		 */
+		_schedule(from) {
+			let midnight = new Date(from);
+			midnight.setHours(0, 0, 0, 0);
+			let due = midnight.getTime() + this.startTime;
+			if (due < from)
+				due += DAY;
+			this.due = due;
+			Utils.TRACE(TAG, `Next cycle due ${new Date(due)}`);
+		}
+
+		/**
+		 * Schedule the next cycle after a success, at the last start
+		 * time before the interval runs out
+		 * @private
+		 */
+		_scheduleAfterSuccess() {
+			this._schedule(this.lastSuccess
+						   + Math.max(0, this.interval - DAY));
+		}
+
+		/**
+		 * Promise to find the last success from the history, and schedule
+		 * the next cycle
+		 * @private
+		 */
+		_loadLastSuccess() {
+			let promise = this.history
+				? this.history.getSerialisableHistory()
+				: Promise.resolve([]);
+			return promise.then(h => {
+				if (h.length > 1) {
+					this.lastSuccess = h[0] + h[h.length - 2];
+					this._scheduleAfterSuccess();
+				} else
+					this._schedule(Utils.now());
+			});
+		}
+
+		/**
+		 * Stop the running cycle, removing its request
+		 * @param {Thermostat} thermostat the thermostat being sterilised
+		 * @private
+		 */
+		_stop(thermostat) {
+			this.running = undefined;
+			thermostat.purgeRequests({ source: this.name }, true);
+		}
+
+		/**
+		 * Promise to record a success
+		 * @param {Thermostat} thermostat the thermostat being sterilised
+		 * @param {number} temperature the temperature reached
+		 * @private
+		 */
+		_succeeded(thermostat, temperature) {
+			Utils.TRACE(TAG, `Sterilised at ${temperature}`);
+			this.lastSuccess = Utils.now();
+			this._stop(thermostat);
+			this._scheduleAfterSuccess();
+			if (this.history)
+				return this.history.record(temperature, this.lastSuccess);
+			return Promise.resolve();
+		}
+
+		test(controller) {
+			let promise = typeof this.due === "undefined"
+				? this._loadLastSuccess() : Promise.resolve();
+
+			return promise.then(() => {
+				let thermostat = controller.thermostat[this.thermostat];
+				let inputs = this.getInputs(controller, thermostat);
+				inputs.sterilise = this.temperature;
+
+				if (inputs.temperature >= this.temperature) {
+					let p = this.hot ? Promise.resolve()
+						: this._succeeded(thermostat, inputs.temperature);
+					this.hot = true;
+					return p.then(() => controller.decide(
+						this, this.service, undefined, "Sterilised", inputs));
+				}
+				this.hot = false;
+
+				if (typeof this.running === "undefined"
+					&& Utils.now() >= this.due) {
+					Utils.TRACE(TAG, "Starting cycle");
+					this.running = Utils.now();
+					this.peak = inputs.temperature;
+					// Raise the maximum, so overheat doesn't stop the cycle
+					thermostat.addRequest(
+						this.name, this.temperature, Utils.BOOST);
+				}
+
+				if (typeof this.running === "undefined")
+					return controller.decide(
+						this, this.service, undefined, "Not due", inputs);
+
+				this.peak = Math.max(this.peak, inputs.temperature);
+				if (Utils.now() - this.running > this.timeout) {
+					this.alert(`Legionella cycle started ${new Date(this.running)} failed to reach ${this.temperature}°C in ${Time.formatDelta(this.timeout)}, the highest was ${this.peak}°C`);
+					this._stop(thermostat);
+					this._schedule(Utils.now());
+					return controller.decide(
+						this, this.service, undefined, "Cycle failed", inputs);
+				}
+
+				// Force the service on until sterilised, overriding the
+				// other rules
+				return controller.force(
+					this, this.service, 1, "Legionella cycle", inputs);
+			});
+		}
+
+		/**
+		 * Promise to get the state of the rule, for /ajax/state
+		 * @return {Promise} resolves to { last, due, running }
+		 */
+		getSerialisableState() {
+			return Promise.resolve({
+				last: this.lastSuccess,
+				due: this.due,
+				running: this.running
+			});
+		}
+	}
+
+	LegionellaRule.Model = Utils.extend({}, Rule.Model, {
+		$class: LegionellaRule,
+		priority: {
+			$class: Number,
+			$doc: "See Rule.Model. Legionella protection is a safety rule, so it has a high priority.",
+			$default: 90
+		},
+		thermostat: {
+			$class: String,
+			$doc: "Name of the thermostat that measures the hot water temperature",
+			$default: "HW"
+		},
+		service: {
+			$class: String,
+			$doc: "Name of the service that heats the hot water",
+			$default: "HW"
+		},
+		temperature: {
+			$class: Number,
+			$doc: "Sterilisation temperature (°C)",
+			$default: 60
+		},
+		interval: {
+			$class: Number,
+			$doc: "Longest time (ms) allowed between sterilisations",
+			$default: 7 * 24 * 60 * 60 * 1000
+		},
+		start: {
+			$class: String,
+			$doc: "Time of day (HH:MM) to start a cycle when one is due",
+			$default: "02:00"
+		},
+		timeout: {
+			$class: Number,
+			$doc: "Time (ms) a cycle has to reach the sterilisation temperature before it is abandoned and an alert raised",
+			$default: 4 * 60 * 60 * 1000
+		},
+		history: Utils.extend({
+			$doc: "Where to record the time and temperature of each sterilisation",
+			$optional: true
+		}, Historian.Model)
+	});
+
+	return LegionellaRule;
+});
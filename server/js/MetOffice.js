@@ -120,7 +120,7 @@ define("server/js/MetOffice", ["follow-redirects", "url", "common/js/Location",
 				// Clip to the current time
 				let before = -1,
 					after = -1;
-				let now = Date.now();
+				let now = Utils.now();
 				for (let i = 1; i < h.length; i += 2) {
 					if (h[0] + h[i] <= now)
 						before = i;
@@ -278,7 +278,7 @@ define("server/js/MetOffice", ["follow-redirects", "url", "common/js/Location",
 		 */
 		getWeather() {
 			if (typeof this.after !== "undefined" &&
-				Date.now() < this.after.$) {
+				Utils.now() < this.after.$) {
 				return Promise.resolve();
 			}
 
@@ -310,13 +310,21 @@ define("server/js/MetOffice", ["follow-redirects", "url", "common/js/Location",
 			});
 		};
 
-		bracket() {
-			let now = Date.now();
+		/**
+		 * Find the reports either side of the given time
+		 * @param {number} time epoch ms, defaults to now
+		 * @return {object} { before: report, after: report } either of
+		 * which may be undefined
+		 * @private
+		 */
+		bracket(time) {
+			if (typeof time === "undefined")
+				time = Utils.now();
 			let b = {};
 
 			for (let i = 0; i < this.log.length; i++) {
 				let report = this.log[i];
-				if (report.$ <= now) {
+				if (report.$ <= time) {
 					if (!b.before || b.before.$ < report.$)
 						b.before = report;
 				} else if (!b.after || b.after.$ > report.$) {
@@ -337,7 +345,7 @@ define("server/js/MetOffice", ["follow-redirects", "url", "common/js/Location",
 			return this.getWeather()
 			.then(() => {
 				let br = this.bracket();
-				this.last_update = Date.now();
+				this.last_update = Utils.now();
 				let wait = br.after.$ - this.last_update;
 				Utils.TRACE(TAG, "Next update in ", wait / 60000, " minutes");
 				this.updateTimer = Utils.startTimer(
@@ -346,20 +354,38 @@ define("server/js/MetOffice", ["follow-redirects", "url", "common/js/Location",
 		};
 
 		/**
-		 * Get the current weather estimate for the given field. If the field
+		 * Find if there are reports either side of the given time, so
+		 * `get` can estimate the weather then
+		 * @param {number} time optional epoch ms, defaults to now
+		 * @return {boolean} true if the time is covered
+		 * @public
+		 */
+		covers(time) {
+			let b = this.bracket(time);
+			return typeof b.before !== "undefined"
+				&& typeof b.after !== "undefined";
+		}
+
+		/**
+		 * Get the weather estimate for the given field, either now or
+		 * (from the forecast) at some time in the future. If the field
 		 * is a number, interpolate linearly to get a midpoint.
 		 * @param {string} what the field name to interpolate
 		 * e.g. "Feels Like Temperature"
-		 * @return the weather item
+		 * @param {number} time optional epoch ms, defaults to now
+		 * @return the weather item, or 0 if there are no reports
+		 * covering the time (see `covers`)
 		 * @public
 		 */
-		get(what) {
-			let b = this.bracket();
+		get(what, time) {
+			if (typeof time === "undefined")
+				time = Utils.now();
+			let b = this.bracket(time);
 			if (!b.before || !b.after)
 				return 0;
 			let est = b.before[what];
 			if (b.after[what] !== est && IS_NUMBER.indexOf(what) >= 0) {
-				let frac = (Date.now() - b.before.$) /
+				let frac = (time - b.before.$) /
 					(b.after.$ - b.before.$);
 				est += (b.after[what] - est) * frac;
 			}
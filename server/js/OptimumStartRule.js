@@ -0,0 +1,300 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+define("server/js/OptimumStartRule", ["common/js/Utils", "common/js/Time", "server/js/CentralHeatingRule"], (Utils, Time, CentralHeatingRule) => {
+
+	const TAG = "OptimumStart";
+
+	const HOUR = 60 * 60 * 1000;
+
+	// How often the warm-up rate is re-learned
+	const RELEARN_EVERY = 24 * HOUR;
+
+	// Heating periods shorter than this are too short to tell us much
+	// about the warm-up rate, and are ignored
+	const MIN_RUN = 15 * 60 * 1000;
+
+	// Slowest warm-up rate we will believe, degrees per hour. Stops a
+	// bad estimate from switching the heating on days in advance.
+	const MIN_RATE = 0.1;
+
+	/**
+	 * Convert a serialisable history (as returned by
+	 * Historian.getSerialisableHistory) to an array of {time, sample}
+	 * @private
+	 */
+	function toSeries(history) {
+		let series = [];
+		if (history && history.length > 1)
+			for (let i = 1; i < history.length; i += 2)
+				series.push({
+					time: history[0] + history[i],
+					sample: history[i + 1]
+				});
+		return series;
+	}
+
+	/**
+	 * Get the sample in a series at the given time, i.e. the last sample
+	 * at or before the time
+	 * @private
+	 */
+	function sampleAt(series, time) {
+		let sample;
+		for (let s of series) {
+			if (s.time > time)
+				break;
+			sample = s.sample;
+		}
+		return sample;
+	}
+
+	/**
+	 * A central heating rule that switches the heating on early, so that
+	 * the temperature on the timeline is reached at the time it is
+	 * scheduled, rather than some time after.
+	 *
+	 * The rule learns how fast the house warms up from the thermostat and
+	 * service pin histories. Each period the heating was on gives a warm-up rate
+	 * (degrees per hour). If weather history is available the rate is
+	 * modelled as a linear function of the difference between inside and
+	 * outside temperatures, fitted by least squares, as houses warm up
+	 * more slowly when it is cold outside.
+	 *
+	 * When the timeline is about to rise above the current temperature,
+	 * the rule estimates how long it will take to get there and turns the
+	 * heating on that long before the scheduled time. Otherwise it behaves
+	 * exactly like CentralHeatingRule.
+	 * @class
+	 */
+	class OptimumStartRule extends CentralHeatingRule {
+
+		constructor(proto, name) {
+			super(proto, name);
+
+			// Learned model, rate = a + b * (inside - outside)
+			this.model = { a: this.default_rate, b: 0, runs: 0 };
+
+			// When the model was last learned, epoch ms
+			this.learned = 0;
+
+			// Current prediction, if any
+			this.prediction = undefined;
+		}
+
+		/**
+		 * Promise to learn the warm-up rate from the logs
+		 * @param {Controller} controller the controller
+		 * @return {Promise} resolves to the model
+		 */
+		learn(controller) {
+			let since = Utils.now() - this.learn_from;
+			let weather;
+			for (let name in controller.weather) {
+				if (typeof controller.weather[name].getSerialisableLog
+					=== "function") {
+					weather = controller.weather[name];
+					break;
+				}
+			}
+
+			return Promise.all([
+				controller.thermostat[this.thermostat].getSerialisableLog(since),
+				controller.getServicePin(this.service).getSerialisableLog(since),
+				weather ? weather.getSerialisableLog(since) : undefined
+			])
+			.then(logs => {
+				let temps = toSeries(logs[0]);
+				let states = toSeries(logs[1]);
+				let outside = toSeries(logs[2]);
+				let runs = [];
+
+				// Find the periods the heating was on
+				let on;
+				for (let s of states) {
+					if (s.sample === 1 && typeof on === "undefined")
+						on = s.time;
+					else if (s.sample === 0 && typeof on !== "undefined") {
+						if (s.time - on >= MIN_RUN) {
+							let t0 = sampleAt(temps, on);
+							let t1 = sampleAt(temps, s.time);
+							if (typeof t0 !== "undefined"
+								&& typeof t1 !== "undefined")
+								runs.push({
+									rate: (t1 - t0) * HOUR / (s.time - on),
+									diff: t0 - sampleAt(outside, on)
+								});
+						}
+						on = undefined;
+					}
+				}
+
+				this.model = this._fit(runs);
+				this.learned = Utils.now();
+				Utils.TRACE(TAG, `${this.name} learned from ${runs.length} runs`,
+							this.model);
+				return this.model;
+			})
+			.catch(e => {
+				Utils.TRACE(TAG, `${this.name} failed to learn `, e);
+				this.learned = Utils.now();
+				return this.model;
+			});
+		}
+
+		/**
+		 * Fit rate = a + b * diff to the runs by least squares. Falls back
+		 * to the mean rate if there is no outside temperature, or to the
+		 * default rate if there are no runs at all.
+		 * @private
+		 */
+		_fit(runs) {
+			if (runs.length === 0)
+				return { a: this.default_rate, b: 0, runs: 0 };
+
+			let mean = runs.reduce((sum, r) => sum + r.rate, 0) / runs.length;
+			let known = runs.filter(r => !isNaN(r.diff));
+			if (known.length < 2)
+				return { a: mean, b: 0, runs: runs.length };
+
+			let n = known.length;
+			let mx = known.reduce((sum, r) => sum + r.diff, 0) / n;
+			let my = known.reduce((sum, r) => sum + r.rate, 0) / n;
+			let sxx = 0, sxy = 0;
+			for (let r of known) {
+				sxx += (r.diff - mx) * (r.diff - mx);
+				sxy += (r.diff - mx) * (r.rate - my);
+			}
+			if (sxx === 0)
+				return { a: my, b: 0, runs: runs.length };
+			let b = sxy / sxx;
+			return { a: my - b * mx, b: b, runs: runs.length };
+		}
+
+		/**
+		 * Estimate the warm-up rate
+		 * @param {number} inside inside temperature
+		 * @param {number} outside outside temperature, may be undefined
+		 * @return {number} degrees per hour
+		 */
+		getRate(inside, outside) {
+			let rate = this.model.a;
+			if (typeof outside === "number" && !isNaN(outside))
+				rate += this.model.b * (inside - outside);
+			return Math.max(rate, MIN_RATE);
+		}
+
+		/**
+		 * Predict when the heating has to come on to reach the next rise
+		 * in the timeline on time.
+		 * @param {Thermostat} thermostat the thermostat
+		 * @param {number} outside outside temperature, may be undefined
+		 * @return {object} { target, at, rate, start } where `at` is
+		 * when the timeline reaches `target`, and `start` is when the
+		 * heating has to be switched on (both epoch ms). Undefined if
+		 * there is no rise within `max_preheat`.
+		 */
+		predict(thermostat, outside) {
+			let now = Utils.now();
+			let midnight = Time.midnight();
+			let timeline = thermostat.timeline;
+			let temperature = thermostat.temperature;
+			let rate = this.getRate(temperature, outside);
+
+			// Look at the points over the next two days, in case the
+			// preheat window wraps over midnight
+			for (let day = 0; day < 2; day++) {
+				for (let i = 0; i < timeline.nPoints; i++) {
+					let p = timeline.getPoint(i);
+					let at = midnight + day * timeline.period + p.time;
+					if (at <= now)
+						continue;
+					if (at - now > this.max_preheat)
+						return undefined;
+					if (p.value <= temperature)
+						continue;
+					let start = at - (p.value - temperature) * HOUR / rate;
+					return {
+						target: p.value,
+						at: at,
+						rate: rate,
+						start: Math.max(start, at - this.max_preheat)
+					};
+				}
+			}
+			return undefined;
+		}
+
+		test(controller) {
+			let promise = Promise.resolve();
+			if (Utils.now() - this.learned >= RELEARN_EVERY)
+				promise = this.learn(controller);
+
+			return promise.then(() => {
+				let thermostat = controller.thermostat[this.thermostat];
+				let inputs = this.getInputs(controller, thermostat);
+
+				// Requests override the timeline, so there's nothing to
+				// predict
+				if (inputs.requests.length > 0
+					|| typeof inputs.temperature !== "number") {
+					this.prediction = undefined;
+					return super.test(controller);
+				}
+
+				let outside;
+				for (let name in inputs.weather) {
+					outside = inputs.weather[name];
+					break;
+				}
+
+				this.prediction = this.predict(thermostat, outside);
+				if (this.prediction && Utils.now() >= this.prediction.start
+					&& inputs.temperature < inputs.maximum) {
+					inputs.prediction = this.prediction;
+					return controller.decide(
+						this, this.service, 1, "Optimum start", inputs);
+				}
+
+				return super.test(controller);
+			});
+		}
+
+		/**
+		 * Promise to get the current prediction, for /ajax/state
+		 * @return {Promise} resolves to { service, rate,
+		 * rate_per_degree, runs, prediction }
+		 */
+		getSerialisableState() {
+			return Promise.resolve({
+				service: this.service,
+				rate: this.model.a,
+				rate_per_degree: this.model.b,
+				runs: this.model.runs,
+				prediction: this.prediction
+			});
+		}
+	}
+
+	OptimumStartRule.Model = Utils.extend({}, CentralHeatingRule.Model, {
+		$class: OptimumStartRule,
+		max_preheat: {
+			$class: Number,
+			$doc: "Longest time (ms) to switch on early",
+			$default: 3 * HOUR
+		},
+		default_rate: {
+			$class: Number,
+			$doc: "Warm-up rate (degrees per hour) used until enough history has been recorded to learn it",
+			$default: 1
+		},
+		learn_from: {
+			$class: Number,
+			$doc: "How far back (ms) to look in the history when learning the warm-up rate",
+			$default: 14 * 24 * HOUR
+		}
+	});
+
+	return OptimumStartRule;
+});
@@ -58,21 +58,47 @@ define("server/js/Pin", ["common/js/Utils", "server/js/Gpio", "server/js/Histori
 		}
 
 		/**
-		 * Set the pin state. Don't use this on a Y-plan system, use
-		 * {@link Controller.Controller#setPromise|Controller.setPromise} instead.
+		 * Set the pin state. Rules shouldn't use this, they should use
+		 * {@link Controller.Controller#decide|Controller.decide} so the
+		 * topology can handle interlocks between pins.
 		 * @param {integer} state of the pin
+		 * @param {boolean} transient true if this is part of a brief
+		 * change made by the topology (e.g. the Y-plan spring return),
+		 * which doesn't count as a change for `min_on` and `min_off`
 		 * @return {Promise} a promise to set the pin state
 		 * @public
 		 */
-		setState(state) {
+		setState(state, transient) {
 			Utils.TRACE(TAG, `gpio${this.gpio}=${state === 1 ? "ON" : "OFF"}`);
 
+			// Remember when the state last changed, for getHold. The
+			// first state set (on startup) doesn't count as a change.
+			if (!transient && typeof this.lastState !== "undefined"
+				&& state !== this.lastState)
+				this.lastChanged = Utils.now();
+			this.lastState = state;
+
 			let promise = this.Gpio.setValue(state);
 			if (this.history)
 				promise = promise.then(() => this.history.record(state));
 			return promise;
 		};
 
+		/**
+		 * Get how long the pin has to stay in its current state before
+		 * it may be switched to the given state, to respect `min_on`
+		 * and `min_off`
+		 * @param {number} state the state we want to switch to
+		 * @return {number} ms to wait, 0 if the pin can be switched now
+		 * @public
+		 */
+		getHold(state) {
+			if (typeof this.lastChanged === "undefined")
+				return 0;
+			let min = (state === 1) ? this.min_off : this.min_on;
+			return Math.max(0, this.lastChanged + min - Utils.now());
+		}
+
 		/**
 		 * Get a promise to get the pin state
 		 * @return a promise, passed the pin state
@@ -91,7 +117,12 @@ define("server/js/Pin", ["common/js/Utils", "server/js/Gpio", "server/js/Histori
 		getSerialisableState() {
 			return this.getState()
 			.then(value => {
-				return { reason: this.reason, state: value }
+				let state = { reason: this.reason, state: value };
+				if (this.deferred)
+					state.deferred = this.deferred;
+				if (this.held)
+					state.held = this.held;
+				return state;
 			});
 		};
 
@@ -112,6 +143,16 @@ define("server/js/Pin", ["common/js/Utils", "server/js/Gpio", "server/js/Histori
 			$class: Number,
 			$doc: "the number of the gpio pin"
 		},
+		min_on: {
+			$class: Number,
+			$doc: "Minimum time the pin must stay on once switched on, in ms",
+			$default: 0
+		},
+		min_off: {
+			$class: Number,
+			$doc: "Minimum time the pin must stay off once switched off, in ms",
+			$default: 0
+		},
 		history: Utils.extend({
 			$optional: true
 		}, Historian.Model)
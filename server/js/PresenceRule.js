@@ -0,0 +1,107 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+define("server/js/PresenceRule", ["common/js/Utils", "server/js/Rule"], (Utils, Rule) => {
+
+	const TAG = "PresenceRule";
+
+	/**
+	 * Turn the heating down when nobody is home. Uses the presence
+	 * sources configured in the controller (see Controller.getPresence)
+	 * to find out who is home. When everyone is away, the target of each
+	 * of the `thermostats` is limited to the `setback` temperature (see
+	 * Thermostat.setSetback), so the normal rules keep the house no
+	 * warmer than that. A target that is already lower (e.g. from the
+	 * timeline at night, or away mode) is left alone. The limit is
+	 * removed when someone comes home, or when someone heading home is
+	 * expected within `preheat` ms, so the house is warm when they arrive.
+	 *
+	 * The rule does nothing until at least one person is known to the
+	 * presence sources.
+	 * @class
+	 */
+	class PresenceRule extends Rule {
+
+		constructor(proto, name) {
+			super(proto, name);
+
+			// Last evaluation, for reporting
+			this.state = {};
+		}
+
+		/**
+		 * Work out if everyone is away
+		 * @param {object} presence as returned by Controller.getPresence
+		 * @return {object} { away: boolean, reason: string }
+		 */
+		evaluate(presence) {
+			let people = Object.keys(presence);
+			if (people.length === 0)
+				return { away: false, reason: "Nobody known" };
+
+			let eta;
+			for (let person of people) {
+				let p = presence[person];
+				if (p.home)
+					return { away: false, reason: `${person} is home` };
+				if (typeof p.eta !== "undefined" && !(eta <= p.eta))
+					eta = p.eta;
+			}
+
+			if (typeof eta !== "undefined" && eta - Utils.now() <= this.preheat)
+				return {
+					away: false,
+					reason: `Someone is coming home at ${new Date(eta).toLocaleTimeString()}`
+				};
+
+			return { away: true, reason: "Nobody home" };
+		}
+
+		test(controller) {
+			let state = this.evaluate(controller.getPresence());
+			if (state.away !== this.state.away)
+				Utils.TRACE(TAG, state.reason);
+			this.state = state;
+
+			for (let name of this.thermostats)
+				controller.thermostat[name].setSetback(
+					this.name, state.away ? this.setback : undefined);
+			return Promise.resolve();
+		}
+
+		/**
+		 * Promise to get the state of the rule, for /ajax/state
+		 * @return {Promise} resolves to { away, reason }
+		 */
+		getSerialisableState() {
+			return Promise.resolve(this.state);
+		}
+	}
+
+	PresenceRule.Model = Utils.extend({}, Rule.Model, {
+		$class: PresenceRule,
+		priority: {
+			$class: Number,
+			$doc: "See Rule.Model. Tested before the rules that use the targets it limits.",
+			$default: 50
+		},
+		thermostats: {
+			$doc: "Names of the thermostats that are turned down when nobody is home",
+			$array_of: { $class: String },
+			$default: [ "CH" ]
+		},
+		setback: {
+			$class: Number,
+			$doc: "Highest target temperature (°C) when nobody is home",
+			$default: 15
+		},
+		preheat: {
+			$class: Number,
+			$doc: "How long (ms) before someone heading home is expected that the heating is turned back up",
+			$default: 60 * 60 * 1000
+		}
+	});
+
+	return PresenceRule;
+});
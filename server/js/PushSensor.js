@@ -0,0 +1,105 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+define("server/js/PushSensor", ["crypto", "common/js/Utils", "common/js/Time", "server/js/Sensor"], (Crypto, Utils, Time, Sensor) => {
+
+	const TAG = "PushSensor";
+
+	/**
+	 * Driver for remote sensors (e.g. on an ESP8266 in a far off room)
+	 * that send their readings to Hotpot, using
+	 * `POST /ajax/sensor/{id}` with a body of
+	 * ```
+	 * { token, temperature, humidity, pressure }
+	 * ```
+	 * where `id` is the sensor id in the thermostat, and `token` is the
+	 * secret for that sensor in `tokens`. Only `temperature` is
+	 * required.
+	 *
+	 * The thermostat polls the last reading that was sent just like any
+	 * other sensor. If nothing has been sent for `stale` ms the sensor is
+	 * taken to have stopped responding, so the thermostat leaves it out
+	 * and alerts as it would for a sensor that can't be read.
+	 * @class
+	 */
+	class PushSensor extends Sensor {
+
+		waitsForReadings() {
+			return true;
+		}
+
+		/**
+		 * Nothing to initialise, readings arrive when they arrive
+		 */
+		initialiseSensor() {
+			return Promise.resolve(this);
+		}
+
+		/**
+		 * Accept readings sent by the sensor
+		 * @param {string} token the secret sent by the sensor
+		 * @param {object} data { temperature, humidity, pressure }
+		 * @throws {Error} if the token is wrong or the readings are bad
+		 */
+		push(token, data) {
+			let expected = Buffer.from(`${this.tokens[this.id] || ""}`);
+			let given = Buffer.from(`${token || ""}`);
+			if (expected.length === 0 || given.length !== expected.length
+				|| !Crypto.timingSafeEqual(given, expected)) {
+				let e = Utils.exception(TAG, `Bad token for '${this.id}'`);
+				e.status = 403;
+				throw e;
+			}
+
+			let readings = {};
+			for (let what of [ "temperature", "humidity", "pressure" ]) {
+				if (typeof data[what] === "undefined")
+					continue;
+				let v = Number(data[what]);
+				if (!isFinite(v)) {
+					let e = Utils.exception(
+						TAG, `'${this.id}' bad ${what} '${data[what]}'`);
+					e.status = 400;
+					throw e;
+				}
+				readings[what] = v;
+			}
+			if (typeof readings.temperature === "undefined") {
+				let e = Utils.exception(TAG, `'${this.id}' no temperature`);
+				e.status = 400;
+				throw e;
+			}
+
+			Utils.TRACE(TAG, `'${this.id}' sent`, readings);
+			this.readings = readings;
+			this.received = Utils.now();
+		}
+
+		getReadings() {
+			if (typeof this.readings === "undefined")
+				return Promise.reject(
+					new Error(`Nothing has been sent by '${this.id}'`));
+			let age = Utils.now() - this.received;
+			if (age > this.stale)
+				return Promise.reject(
+					new Error(`Last reading from '${this.id}' was ${Time.formatDelta(age)} ago`));
+			return Promise.resolve(Utils.extend({}, this.readings));
+		}
+	}
+
+	PushSensor.Model = Utils.extend({}, Sensor.Model, {
+		$class: PushSensor,
+		tokens: {
+			$doc: "Map from sensor id to the secret token the sensor must send with its readings",
+			$map_of: { $class: String }
+		},
+		stale: {
+			$class: Number,
+			$doc: "Time (ms) after the last reading before the sensor is taken to have stopped responding",
+			$default: 5 * 60 * 1000
+		}
+	});
+
+	return PushSensor;
+});
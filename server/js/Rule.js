@@ -26,12 +26,112 @@ define("server/js/Rule", ["common/js/Utils"], function(Utils) {
 		}
 
 		/**
-		 * Promise to initialise a new rule.
+		 * Set a handler to be invoked if there's a problem requiring
+		 * an admin alert
+		 * @param {function} func handler, passed a message
+		 */
+		setAlertHandler(func) {
+			this.alertHandler = func;
+		}
+
+		/**
+		 * Raise an alert using the handler set by setAlertHandler
+		 * @param {string} mess the message
+		 * @protected
+		 */
+		alert(mess) {
+			console.error(mess);
+			if (typeof this.alertHandler === "function")
+				this.alertHandler(mess);
+		}
+
+		/**
+		 * Promise to test the rule, and act on the result by calling
+		 * {@link Controller.Controller#decide|Controller.decide} (or
+		 * `force` or `veto`). Rules are tested in order of decreasing
+		 * `priority`.
+		 * @param {Controller} controller the controller
 		 */
 		test() {
 			throw new Error("Subclasses must implement");
 		};
+
+		/**
+		 * Get the values that a decision about a thermostat is based on,
+		 * for recording in the audit trail. The outside temperature from
+		 * each weather agent is only included if the agent has weather
+		 * for now, so missing data isn't mistaken for 0°C.
+		 * @param {Controller} controller the controller
+		 * @param {Thermostat} thermostat the thermostat
+		 * @return {object} the inputs
+		 */
+		getInputs(controller, thermostat) {
+			let inputs = {
+				temperature: thermostat.temperature,
+				target: thermostat.getTargetTemperature(),
+				maximum: thermostat.getMaximumTemperature(),
+				overheat_margin: thermostat.overheat_margin,
+				requests: thermostat.requests.slice()
+			};
+			if (typeof thermostat.hysteresis === "number")
+				inputs.hysteresis = thermostat.hysteresis;
+			for (let name in controller.weather) {
+				let agent = controller.weather[name];
+				if (typeof agent.get === "function"
+					&& agent.covers(Utils.now())) {
+					if (!inputs.weather)
+						inputs.weather = {};
+					inputs.weather[name] = agent.get("Temperature");
+				}
+			}
+			return inputs;
+		}
+
+		/**
+		 * Decide on the state of the rule's service by comparing the
+		 * temperature to a target. The service is switched off if the
+		 * temperature is over the target, and on if it falls more than
+		 * the hysteresis below it. If the temperature goes more than the
+		 * thermostat's `overheat_margin` over the maximum, the service
+		 * being on is vetoed, whatever the requests and whatever other
+		 * rules decide (see Controller.safetyVeto).
+		 * @param {Controller} controller the controller
+		 * @param {object} inputs as returned by getInputs
+		 * @param {number} target the target temperature
+		 * @param {number} hysteresis how far below the target the
+		 * temperature can fall before the service is switched on
+		 * @param {string} reason reason given when the target is reached
+		 * @return {Promise} the result of Controller.decide
+		 * @protected
+		 */
+		decideOnTemperature(controller, inputs, target, hysteresis, reason) {
+			// decide is a NOP if already in the right state
+			if (inputs.temperature > inputs.maximum + (inputs.overheat_margin || 0))
+				return controller.safetyVeto(
+					this, this.service, 1, "Overheat", inputs);
+
+			// Otherwise respect the timeline
+			if (inputs.temperature > target)
+				return controller.decide(this, this.service, 0, reason, inputs);
+
+			if (inputs.temperature < target - hysteresis)
+				return controller.decide(this, this.service, 1, "Too cold", inputs);
+
+			return controller.decide(
+				this, this.service, undefined, "Close to target", inputs);
+		}
 	}
 
+	/**
+	 * Fields common to all rules. Subclasses extend this in their Model.
+	 */
+	Rule.Model = {
+		priority: {
+			$class: Number,
+			$doc: "Rules are tested in order of decreasing priority (default 0). Decisions by rules with a higher priority win, and vetoes only apply to rules with the same or a lower priority.",
+			$optional: true
+		}
+	};
+
 	return Rule;
 });
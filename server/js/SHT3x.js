@@ -0,0 +1,29 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+define("server/js/SHT3x", ["common/js/Utils", "server/js/SysfsSensor"], (Utils, SysfsSensor) => {
+
+	/**
+	 * Driver for Sensirion SHT3x temperature and humidity sensors on
+	 * I2C, read through the kernel sht3x hwmon driver. Enable it with
+	 * `dtoverlay=i2c-sensor,sht3x` in /boot/config.txt. The sensor
+	 * id is a hwmon device e.g. `hwmon1`, or `sht3x`.
+	 * @class
+	 */
+	class SHT3x extends SysfsSensor {
+
+		constructor(proto, id) {
+			super(proto, id, "/sys/class/hwmon", {
+				temperature: { file: "temp1_input", scale: 0.001 },
+				humidity: { file: "humidity1_input", scale: 0.001 }
+			});
+		}
+	}
+
+	SHT3x.Model = Utils.extend({}, SysfsSensor.Model, {
+		$class: SHT3x
+	});
+
+	return SHT3x;
+});
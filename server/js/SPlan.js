@@ -0,0 +1,126 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+define("server/js/SPlan", ["common/js/Utils", "server/js/Topology"], function(Utils, Topology) {
+
+	const TAG = "SPlan";
+
+	/**
+	 * S-plan system, where each service (zone) has its own two-port zone
+	 * valve, and the boiler is fired by a separate demand output. This
+	 * also covers multi-zone "S-plan plus" systems, as there can be any
+	 * number of zones e.g.
+	 * ```
+	 * topology: {
+	 *   $instance_of: "server/js/SPlan",
+	 *   zone: { HW: "HW", Upstairs: "CH1", Downstairs: "CH2" },
+	 *   boiler: "Boiler"
+	 * }
+	 * ```
+	 * The boiler is interlocked with the valves; it is only fired once a
+	 * valve has had time to open, and is switched off before the last
+	 * valve closes, so there is always somewhere for the water to go.
+	 * @param {object} proto see SPlan.Model
+	 * @param {string} name identifier
+	 * @class
+	 */
+	class SPlan extends Topology {
+
+		constructor(proto, name) {
+			super(proto, name);
+		}
+
+		getPin(controller, service) {
+			let valve = this.zone[service];
+			return typeof valve === "undefined"
+			? undefined : controller.pin[valve];
+		}
+
+		/**
+		 * Promise to find out if any zone valve, other than the one for
+		 * the given service, is open
+		 * @private
+		 */
+		_otherValveOpen(controller, service) {
+			let promises = [];
+			for (let zone in this.zone)
+				if (zone !== service)
+					promises.push(this.requirePin(controller, this.zone[zone])
+								  .getState());
+			return Promise.all(promises)
+			.then(states => states.some(s => s === 1));
+		}
+
+		getChanges(controller, service, state) {
+			let valve = this.getPin(controller, service);
+			if (typeof valve === "undefined")
+				return Promise.resolve([]);
+			let changes = [ { pin: valve, state: state } ];
+			let boiler = { pin: this.requirePin(controller, this.boiler), state: state };
+			if (state === 1)
+				return Promise.resolve(changes.concat([ boiler ]));
+			// The boiler only goes off with the last valve
+			return this._otherValveOpen(controller, service)
+			.then(others => others ? changes : changes.concat([ boiler ]));
+		}
+
+		changeState(controller, service, newState) {
+			let valve = this.getPin(controller, service);
+			if (typeof valve === "undefined")
+				return Promise.reject(Utils.exception(
+					TAG, `No zone valve for '${service}'`));
+			let boiler = this.requirePin(controller, this.boiler);
+
+			if (newState === 1) {
+				return Topology.setPin(valve, 1)
+				.then(opened => opened
+					  ? Topology.wait("valveOpen", this.valve_open)
+					  : undefined)
+				.then(() => Topology.setPin(boiler, 1));
+			}
+
+			// Going off. If this is the last open valve, the boiler
+			// goes off first.
+			return this._otherValveOpen(controller, service)
+			.then(others => others ? false : Topology.setPin(boiler, 0))
+			.then(() => Topology.setPin(valve, 0));
+		}
+
+		reset(controller) {
+			let boiler = this.requirePin(controller, this.boiler);
+			Utils.TRACE(TAG, "Resetting");
+			return boiler.setState(0)
+			.then(() => {
+				let promises = [];
+				for (let zone in this.zone)
+					promises.push(this.requirePin(controller, this.zone[zone])
+								  .setState(0));
+				return Promise.all(promises);
+			});
+		}
+	}
+
+	SPlan.Model = {
+		$class: SPlan,
+		zone: {
+			$doc: "Map from the name of each service to the name of the pin that opens its zone valve",
+			$map_of: {
+				$class: String,
+				$doc: "name of the pin"
+			},
+			$default: { HW: "HW", CH: "CH" }
+		},
+		boiler: {
+			$class: String,
+			$doc: "Name of the pin that signals demand to the boiler"
+		},
+		valve_open: {
+			$class: Number,
+			$doc: "Time for a zone valve to open before the boiler is fired, in ms",
+			$default: 30000
+		}
+	};
+
+	return SPlan;
+});
@@ -0,0 +1,106 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+define("server/js/Sandbox", ["vm"], (vm) => {
+
+	/**
+	 * A Node `vm` context for running user-supplied Javascript, such
+	 * as ScriptRule scripts and VirtualSensor expressions.
+	 *
+	 * Nothing from the host is put into the context. Values are copied
+	 * in as JSON. Host functions are called through a wrapper made in
+	 * the context, and only JSON strings pass between the two: the
+	 * arguments on the way out, and the result or error message on the
+	 * way back. Errors are thrown by the wrapper, so they are made in
+	 * the context too. The context has no prototype from the host, so
+	 * `this.constructor` leads nowhere. Promise jobs are run before
+	 * `run` returns, so `timeout` also stops scripts that loop in a
+	 * `.then`.
+	 * @class
+	 */
+	class Sandbox {
+
+		/**
+		 * @param {object} values plain data to make global in the
+		 * sandbox; copied as JSON
+		 */
+		constructor(values) {
+			this.context = vm.createContext(Object.create(null), {
+				microtaskMode: "afterEvaluate"
+			});
+			vm.runInContext(
+				`Object.assign(globalThis, ${JSON.stringify(values || {})});`,
+				this.context);
+			this.wrap = vm.runInContext(`"use strict";
+f => (...args) => {
+	const r = JSON.parse(f(JSON.stringify(args)));
+	if ("error" in r)
+		throw new Error(r.error);
+	return r.value;
+}`, this.context);
+		}
+
+		/**
+		 * Make a host function callable from the sandbox. The function
+		 * is passed the arguments as plain data, and must return plain
+		 * data (or undefined). Anything it throws is thrown in the
+		 * sandbox as an Error with the same message.
+		 * @param {string} name name of the function in the sandbox
+		 * @param {function} func the host function
+		 */
+		addFunction(name, func) {
+			this.context[name] = this.wrap(json => {
+				try {
+					return JSON.stringify({ value: func(...JSON.parse(json)) });
+				} catch (e) {
+					return JSON.stringify({ error: `${e.message || e}` });
+				}
+			});
+		}
+
+		/**
+		 * Run a script in the sandbox
+		 * @param {vm.Script} script the compiled script
+		 * @param {number} timeout time (ms) the script may run for
+		 * @return {*} the result of the script. Only primitives should
+		 * be trusted, anything else was made by the script.
+		 * @throws {Error} with the message of whatever the script threw,
+		 * or of the timeout
+		 */
+		run(script, timeout) {
+			try {
+				return script.runInContext(this.context, { timeout: timeout });
+			} catch (e) {
+				if (e instanceof Error)
+					throw e;
+				// Made in the sandbox. Getting its message may run code
+				// from the script, so do that in the sandbox as well.
+				throw new Error(this._describe(e, timeout));
+			}
+		}
+
+		/**
+		 * Describe something thrown in the sandbox
+		 * @param {*} thrown what was thrown
+		 * @param {number} timeout time (ms) to allow
+		 * @return {string} the description
+		 * @private
+		 */
+		_describe(thrown, timeout) {
+			this.context.thrown = thrown;
+			try {
+				let mess = vm.runInContext(
+					"String(thrown && thrown.message || thrown)",
+					this.context, { timeout: timeout });
+				if (typeof mess === "string")
+					return mess;
+			} catch (e) {
+				// Fall through
+			}
+			return "unknown error";
+		}
+	}
+
+	return Sandbox;
+});
@@ -25,7 +25,7 @@ define("server/js/ScheduledEvent", ["common/js/Utils"], function(Utils) {
 			// End of the event, in epoch ms, or Utils.BOOST
 			this.until = until;
 
-			let now = Date.now();
+			let now = Utils.now();
 			if (start > now) {
 				Utils.TRACE(
 					TAG, this.id,
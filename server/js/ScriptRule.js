@@ -0,0 +1,157 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+define("server/js/ScriptRule", ["vm", "common/js/Utils", "common/js/Time", "server/js/Rule", "server/js/Sandbox"], (vm, Utils, Time, Rule, Sandbox) => {
+
+	const TAG = "ScriptRule";
+
+	/**
+	 * A rule written as a short Javascript `script`, usually in the
+	 * browser app, and saved using `/ajax/script/<name>`. The script runs
+	 * in a Node `vm` sandbox that can only see:
+	 * ```
+	 * thermostat.<name>.temperature, .target, .maximum, .requests
+	 * pin.<name>.state, 1 for on or 0 for off
+	 * time, the time of day as "HH:MM"
+	 * now, the current time, epoch ms
+	 * weather(field[, agent]) e.g. weather("Temperature")
+	 * setPromise(pin, state[, reason])
+	 * log(message)
+	 * ```
+	 * `setPromise` doesn't set the pin straight away, it is passed to
+	 * Controller.decide once the script has finished. A script that runs
+	 * for longer than `timeout` ms, including in promise callbacks, is
+	 * stopped.
+	 *
+	 * Only plain data passes between the script and the rest of the
+	 * system (see Sandbox). Even so, Node's `vm` is not a security
+	 * mechanism, so only trusted users should be able to edit scripts.
+	 * @class
+	 */
+	class ScriptRule extends Rule {
+
+		constructor(proto, name) {
+			super(proto, name);
+
+			// Compiling checks the syntax; a SyntaxError stops the rule
+			// from being built
+			this.compiled = new vm.Script(this.script, {
+				filename: `${name}.rule`
+			});
+		}
+
+		/**
+		 * Promise to get the values visible to the script
+		 * @param {Controller} controller the controller
+		 * @return {Promise} resolves to the values
+		 * @private
+		 */
+		_getValues(controller) {
+			let values = {
+				thermostat: {},
+				pin: {},
+				time: Time.formatHMS(Utils.now() - Time.midnight()).substring(0, 5),
+				now: Utils.now()
+			};
+			for (let name in controller.thermostat) {
+				let th = controller.thermostat[name];
+				values.thermostat[name] = {
+					temperature: th.temperature,
+					target: th.getTargetTemperature(),
+					maximum: th.getMaximumTemperature(),
+					requests: th.requests.length
+				};
+			}
+			let promises = [];
+			for (let name in controller.pin)
+				promises.push(controller.pin[name].getState()
+							  .then(state => {
+								  values.pin[name] = { state: state };
+							  }));
+			return Promise.all(promises).then(() => values);
+		}
+
+		/**
+		 * Promise to run the script, and collect the decisions it makes
+		 * @param {Controller} controller the controller
+		 * @return {Promise} resolves to { values, decisions } where
+		 * decisions is an array of { pin, state, reason }
+		 */
+		run(controller) {
+			return this._getValues(controller)
+			.then(values => {
+				let decisions = [];
+
+				let sandbox = new Sandbox(values);
+				sandbox.addFunction("setPromise", (pin, state, reason) => {
+					pin = `${pin}`;
+					if (typeof controller.pin[pin] === "undefined")
+						throw new Error(`No such pin '${pin}'`);
+					if (state !== 0 && state !== 1)
+						throw new Error(`Bad state ${state} for pin '${pin}'`);
+					decisions.push({
+						pin: pin,
+						state: state,
+						reason: typeof reason === "undefined" || reason === null
+						? this.name : `${reason}`
+					});
+				});
+				sandbox.addFunction("weather", (field, agent) => {
+					let names = Object.keys(controller.weather);
+					let w = controller.weather[
+						typeof agent === "undefined" || agent === null
+						? names[0] : `${agent}`];
+					if (!w || typeof w.get !== "function"
+						|| !w.covers(Utils.now()))
+						return undefined;
+					let v = w.get(`${field}`);
+					return typeof v === "number" ? v : undefined;
+				});
+				sandbox.addFunction(
+					"log", mess => Utils.TRACE(TAG, `${this.name}: ${mess}`));
+
+				try {
+					sandbox.run(this.compiled, this.timeout);
+				} catch (e) {
+					throw Utils.exception(
+						TAG, `Script '${this.name}' failed: ${e.message}`);
+				}
+				return { values: values, decisions: decisions };
+			});
+		}
+
+		/**
+		 * Promise to run the script without acting on its decisions, to
+		 * check it before it is activated
+		 * @param {Controller} controller the controller
+		 * @return {Promise} resolves to the decisions the script made,
+		 * or rejects if it failed
+		 */
+		dryRun(controller) {
+			return this.run(controller).then(result => result.decisions);
+		}
+
+		test(controller) {
+			return this.run(controller)
+			.then(result => Promise.all(result.decisions.map(
+				d => controller.decide(
+					this, d.pin, d.state, d.reason, result.values))));
+		}
+	}
+
+	ScriptRule.Model = Utils.extend({}, Rule.Model, {
+		$class: ScriptRule,
+		script: {
+			$class: String,
+			$doc: "Javascript run to test the rule"
+		},
+		timeout: {
+			$class: Number,
+			$doc: "Time (ms) the script may run for before it is stopped",
+			$default: 100
+		}
+	});
+
+	return ScriptRule;
+});
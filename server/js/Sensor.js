@@ -0,0 +1,137 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+define("server/js/Sensor", ["common/js/Utils"], (Utils) => {
+
+	const TAG = "Sensor";
+
+	/**
+	 * Base class of sensor drivers. A thermostat uses a driver to read
+	 * each of its sensors. The driver is selected in the thermostat
+	 * configuration using `driver: { $instance_of: ... }`, and the
+	 * thermostat makes a copy of it for each sensor (see `forSensor`).
+	 *
+	 * Subclasses must implement `getReadings`.
+	 * @param {object} proto configuration, see the Model of the subclass
+	 * @param {string} id identifies the sensor to the driver
+	 * @class
+	 */
+	class Sensor {
+
+		constructor(proto, id) {
+			Utils.extend(this, proto);
+			this.id = id;
+		}
+
+		/**
+		 * Make a driver for a sensor with the same configuration as
+		 * this driver
+		 * @param {string} id identifies the sensor to the driver
+		 * @return {Sensor} a new driver
+		 */
+		forSensor(id) {
+			return new this.constructor(this, id);
+		}
+
+		/**
+		 * Can the sensor have no reading when the thermostat starts
+		 * without being broken? e.g. a sensor that sends readings to
+		 * Hotpot may not have sent anything yet, and one computed from
+		 * other readings may be waiting for them.
+		 * @return {boolean} true if the sensor may have to be waited for
+		 */
+		waitsForReadings() {
+			return false;
+		}
+
+		/**
+		 * Is the sensor computed from other parts of the system,
+		 * rather than measuring anything itself?
+		 * @return {boolean} true if the sensor is virtual
+		 */
+		isVirtual() {
+			return false;
+		}
+
+		/**
+		 * Called by the controller before the thermostat is
+		 * initialised, for drivers that need to see other parts of the
+		 * system. The default does nothing.
+		 * @param {Controller} controller the controller
+		 */
+		setController(/*controller*/) {
+		}
+
+		/**
+		 * Return a promise to make sure the sensor exists and can be
+		 * read. Resolves to the driver.
+		 */
+		initialiseSensor() {
+			return this.getReadings()
+			.then(() => this);
+		}
+
+		/**
+		 * Return a promise to read the sensor
+		 * @return {Promise} resolves to { temperature, humidity,
+		 * pressure }, where temperature is in °C, humidity is relative
+		 * humidity in %, and pressure is in hPa. Only temperature is
+		 * required; the others are given if the sensor can measure them.
+		 * @abstract
+		 */
+		getReadings() {
+			return Promise.reject(
+				Utils.exception(TAG, `${this.constructor.name} can't be read`));
+		}
+
+		/**
+		 * Return a promise to get the temperature from the sensor
+		 * @return {Promise} resolves to temperature in °C
+		 */
+		getTemperature() {
+			return this.getReadings()
+			.then(readings => readings.temperature);
+		}
+	}
+
+	/**
+	 * Make an error for a reading that was got, but can't be trusted.
+	 * The thermostat reports and alerts each type of fault separately.
+	 * @param {string} type the type of fault; one of `crc` (failed a
+	 * checksum), `reset` (a value the sensor gives when it has just
+	 * been reset), `bounds` (outside what the sensor can measure),
+	 * `jump` (changed faster than the temperature could) or `stuck`
+	 * (hasn't changed when it should have)
+	 * @param {string} message description of the fault
+	 * @return {Error} the error, with `fault` set to the type
+	 */
+	Sensor.fault = (type, message) => {
+		let e = new Error(message);
+		e.fault = type;
+		return e;
+	};
+
+	/**
+	 * Ways of combining several readings. Readings are in the order of
+	 * the sensors, so for `primary` the first is from the first sensor
+	 * that is responding.
+	 */
+	Sensor.AGGREGATES = {
+		mean: ts => ts.reduce((a, t) => a + t, 0) / ts.length,
+		min: ts => Math.min(...ts),
+		max: ts => Math.max(...ts),
+		median: ts => {
+			let s = ts.slice().sort((a, b) => a - b);
+			let mid = Math.floor(s.length / 2);
+			return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+		},
+		primary: ts => ts[0]
+	};
+
+	Sensor.Model = {
+		$class: Sensor
+	};
+
+	return Sensor;
+});
@@ -269,8 +269,9 @@ define("server/js/Server", ["fs", "url", "common/js/Utils", "common/js/DataModel
 					this.handle(request.url, object, request, response);
 				} catch (e) {
 					Utils.TRACE(TAG, e, " in ", request.url, "\n", e.stack);
-					response.write(`${e} in ${request.url}\n`);
 					response.statusCode = 400;
+					response.write(`${e} in ${request.url}\n`);
+					response.end();
 				}
 			});
 		}
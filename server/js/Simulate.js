@@ -0,0 +1,87 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+/**
+ * Replay recorded history through the rules in a configuration, and
+ * report where the rules would have done something different to what
+ * actually happened.
+ * @module Simulate
+ */
+const DESCRIPTION =
+	  "DESCRIPTION\nSimulate the rules in a Hotpot configuration against the temperatures recorded in the history logs.\n" +
+	  "See README.md for details\n\nOPTIONS\n";
+
+let requirejs = require('requirejs');
+
+requirejs.config({
+	baseUrl: __dirname + "/../.."
+});
+
+requirejs(["node-getopt", "common/js/Utils", "common/js/DataModel", "server/js/Controller", "server/js/Simulator"], function(Getopt, Utils, DataModel, Controller, Simulator) {
+
+	HOTPOT_DEBUG = undefined;
+
+	const SIMULATE_MODEL = {
+		tracefile: { $skip: true, $optional: true },
+		server: { $skip: true },
+		controller: Controller.Model
+	};
+
+	let cliopt = Getopt.create([
+		["h", "help", "Show this help"],
+		["c", "config=ARG", "Configuration file (default ./hotpot.cfg)"],
+		["f", "from=ARG", "Start of the simulation, a date that Date can parse (default start of the logs)"],
+		["u", "to=ARG", "End of the simulation (default end of the logs)"],
+		["s", "step=ARG", "Seconds between rule evaluations (default rule_interval)"],
+		["l", "logs=ARG", "Directory to read log files from (default the paths in the configuration)"],
+		["t", "trace=ARG", "Trace modules e.g. --trace=Rules"]
+	])
+		.bindHelp()
+		.setHelp(DESCRIPTION + "[[OPTIONS]]")
+		.parseSystem()
+		.options;
+
+	if (typeof cliopt.config === "undefined")
+		cliopt.config = "./hotpot.cfg";
+
+	if (cliopt.trace && cliopt.trace !== "")
+		Utils.TRACEfilter(cliopt.trace);
+
+	function parseDate(s) {
+		if (typeof s === "undefined")
+			return undefined;
+		let d = new Date(s).getTime();
+		if (isNaN(d))
+			throw Utils.exception("Simulate", `Cannot parse date '${s}'`);
+		return d;
+	}
+
+	DataModel.loadData(cliopt.config, SIMULATE_MODEL)
+
+	.then(cfg => {
+		let sim = new Simulator(cfg.controller, {
+			from: parseDate(cliopt.from),
+			to: parseDate(cliopt.to),
+			step: cliopt.step ? parseFloat(cliopt.step) * 1000 : undefined,
+			logs: cliopt.logs
+		});
+		return sim.run();
+	})
+
+	.then(report => {
+		for (let pin in report) {
+			let r = report[pin];
+			let pc = r.steps > 0 ? Math.round(100 * r.agreed / r.steps) : 100;
+			console.log(`${pin}: agreed with the logs at ${r.agreed} of ${r.steps} steps (${pc}%)`);
+			for (let d of r.differences)
+				console.log(`\t${new Date(d.from).toISOString()} - ${new Date(d.to).toISOString()}: simulated ${d.simulated}, recorded ${d.recorded}`);
+		}
+	})
+
+	.catch(e => {
+		console.error("Simulation failed: ",
+					  typeof e.stack !== "undefined" ? e.stack : e);
+		eval("process.exit(1)");
+	});
+});
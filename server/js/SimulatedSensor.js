@@ -0,0 +1,51 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+define("server/js/SimulatedSensor", ["common/js/Utils", "server/js/Sensor"], (Utils, Sensor) => {
+
+	/**
+	 * Driver for a simulated sensor, for trying out configurations
+	 * without hardware. The readings are the configured `temperature`,
+	 * `humidity` and `pressure`, with up to `noise` added at random.
+	 * @class
+	 */
+	class SimulatedSensor extends Sensor {
+
+		getReadings() {
+			let readings = {};
+			for (let what of [ "temperature", "humidity", "pressure" ]) {
+				if (typeof this[what] === "number")
+					readings[what] = this[what]
+					+ (this.noise || 0) * (2 * Math.random() - 1);
+			}
+			return Promise.resolve(readings);
+		}
+	}
+
+	SimulatedSensor.Model = Utils.extend({}, Sensor.Model, {
+		$class: SimulatedSensor,
+		temperature: {
+			$class: Number,
+			$doc: "Temperature (°C)",
+			$default: 20
+		},
+		humidity: {
+			$class: Number,
+			$doc: "Relative humidity (%)",
+			$optional: true
+		},
+		pressure: {
+			$class: Number,
+			$doc: "Pressure (hPa)",
+			$optional: true
+		},
+		noise: {
+			$class: Number,
+			$doc: "Largest random change added to readings",
+			$optional: true
+		}
+	});
+
+	return SimulatedSensor;
+});
@@ -0,0 +1,320 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+define("server/js/Simulator", ["path", "common/js/Utils", "server/js/Historian"], function(Path, Utils, Historian) {
+
+	const TAG = "Simulator";
+
+	/**
+	 * A time series of samples loaded from a history file, that can be
+	 * stepped through in time order.
+	 */
+	class Recording {
+
+		/**
+		 * @param {Array} history serialisable history, as returned by
+		 * Historian.getSerialisableHistory
+		 */
+		constructor(history) {
+			this.samples = [];
+			if (history && history.length > 1) {
+				let base = history[0];
+				for (let i = 1; i < history.length; i += 2)
+					this.samples.push({
+						time: base + history[i],
+						sample: history[i + 1]
+					});
+			}
+			this.index = 0;
+		}
+
+		get start() {
+			return this.samples.length > 0 ? this.samples[0].time : undefined;
+		}
+
+		get end() {
+			return this.samples.length > 0
+			? this.samples[this.samples.length - 1].time : undefined;
+		}
+
+		/**
+		 * Get the sample in force at the given time i.e. the most recent
+		 * sample at or before that time. This is fastest when times are
+		 * non-decreasing between calls.
+		 * @param {number} time epoch ms
+		 * @return {number} the sample, or undefined if there is none
+		 */
+		at(time) {
+			let s = this.samples;
+			if (this.index > 0 && s[this.index].time > time)
+				this.index = 0;
+			while (this.index < s.length - 1 && s[this.index + 1].time <= time)
+				this.index++;
+			if (s.length === 0 || s[this.index].time > time)
+				return undefined;
+			return s[this.index].sample;
+		}
+	}
+
+	/**
+	 * Stand-in for a weather agent that replays the outside temperature
+	 * recorded by the real agent's historian.
+	 */
+	class RecordedWeather {
+
+		constructor(recording, simulator) {
+			this.recording = recording;
+			this.simulator = simulator;
+		}
+
+		covers(time) {
+			return typeof this.recording.at(
+				typeof time === "undefined" ? this.simulator.now : time)
+			!== "undefined";
+		}
+
+		get(what, time) {
+			if (what === "Temperature" && this.covers(time))
+				return this.recording.at(
+					typeof time === "undefined" ? this.simulator.now : time);
+			return 0;
+		}
+	}
+
+	/**
+	 * Stand-in for a Gpio that just remembers its value
+	 */
+	class SimulatedGpio {
+
+		constructor(value) {
+			this.value = value;
+		}
+
+		getValue() {
+			return Promise.resolve(this.value);
+		}
+
+		setValue(value) {
+			this.value = value;
+			return Promise.resolve();
+		}
+	}
+
+	/**
+	 * Offline simulation of the rules in a controller, driven by the
+	 * temperatures recorded in historian logs. Time is simulated, so days
+	 * of history can be replayed in seconds. The pin states chosen by the
+	 * rules are compared with the pin states recorded in the logs, so the
+	 * effect of a change to a rule or a timeline can be seen before it is
+	 * deployed.
+	 *
+	 * The simulation takes over the controller; pins are disconnected
+	 * from the hardware and nothing is written to the history files or
+	 * audit trail. While it runs, Utils.now() gives the simulated time. Requests (from calendars or browsers) are not recorded
+	 * in the logs, so are not simulated.
+	 * @class
+	 */
+	class Simulator {
+
+		/**
+		 * @param {Controller} controller a controller constructed from
+		 * configuration, but not initialised
+		 * @param {object} options
+		 * * logs: optional directory to read log files from. If given, the
+		 *   log files named in the configuration are looked for here.
+		 * * from: start of the simulation, epoch ms (default start of
+		 *   the recorded thermostat logs)
+		 * * to: end of the simulation, epoch ms (default end of the
+		 *   recorded thermostat logs)
+		 * * step: simulated time between evaluations of the rules, in ms
+		 *   (default the controller `rule_interval`)
+		 */
+		constructor(controller, options) {
+			this.controller = controller;
+			this.options = options || {};
+			this.now = 0;
+			this.recorded = { thermostat: {}, pin: {}, weather: {} };
+		}
+
+		/**
+		 * Promise to load the recording from the history of an item
+		 * @private
+		 */
+		_loadRecording(item, name) {
+			if (!item.history)
+				return Promise.resolve(new Recording());
+			let file = item.history.path();
+			if (this.options.logs)
+				file = Path.join(this.options.logs, Path.basename(file));
+			Utils.TRACE(TAG, `Loading ${name} from ${file}`);
+			return new Historian({
+				file: file,
+				unordered: item.history.unordered
+			}, name)
+			.getSerialisableHistory()
+			.then(h => new Recording(h));
+		}
+
+		/**
+		 * Promise to load the recorded logs, and disconnect the
+		 * controller from hardware and logging.
+		 * @private
+		 */
+		_prepare() {
+			let controller = this.controller;
+			let promises = [];
+
+			for (let set in this.recorded) {
+				for (let name in controller[set]) {
+					let item = controller[set][name];
+					promises.push(
+						this._loadRecording(item, `${set}.${name}`)
+						.then(rec => {
+							this.recorded[set][name] = rec;
+						}));
+				}
+			}
+
+			return Promise.all(promises)
+			.then(() => {
+				for (let name in controller.thermostat)
+					delete controller.thermostat[name].history;
+
+				for (let name in controller.rule)
+					delete controller.rule[name].history;
+
+				for (let name in controller.pin) {
+					let pin = controller.pin[name];
+					delete pin.history;
+					pin.Gpio = new SimulatedGpio(0);
+				}
+
+				for (let name in controller.weather)
+					controller.weather[name] = new RecordedWeather(
+						this.recorded.weather[name], this);
+
+				controller.calendar = {};
+				delete controller.audit;
+				controller.valve_return = 0;
+			});
+		}
+
+		/**
+		 * Promise to run the simulation.
+		 * @return {Promise} resolves to a report, mapping each pin name to
+		 * ```
+		 * {
+		 *   steps: number of times the rules were evaluated,
+		 *   agreed: number of steps where the simulated state was the
+		 *     same as the recorded state,
+		 *   differences: array of periods where they were different, each
+		 *     { from: epoch ms, to: epoch ms, simulated: state, recorded: state }
+		 * }
+		 * ```
+		 */
+		run() {
+			let controller = this.controller;
+			let report = {};
+
+			return this._prepare()
+			.then(() => {
+				let from = this.options.from, to = this.options.to;
+				for (let name in this.recorded.thermostat) {
+					let rec = this.recorded.thermostat[name];
+					if (typeof rec.start === "undefined")
+						continue;
+					if (typeof this.options.from === "undefined"
+						&& (typeof from === "undefined" || rec.start < from))
+						from = rec.start;
+					if (typeof this.options.to === "undefined"
+						&& (typeof to === "undefined" || rec.end > to))
+						to = rec.end;
+				}
+				if (typeof from === "undefined" || typeof to === "undefined")
+					throw Utils.exception(TAG, "No recorded thermostat data");
+
+				let step = this.options.step || controller.rule_interval;
+				Utils.TRACE(TAG, `Simulating ${new Date(from)} to ${new Date(to)}`);
+
+				for (let name in controller.pin) {
+					let state = this.recorded.pin[name].at(from);
+					controller.pin[name].Gpio.value = state || 0;
+					report[name] = { steps: 0, agreed: 0, differences: [] };
+				}
+
+				this.now = from;
+				Utils.setClock(() => this.now);
+
+				// Each step starts a fresh promise chain, rather than
+				// chaining onto the last, so long runs don't build up
+				return new Promise((resolve, reject) => {
+					let tick = () => {
+						let time = this.now;
+						if (time > to) {
+							resolve();
+							return;
+						}
+
+						for (let name in controller.thermostat) {
+							let temp = this.recorded.thermostat[name].at(time);
+							if (typeof temp !== "undefined") {
+								controller.thermostat[name].temperature = temp;
+								controller.thermostat[name].lastKnownGood = time;
+							}
+						}
+
+						controller.testRules()
+						.then(() => this._compare(time, step, report))
+						.then(() => {
+							this.now = time + step;
+							tick();
+						})
+						.catch(reject);
+					};
+					tick();
+				});
+			})
+			.then(() => report)
+			.finally(() => Utils.setClock());
+		}
+
+		/**
+		 * Compare simulated pin states with recorded pin states, and
+		 * update the report
+		 * @private
+		 */
+		_compare(time, step, report) {
+			let promises = [];
+			for (let name in this.controller.pin) {
+				let recorded = this.recorded.pin[name].at(time);
+				let pr = report[name];
+				promises.push(
+					this.controller.pin[name].getState()
+					.then(simulated => {
+						pr.steps++;
+						if (typeof recorded === "undefined"
+							|| simulated === recorded) {
+							pr.agreed++;
+							return;
+						}
+						let last = pr.differences[pr.differences.length - 1];
+						if (last && last.to === time - step
+							&& last.simulated === simulated
+							&& last.recorded === recorded)
+							last.to = time;
+						else
+							pr.differences.push({
+								from: time,
+								to: time,
+								simulated: simulated,
+								recorded: recorded
+							});
+					}));
+			}
+			return Promise.all(promises);
+		}
+	}
+
+	return Simulator;
+});
@@ -0,0 +1,115 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+define("server/js/SysfsSensor", ["fs", "path", "common/js/Utils", "server/js/Sensor"], (fs, Path, Utils, Sensor) => {
+
+	const Fs = fs.promises;
+	const TAG = "SysfsSensor";
+
+	/**
+	 * Base class of drivers for sensors that have a kernel driver, and
+	 * are read through sysfs (iio or hwmon). The kernel does the I2C or
+	 * bit-banging, so all we have to do is read files.
+	 *
+	 * The sensor id is the name of the device directory under `path`
+	 * e.g. `iio:device0`, or the name the kernel driver gives the device
+	 * (what's in the `name` file in the device directory) e.g. `bme280`.
+	 * Device numbers can change when the system restarts, so the name is
+	 * safer if there is only one sensor of that type.
+	 *
+	 * Subclasses give the `channels` to read. Each channel is the file
+	 * the reading is in, and what to multiply it by to get the units in
+	 * Sensor.getReadings.
+	 *
+	 * Because everything is read from files, a directory laid out the
+	 * same way as sysfs can be given as the `path` to simulate sensors
+	 * for testing.
+	 * @param {object} proto see SysfsSensor.Model
+	 * @param {string} id identifies the sensor
+	 * @param {string} path default path to the device directories
+	 * @param {object} channels map from reading name
+	 * (temperature, humidity, pressure) to { file, scale }
+	 * @class
+	 */
+	class SysfsSensor extends Sensor {
+
+		constructor(proto, id, path, channels) {
+			super(proto, id);
+			if (typeof this.path === "undefined")
+				this.path = path;
+			this.channels = channels;
+		}
+
+		/**
+		 * Promise to find the device directory for the sensor
+		 * @return {Promise} resolves to the path to the directory
+		 * @private
+		 */
+		_findDevice() {
+			if (this.device)
+				return Promise.resolve(this.device);
+			let root = Utils.expandEnvVars(this.path);
+			let dir = Path.resolve(root, this.id);
+			return Fs.access(dir)
+			.catch(() => Fs.readdir(root)
+				   .then(dirs => Promise.all(dirs.map(
+					   d => Fs.readFile(Path.resolve(root, d, "name"))
+					   .then(name => name.toString().trim() === this.id ? d : undefined)
+					   .catch(() => undefined))))
+				   .then(found => {
+					   let d = found.find(d => typeof d !== "undefined");
+					   if (typeof d === "undefined")
+						   throw Utils.exception(
+							   TAG, `No device '${this.id}' in ${root}`);
+					   dir = Path.resolve(root, d);
+				   }))
+			.then(() => {
+				Utils.TRACE(TAG, `'${this.id}' is ${dir}`);
+				this.device = dir;
+				return dir;
+			});
+		}
+
+		getReadings() {
+			return this._findDevice()
+			.then(dir => {
+				let readings = {};
+				return Promise.all(Object.keys(this.channels).map(what => {
+					let channel = this.channels[what];
+					return Fs.readFile(Path.resolve(dir, channel.file))
+					.then(content => {
+						let v = parseFloat(content.toString());
+						if (isNaN(v))
+							throw Utils.exception(
+								TAG, `'${this.id}' bad ${what} '${content}'`);
+						readings[what] = v * channel.scale;
+					})
+					.catch(e => {
+						// Only temperature is required
+						if (what === "temperature")
+							throw e;
+						Utils.TRACE(TAG, `'${this.id}' no ${what}: ${e}`);
+					});
+				}))
+				.then(() => readings);
+			})
+			.catch(e => {
+				// The device may have gone, look for it again next time
+				delete this.device;
+				throw e;
+			});
+		}
+	}
+
+	SysfsSensor.Model = Utils.extend({}, Sensor.Model, {
+		$class: SysfsSensor,
+		path: {
+			$class: String,
+			$doc: "Path to the directory that has the device directories. The default depends on the sensor.",
+			$optional: true
+		}
+	});
+
+	return SysfsSensor;
+});
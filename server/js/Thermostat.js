@@ -2,7 +2,7 @@
 
 /*eslint-env node */
 
-define("server/js/Thermostat", ["common/js/Utils", "common/js/Time", "common/js/Timeline", "server/js/DS18x20", "server/js/Historian"], function(Utils, Time, Timeline, DS18x20, Historian) {
+define("server/js/Thermostat", ["common/js/Utils", "common/js/Time", "common/js/Timeline", "server/js/Sensor", "server/js/DS18x20", "server/js/Historian"], function(Utils, Time, Timeline, Sensor, DS18x20, Historian) {
 
 	const TAG = "Thermostat";
 
@@ -13,10 +13,36 @@ define("server/js/Thermostat", ["common/js/Utils", "common/js/Time", "common/js/
 	// alarm to the admin
 	const NO_RESPONSE_ALARM = 10 * 60 * 1000; // 10 mins in ms
 
+	// Ways of combining readings from several sensors
+	const AGGREGATES = Sensor.AGGREGATES;
+
+	// Limits used to spot faulty sensors, if `faults` isn't given
+	const FAULT_LIMITS = {
+		min: -55, // DS18B20 range
+		max: 125,
+		stuck: 3 * 60 * 60 * 1000 // 3 hours in ms
+	};
+
+	// Readings that are known to be bad, if `filter` isn't given. A
+	// DS18B20 reads 85°C when it has just powered up.
+	const RESET_READINGS = [ 85 ];
+
+	// How each type of fault is described in alerts. Errors that aren't
+	// classified (see Sensor.fault) are `no_reading`.
+	const FAULTS = {
+		no_reading: "no reading",
+		crc: "CRC failures",
+		reset: "reset readings",
+		bounds: "readings out of bounds",
+		jump: "readings jumping",
+		stuck: "a stuck reading while the service is on"
+	};
+
 	/**
 	 * Interface to a DS18x20 thermostat. This object takes care of polling the
 	 * device for regular temperature updates that can then be read from the
-	 * object.
+	 * object. Other types of sensor can be used by giving a `driver` (see
+	 * Sensor).
 	 *
 	 * A thermostat also maintains one or more Requests. These are used to
 	 * record a requirement for a target temperature for a thermostat:
@@ -40,6 +66,27 @@ define("server/js/Thermostat", ["common/js/Utils", "common/js/Time", "common/js/
 	 * expires first applies. If they both expire at the same time, then the
 	 * most recent request received applies.
 	 *
+	 * A thermostat can have several `sensors` (e.g. at each end of a big
+	 * room, or a spare in the tank) instead of a single `id`. Readings from
+	 * the sensors that responded to the last poll are combined according
+	 * to `aggregate`, so a sensor that stops responding is left out until
+	 * it comes back.
+	 *
+	 * Known bad values (such as the 85°C a DS18B20 gives when it has just
+	 * powered up) are always rejected as if the sensor hadn't responded,
+	 * and the `filter` can also reject jumps faster than the temperature
+	 * could really change. The `calibration` for
+	 * the sensor is then applied, and the result is smoothed over the
+	 * last few readings. Rules see the smoothed temperature; the raw
+	 * reading is kept for diagnostics.
+	 *
+	 * Readings that can't be trusted are classified as faults: failed
+	 * CRC checks, reset values, readings outside the `faults` bounds,
+	 * readings that jump, and readings that are stuck at the same value
+	 * for hours while the service is on (so the temperature should be
+	 * rising). The current fault for each sensor is given in the state,
+	 * and an alert is sent for each type of fault.
+	 *
 	 * @class
 	 */
 	class Thermostat {
@@ -60,14 +107,58 @@ define("server/js/Thermostat", ["common/js/Utils", "common/js/Time", "common/js/
 			 * (see #addRequest) */
 			this.requests = [];
 
-			// Load the driver asynchronously
-			this.sensor = new DS18x20(this.id);
+			if (typeof AGGREGATES[this.aggregate || "mean"] === "undefined")
+				throw Utils.exception(
+					TAG, `'${name}' unknown aggregate '${this.aggregate}'`);
+
+			if (this.filter && this.filter.smooth
+				&& [ "mean", "median" ].indexOf(this.filter.smooth) < 0)
+				throw Utils.exception(
+					TAG, `'${name}' unknown smoothing '${this.filter.smooth}'`);
+
+			let ids = this.sensors || (this.id ? [ this.id ] : []);
+			if (ids.length === 0)
+				throw Utils.exception(TAG, `'${name}' has no sensors`);
+
+			// One probe for each sensor. Load the drivers asynchronously.
+			this.probes = ids.map(id => {
+				return {
+					id: id,
+					sensor: this.driver
+					? this.driver.forSensor(id) : new DS18x20({}, id),
+					// Last reading from this sensor, as read
+					raw: undefined,
+					// Last accepted reading, calibrated
+					last: undefined,
+					// Recent accepted readings, for smoothing
+					window: [],
+					// Smoothed temperature from this sensor
+					temperature: undefined,
+					// Did the sensor respond to the last poll?
+					responding: false,
+					lastKnownGood: Utils.now(),
+					// Type of fault in the last reading, if any
+					fault: undefined,
+					// Types of fault alerted since the last good reading
+					alerted: {},
+					// When the raw reading last changed, or the service
+					// was last off
+					steady: Utils.now()
+				};
+			});
 
 			// Last recorded temperature {float}
 			this.temperature = 0;
 
 			// Remember the time of the last known good sample
-			this.lastKnownGood = Date.now();
+			this.lastKnownGood = Utils.now();
+
+			// Recent readings { time, temperature }, used to detect an
+			// open window
+			this.recent = [];
+
+			// Limits on the target, keyed by who set them (see setSetback)
+			this.setbacks = {};
 
 			// Temperature history, sample on a time schedule
 			let hc = this.history;
@@ -82,28 +173,44 @@ define("server/js/Thermostat", ["common/js/Utils", "common/js/Time", "common/js/
 		 * from the probe. The promise resolves to the Thermostat.
 		 */
 		initialise() {
-			return new Promise(resolve => {
-				this.sensor.initialiseSensor()
-				.then(s => s.getTemperature())
-				.then(t => resolve(t))
+			return Promise.all(this.probes.map(
+				probe => probe.sensor.initialiseSensor()
+				.then(() => this._sample(probe))
+				.then(readings => this._reading(probe, readings, false))
 				.catch(e => {
-					console.error(`Thermostat ${this.id} initialisation failed ${e}`);
-					if (typeof HOTPOT_DEBUG === "undefined") {
-						console.error("--debug not enabled");
-						// Don't do this, it raises an unhandled reject
-						// throw e;
-						// Do this instead:
-						resolve(100);
-						// that will make hotpot turn the relevant service on.
-						// The temperature ultimately is limited by the hard
-						// thermostats, so we don't risk anything by this.
-					} else {
-						// Fall back to debug
-						this.sensor = HOTPOT_DEBUG.getService(this.name);
-						console.error(`Falling back to debug service for thermostat '${this.name}'`);
-						resolve(this.sensor.getTemperature());
-					}
-				});
+					console.error(`Thermostat ${probe.id} initialisation failed ${e}`);
+				})))
+			.then(() => {
+				let temp = this._aggregate();
+				if (typeof temp !== "undefined")
+					return temp;
+				if (this.probes.every(
+					probe => typeof probe.sensor.waitsForReadings === "function"
+					&& probe.sensor.waitsForReadings())) {
+					// Nothing has been sent yet, or the readings the
+					// sensor is computed from aren't there yet. There is
+					// no temperature until they are, so rules leave the
+					// service alone.
+					Utils.TRACE(TAG, `'${this.name}' waiting for readings`);
+					for (let probe of this.probes)
+						probe.fault = "no_reading";
+					return undefined;
+				}
+				if (typeof HOTPOT_DEBUG === "undefined") {
+					console.error("--debug not enabled");
+					// Don't throw, it raises an unhandled reject. Do this
+					// instead:
+					return 100;
+					// that will make hotpot turn the relevant service on.
+					// The temperature ultimately is limited by the hard
+					// thermostats, so we don't risk anything by this.
+				}
+				// Fall back to debug
+				let service = HOTPOT_DEBUG.getService(this.name);
+				for (let probe of this.probes)
+					probe.sensor = service;
+				console.error(`Falling back to debug service for thermostat '${this.name}'`);
+				return service.getTemperature();
 			})
 			.then(temp => {
 				this.temperature = temp;
@@ -111,6 +218,8 @@ define("server/js/Thermostat", ["common/js/Utils", "common/js/Time", "common/js/
 				if (this.history) {
 					Utils.TRACE(TAG, `starting historian for '${this.name}' at ${temp}`);
 					this.history.start(() => {
+						if (typeof this.temperature !== "number")
+							return undefined;
 						return Math.round(this.temperature * 10) / 10;
 					});
 				}
@@ -127,12 +236,33 @@ define("server/js/Thermostat", ["common/js/Utils", "common/js/Time", "common/js/
 		 */
 		getSerialisableState() {
 			this.purgeRequests();
-			return Promise.resolve({
+			// Humidity and pressure are only given if a sensor measures them
+			function measured(from, to) {
+				for (let what of [ "humidity", "pressure" ])
+					if (typeof from[what] === "number")
+						to[what] = from[what];
+				return to;
+			}
+			return Promise.resolve(measured(this, {
 				temperature: this.temperature,
 				lastKnownGood: this.lastKnownGood,
 				target: this.getTargetTemperature(),
-				requests: this.requests
-			});
+				hysteresis: this.hysteresis,
+				overheat_margin: this.overheat_margin,
+				requests: this.requests,
+				sensors: this.probes.map(probe => {
+					let sensor = measured(probe, {
+						id: probe.id,
+						temperature: probe.temperature,
+						raw: probe.raw,
+						responding: probe.responding,
+						lastKnownGood: probe.lastKnownGood
+					});
+					if (probe.fault)
+						sensor.fault = probe.fault;
+					return sensor;
+				})
+			}));
 		};
 
 		/**
@@ -152,6 +282,40 @@ define("server/js/Thermostat", ["common/js/Utils", "common/js/Time", "common/js/
 			return Promise.resolve();
 		}
 
+		/**
+		 * Get the driver for one of the thermostat's sensors
+		 * @param {string} id the sensor id
+		 * @return {Sensor} the driver, or undefined if the thermostat
+		 * has no such sensor
+		 */
+		getSensor(id) {
+			let probe = this.probes.find(p => p.id === id);
+			return probe ? probe.sensor : undefined;
+		}
+
+		/**
+		 * Is the thermostat virtual i.e. computed from other
+		 * thermostats and weather agents? (see VirtualSensor)
+		 * @return {boolean} true if all the sensors are virtual
+		 */
+		isVirtual() {
+			return this.probes.every(
+				probe => typeof probe.sensor.isVirtual === "function"
+				&& probe.sensor.isVirtual());
+		}
+
+		/**
+		 * Give the sensor drivers access to the controller, for drivers
+		 * that read other parts of the system (see VirtualSensor)
+		 * @param {Controller} controller the controller
+		 */
+		setController(controller) {
+			for (let probe of this.probes) {
+				if (typeof probe.sensor.setController === "function")
+					probe.sensor.setController(controller);
+			}
+		}
+
 		/**
 		 * Set a handler to be invoked if there's a problem requiring
 		 * an admin alert
@@ -160,6 +324,184 @@ define("server/js/Thermostat", ["common/js/Utils", "common/js/Time", "common/js/
 			this.alertHandler = func;
 		}
 
+		/**
+		 * Set a handler to be invoked when an open window is detected
+		 * (see Thermostat.Model.open_window). The handler is passed the
+		 * fall in temperature.
+		 * @param {function} func the handler
+		 */
+		setOpenWindowHandler(func) {
+			this.openWindowHandler = func;
+		}
+
+		/**
+		 * Look for a fall in temperature fast enough to suggest an open
+		 * window, and if there is one invoke the open window handler.
+		 * @param {number} temp the latest reading
+		 * @private
+		 */
+		_checkOpenWindow(temp) {
+			let ow = this.open_window;
+			if (typeof ow === "undefined")
+				return;
+			let now = Utils.now();
+			this.recent.push({ time: now, temperature: temp });
+			while (now - this.recent[0].time > ow.period)
+				this.recent.shift();
+			let peak = Math.max(...this.recent.map(r => r.temperature));
+			if (peak - temp < ow.drop)
+				return;
+			Utils.TRACE(TAG, `'${this.name}' fell ${peak - temp} in ${Time.formatDelta(now - this.recent[0].time)}`);
+			// Start afresh, so the same fall isn't seen again
+			this.recent = [];
+			if (typeof this.openWindowHandler === "function")
+				this.openWindowHandler(peak - temp);
+		}
+
+		/**
+		 * Return a promise to read a sensor. Drivers that only know
+		 * about temperature (such as the debug service) just have
+		 * getTemperature.
+		 * @param {object} probe the sensor's probe
+		 * @return {Promise} resolves to { temperature, humidity, pressure }
+		 * @private
+		 */
+		_sample(probe) {
+			if (typeof probe.sensor.getReadings === "function")
+				return probe.sensor.getReadings();
+			return probe.sensor.getTemperature()
+			.then(t => {
+				return { temperature: t };
+			});
+		}
+
+		/**
+		 * Filter, calibrate and smooth a reading from a sensor, and
+		 * record it
+		 * @param {object} probe the sensor's probe
+		 * @param {object} readings { temperature, humidity, pressure }
+		 * from the sensor
+		 * @param {boolean} on true if the service is on
+		 * @throws {Error} if the reading is a fault, or is rejected by
+		 * the filter
+		 * @private
+		 */
+		_reading(probe, readings, on) {
+			let raw = readings.temperature;
+			let now = Utils.now();
+			if (!on || raw !== probe.raw)
+				probe.steady = now;
+			probe.raw = raw;
+
+			let limits = this.faults || FAULT_LIMITS;
+			if (raw < limits.min || raw > limits.max)
+				throw Sensor.fault(
+					"bounds", `${raw} is outside ${limits.min}..${limits.max}`);
+
+			let filter = this.filter;
+			if ((filter ? filter.reject : RESET_READINGS).indexOf(raw) >= 0)
+				throw Sensor.fault("reset", `${raw} is a known bad reading`);
+
+			let cal = this.calibration && this.calibration[probe.id];
+			let temp = cal ? raw * cal.gain + cal.offset : raw;
+
+			if (filter && typeof filter.max_rate === "number"
+				&& typeof probe.last === "number") {
+				// Allow at least the change over one poll, so readings
+				// close together aren't rejected
+				let minutes = Math.max(
+					Utils.now() - probe.lastKnownGood,
+					1000 * (this.poll_every || DEFAULT_POLL_INTERVAL)) / 60000;
+				if (Math.abs(temp - probe.last) > filter.max_rate * minutes)
+					throw Sensor.fault(
+						"jump", `${temp} is too far from ${probe.last}`);
+			}
+
+			if (now - probe.steady >= limits.stuck)
+				throw Sensor.fault(
+					"stuck", `${raw} for ${Time.formatDelta(now - probe.steady)} while the service is on`);
+			probe.last = temp;
+
+			if (filter && filter.smooth) {
+				probe.window.push(temp);
+				while (probe.window.length > filter.window)
+					probe.window.shift();
+				temp = AGGREGATES[filter.smooth](probe.window);
+			}
+
+			probe.temperature = temp;
+			probe.humidity = readings.humidity;
+			probe.pressure = readings.pressure;
+			probe.responding = true;
+			probe.lastKnownGood = now;
+			probe.fault = undefined;
+			probe.alerted = {};
+		}
+
+		/**
+		 * Combine the readings from the sensors that are responding
+		 * @return {number} the temperature, or undefined if no sensor
+		 * is responding
+		 * @private
+		 */
+		_aggregate() {
+			let temps = this.probes
+				.filter(probe => probe.responding)
+				.map(probe => probe.temperature);
+			if (temps.length === 0)
+				return undefined;
+			return AGGREGATES[this.aggregate || "mean"](temps);
+		}
+
+		/**
+		 * Get the mean of the humidity or pressure from the sensors that
+		 * are responding and can measure it
+		 * @param {string} what "humidity" or "pressure"
+		 * @return {number} the mean, or undefined if no sensor measures it
+		 * @private
+		 */
+		_mean(what) {
+			let vs = this.probes
+				.filter(probe => probe.responding
+						&& typeof probe[what] === "number")
+				.map(probe => probe[what]);
+			return vs.length > 0 ? AGGREGATES.mean(vs) : undefined;
+		}
+
+		/**
+		 * Return a promise to read a sensor. If we didn't get a useable
+		 * reading, the sensor is left out until it responds again. Log
+		 * how long it's been since we last got a known-good reading,
+		 * and alert once for each type of fault.
+		 * @param {object} probe the sensor's probe
+		 * @param {boolean} on true if the service is on
+		 * @return {Promise} resolves when the sensor has been read
+		 * @private
+		 */
+		_readProbe(probe, on) {
+			return this._sample(probe)
+			.then(readings => {
+				Utils.TRACE(TAG, `${probe.id} now ${readings.temperature}`);
+				this._reading(probe, readings, on);
+			})
+			.catch(e => {
+				probe.responding = false;
+				probe.fault = e.fault || "no_reading";
+				// A stuck reading has already been the same for hours
+				let stuck = probe.fault === "stuck";
+				let waiting = Utils.now()
+					- (stuck ? probe.steady : probe.lastKnownGood);
+				let mess = `${this.name} sensor ${probe.id} has had ${FAULTS[probe.fault]} for ${Time.formatDelta(waiting)}`;
+				console.error(mess, e);
+				if (probe.alerted[probe.fault]
+					|| (!stuck && waiting < NO_RESPONSE_ALARM))
+					return;
+				if (typeof this.alertHandler === "function")
+					this.alertHandler(mess);
+				probe.alerted[probe.fault] = true;
+			});
+		}
+
 		/**
 		 * Return a promise to start polling thermometers
 		 * Thermostats are polled every <poll interval> seconds for
@@ -169,27 +511,21 @@ define("server/js/Thermostat", ["common/js/Utils", "common/js/Time", "common/js/
 		 */
 		poll() {
 			delete this.pollTimer;
-			return this.sensor.getTemperature()
-			.then(temp => {
-				Utils.TRACE(TAG, `${this.id} now ${temp}`);
-				this.temperature = temp;
-				this.lastKnownGood = Date.now();
-				this.alerted = false;
-				return this;
-			})
-
-			// If we didn't get a useable reading, use the last
-			// temperature returned. Log how long it's been since we
-			// last got a known-good reading.
-			.catch(e => {
-				let waiting = Date.now() - this.lastKnownGood;
-				let mess = `${this.name} sensor ${this.id} has had no reading for ${Time.formatDelta(waiting)}`;
-				console.error(mess, e);
-				if (this.alerted || waiting < NO_RESPONSE_ALARM)
+			let check = typeof this.serviceCheck === "function"
+				? this.serviceCheck().catch(() => 0) : Promise.resolve(0);
+			return check
+			.then(state => Promise.all(this.probes.map(
+				probe => this._readProbe(probe, state === 1))))
+			.then(() => {
+				let temp = this._aggregate();
+				// If no sensor is responding, use the last temperature
+				if (typeof temp === "undefined")
 					return this;
-				if (typeof this.alertHandler === "function")
-					this.alertHandler(mess);
-				this.alerted = true;
+				this.temperature = temp;
+				this.humidity = this._mean("humidity");
+				this.pressure = this._mean("pressure");
+				this.lastKnownGood = Utils.now();
+				this._checkOpenWindow(temp);
 				return this;
 			})
 
@@ -220,6 +556,43 @@ define("server/js/Thermostat", ["common/js/Utils", "common/js/Time", "common/js/
 				this.history.stop();
 		}
 
+		/**
+		 * Set a function that promises to get the state of the service
+		 * the thermostat controls (1 for on, 0 for off). A reading that
+		 * doesn't change for a long time while the service is on is
+		 * stuck. If not set, stuck readings aren't detected.
+		 * @param {function} func the function
+		 */
+		setServiceCheck(func) {
+			this.serviceCheck = func;
+		}
+
+		/**
+		 * Set a function that can override the timeline e.g. for away
+		 * mode. The function is passed the thermostat, and returns a
+		 * target temperature, or undefined to use the timeline.
+		 * Requests still take precedence.
+		 * @param {function} func the override
+		 */
+		setTargetOverride(func) {
+			this.targetOverride = func;
+		}
+
+		/**
+		 * Set or clear a limit on the target given by the timeline (or
+		 * the override) e.g. while nobody is home. The target is never
+		 * raised by a setback. If several sources set one, the lowest
+		 * applies. Requests still take precedence.
+		 * @param {string} source who is setting the limit
+		 * @param {number} limit the highest target, or undefined to clear
+		 */
+		setSetback(source, limit) {
+			if (typeof limit === "undefined")
+				delete this.setbacks[source];
+			else
+				this.setbacks[source] = limit;
+		}
+
 		/**
 		 * Get the target temperature specified by the timeline or active boost
 		 * request for this thermostat at the current time.
@@ -235,13 +608,19 @@ define("server/js/Thermostat", ["common/js/Utils", "common/js/Time", "common/js/
 				return this.requests[this.requests.length - 1].target;
 			}
 			let t;
-			try {
-				t = this.timeline.valueAtTime(Date.now() - Time.midnight());
-			} catch (e) {
-				Utils.TRACE(TAG, e, "\n",
-							typeof e.stack !== "undefined" ? e.stack : e);
-				t = 0;
+			if (typeof this.targetOverride === "function")
+				t = this.targetOverride(this);
+			if (typeof t !== "number") {
+				try {
+					t = this.timeline.valueAtTime(Utils.now() - Time.midnight());
+				} catch (e) {
+					Utils.TRACE(TAG, e, "\n",
+								typeof e.stack !== "undefined" ? e.stack : e);
+					t = 0;
+				}
 			}
+			for (let source in this.setbacks)
+				t = Math.min(t, this.setbacks[source]);
 			return t;
 		};
 
@@ -313,7 +692,7 @@ define("server/js/Thermostat", ["common/js/Utils", "common/js/Time", "common/js/
 							purge = true;
 							Utils.TRACE(TAG, `Purge because boost ${this.temperature} over ${r.target}`);
 						}
-					} else if (!purge && r.until < Date.now() / 1000) {
+					} else if (!purge && r.until < Utils.now() / 1000) {
 						purge = true;
 						Utils.TRACE(TAG, "Purge because until was in the past");
 					}
@@ -330,13 +709,117 @@ define("server/js/Thermostat", ["common/js/Utils", "common/js/Time", "common/js/
 		$class: Thermostat,
 		id: {
 			$class: String,
-			$doc: "unique ID used to communicate with this thermostat"
+			$doc: "unique ID used to communicate with this thermostat's sensor. Either this or `sensors` must be given.",
+			$optional: true
+		},
+		driver: {
+			$doc: "Driver for the sensors e.g. $instance_of:`server/js/BME280`. If not given, the sensors are DS18x20s.",
+			$instantiable: true,
+			$optional: true
+		},
+		sensors: {
+			$doc: "IDs of several sensors, used instead of `id`",
+			$array_of: { $class: String },
+			$optional: true
+		},
+		aggregate: {
+			$class: String,
+			$doc: "How to combine readings from `sensors`; one of `mean` (the default), `min`, `max`, `median`, or `primary` (the first sensor that is responding)",
+			$optional: true
 		},
 		poll_every: {
 			$class: Number,
 			$doc: "Polling frequency, in seconds",
 			$optional: true
 		},
+		hysteresis: {
+			$class: Number,
+			$doc: "How far (in °C) the temperature can drop below the target before the service is switched on. If not given, the rule decides.",
+			$optional: true
+		},
+		overheat_margin: {
+			$class: Number,
+			$doc: "How far (in °C) the temperature can go over the highest target in the timeline or requests before the service is forced off",
+			$default: 0
+		},
+		calibration: {
+			$doc: "Map from sensor ID to the calibration for that sensor. The temperature is the reading * `gain` + `offset`.",
+			$map_of: {
+				offset: {
+					$class: Number,
+					$doc: "Added to the reading (°C)",
+					$default: 0
+				},
+				gain: {
+					$class: Number,
+					$doc: "Reading is multiplied by this",
+					$default: 1
+				}
+			},
+			$optional: true
+		},
+		filter: {
+			$doc: "Rejection of bad readings, and smoothing. If not given, only the default `reject` readings are rejected.",
+			$optional: true,
+			reject: {
+				$doc: "Readings that are known to be bad. A DS18B20 reads 85°C when it has just powered up.",
+				$array_of: { $class: Number },
+				$default: RESET_READINGS
+			},
+			max_rate: {
+				$class: Number,
+				$doc: "Fastest believable change in temperature (°C per minute). Readings that are further than this from the last reading are rejected. If not given, jumps aren't checked.",
+				$optional: true
+			},
+			smooth: {
+				$class: String,
+				$doc: "Smooth readings with a moving `mean` or `median` over the last `window` readings. If not given, readings aren't smoothed.",
+				$optional: true
+			},
+			window: {
+				$class: Number,
+				$doc: "Number of readings to smooth over",
+				$default: 5
+			}
+		},
+		faults: {
+			$doc: "Limits used to spot faulty sensors. If not given, the defaults are used.",
+			$optional: true,
+			min: {
+				$class: Number,
+				$doc: "Lowest believable reading (°C)",
+				$default: FAULT_LIMITS.min
+			},
+			max: {
+				$class: Number,
+				$doc: "Highest believable reading (°C)",
+				$default: FAULT_LIMITS.max
+			},
+			stuck: {
+				$class: Number,
+				$doc: "Time (ms) a reading can stay exactly the same while the service is on before the sensor is taken to be stuck",
+				$default: FAULT_LIMITS.stuck
+			}
+		},
+		open_window: {
+			$doc: "Detect an open window from a fast fall in temperature while the service is on, and switch the service off for a while. If not given, open windows are not detected.",
+			$optional: true,
+			drop: {
+				$class: Number,
+				$doc: "Fall in temperature (°C) that suggests an open window",
+				$default: 1
+			},
+			period: {
+				$class: Number,
+				$doc: "Time (ms) the temperature must fall by `drop` within",
+				$default: 3 * 60 * 1000
+			},
+			suspend: {
+				$class: Number,
+				$doc: "Time (ms) to switch the service off for",
+				$default: 30 * 60 * 1000
+			}
+		},
 		timeline: Timeline.Model,
 		history: Utils.extend({
 			$optional: true
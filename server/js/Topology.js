@@ -0,0 +1,153 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+define("server/js/Topology", ["common/js/Utils"], function(Utils) {
+
+	const TAG = "Topology";
+
+	/**
+	 * A topology describes how the services (e.g. "CH", "HW") that rules
+	 * switch on and off map to the pins that drive valves and the boiler,
+	 * and any interlocks that have to be respected when pins are switched.
+	 *
+	 * This base class is the simplest topology, where each service has a
+	 * pin of the same name that can be switched independently of the
+	 * others. Subclasses implement real plumbing, see YPlan, SPlan and Combi.
+	 *
+	 * Changes of state are serialised, so a topology never has to deal
+	 * with two changes happening at the same time.
+	 * @param {object} proto see Topology.Model
+	 * @param {string} name identifier
+	 * @class
+	 */
+	class Topology {
+
+		constructor(proto, name) {
+			Utils.extend(this, proto);
+			this.name = name;
+
+			// Promise that resolves when the last change of state is done
+			this.queue = Promise.resolve();
+		}
+
+		/**
+		 * Get the pin that shows the state of a service, and records the
+		 * reason for the last change
+		 * @param {Controller} controller the controller
+		 * @param {string} service name of the service e.g. "CH"
+		 * @return {Pin} the pin, or undefined if the service is unknown
+		 */
+		getPin(controller, service) {
+			return controller.pin[service];
+		}
+
+		/**
+		 * Get a pin, throwing if it isn't configured
+		 * @param {Controller} controller the controller
+		 * @param {string} name name of the pin
+		 * @protected
+		 */
+		requirePin(controller, name) {
+			let pin = controller.pin[name];
+			if (typeof pin === "undefined")
+				throw Utils.exception(
+					TAG, `${this.constructor.name} topology needs a pin called '${name}'`);
+			return pin;
+		}
+
+		/**
+		 * Promise to get the pins that switching a service would change,
+		 * so the controller can check their minimum on and off times.
+		 * Brief changes made along the way (e.g. the Y-plan spring
+		 * return) aren't included.
+		 * @param {Controller} controller the controller
+		 * @param {string} service name of the service e.g. "CH"
+		 * @param {number} state 1 (on) or 0 (off)
+		 * @return {Promise} resolves to an array of { pin, state }
+		 */
+		getChanges(controller, service, state) {
+			let pin = this.getPin(controller, service);
+			return Promise.resolve(
+				typeof pin === "undefined" ? [] : [ { pin: pin, state: state } ]);
+		}
+
+		/**
+		 * Promise to switch a service on or off. Subclasses override
+		 * `changeState` rather than this.
+		 * @param {Controller} controller the controller
+		 * @param {string} service name of the service e.g. "CH"
+		 * @param {number} state 1 (on) or 0 (off)
+		 * @return {Promise} resolves when the change is complete
+		 */
+		setState(controller, service, state) {
+			let promise = this.queue.then(
+				() => this.changeState(controller, service, state));
+			// Don't let a failure block subsequent changes
+			this.queue = promise.catch(() => {});
+			return promise;
+		}
+
+		/**
+		 * Promise to switch a service on or off. Only one call to this
+		 * is active at a time.
+		 * @param {Controller} controller the controller
+		 * @param {string} service name of the service e.g. "CH"
+		 * @param {number} state 1 (on) or 0 (off)
+		 * @return {Promise} resolves when the change is complete
+		 * @protected
+		 */
+		changeState(controller, service, state) {
+			let pin = this.getPin(controller, service);
+			if (typeof pin === "undefined")
+				return Promise.resolve(); // Avoid race during initialisation
+			return Topology.setPin(pin, state);
+		}
+
+		/**
+		 * Promise to put the pins into a known state on startup, with
+		 * all services off.
+		 * @param {Controller} controller the controller
+		 * @return {Promise} resolves when the reset is complete
+		 */
+		reset(controller) {
+			let promises = [];
+			for (let name in controller.pin)
+				promises.push(controller.pin[name].setState(0));
+			return Promise.all(promises);
+		}
+
+		/**
+		 * Promise to set a pin, if it isn't already in the given state
+		 * @param {Pin} pin the pin
+		 * @param {number} state 1 (on) or 0 (off)
+		 * @return {Promise} resolves to true if the state was changed
+		 */
+		static setPin(pin, state) {
+			return pin.getState()
+			.then(cur => {
+				if (cur === state)
+					return false;
+				return pin.setState(state).then(() => true);
+			});
+		}
+
+		/**
+		 * Promise to wait for a time
+		 * @param {string} id timer name
+		 * @param {number} ms time to wait
+		 * @protected
+		 */
+		static wait(id, ms) {
+			if (!(ms > 0))
+				return Promise.resolve();
+			return new Promise(resolve => Utils.startTimer(id, resolve, ms));
+		}
+	}
+
+	Topology.Model = {
+		$class: Topology
+	};
+
+	return Topology;
+});
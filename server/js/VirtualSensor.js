@@ -0,0 +1,143 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+define("server/js/VirtualSensor", ["vm", "common/js/Utils", "server/js/Sensor", "server/js/DeclarativeRule", "server/js/Sandbox"], (vm, Utils, Sensor, DeclarativeRule, Sandbox) => {
+
+	const TAG = "VirtualSensor";
+
+	// Ways of combining the inputs, as well as those in Sensor.AGGREGATES
+	const REDUCERS = Utils.extend({}, Sensor.AGGREGATES, {
+		sum: ts => ts.reduce((a, t) => a + t, 0),
+		// e.g. indoor/outdoor delta
+		difference: ts => ts[0] - ts[1]
+	});
+
+	/**
+	 * Driver for a sensor that doesn't exist, whose temperature is
+	 * computed from other thermostats and weather agents. A thermostat
+	 * using it is a virtual thermostat, with its own timeline, history
+	 * and requests, so rules can target e.g. the whole house rather than
+	 * one room.
+	 *
+	 * The `inputs` are operands as used in declarative rules, e.g.
+	 * `thermostat.Lounge.temperature` or `weather.MetOffice.Temperature`.
+	 * They are combined using the named `reduce` (mean, min, max,
+	 * median, sum, or difference, which is the first input less the
+	 * second), or by a Javascript `expression` that sees the input values
+	 * as the array `inputs`, e.g. `(inputs[0] + inputs[1]) / 2 - inputs[2]`.
+	 * The expression runs in a Sandbox, as a ScriptRule does.
+	 *
+	 * If an input can't be read, the virtual sensor doesn't respond to
+	 * that poll.
+	 * @class
+	 */
+	class VirtualSensor extends Sensor {
+
+		constructor(proto, id) {
+			super(proto, id);
+
+			if (this.inputs.length === 0)
+				throw Utils.exception(TAG, `'${id}' has no inputs`);
+
+			if (typeof this.expression === "string") {
+				// Compiling checks the syntax; a SyntaxError stops the
+				// driver from being built
+				this.compiled = new vm.Script(this.expression, {
+					filename: `${id}.expression`
+				});
+			} else {
+				if (typeof REDUCERS[this.reduce] === "undefined")
+					throw Utils.exception(
+						TAG, `'${id}' unknown reduce '${this.reduce}'`);
+				if (this.reduce === "difference" && this.inputs.length !== 2)
+					throw Utils.exception(
+						TAG, `'${id}' difference needs two inputs`);
+			}
+		}
+
+		isVirtual() {
+			return true;
+		}
+
+		waitsForReadings() {
+			return true;
+		}
+
+		setController(controller) {
+			this.controller = controller;
+		}
+
+		/**
+		 * Nothing to initialise, the inputs may not be ready yet
+		 */
+		initialiseSensor() {
+			return Promise.resolve(this);
+		}
+
+		/**
+		 * Compute the temperature from the input values
+		 * @param {number[]} values the input values
+		 * @return {number} the result of the expression or reducer
+		 * @private
+		 */
+		_combine(values) {
+			if (!this.compiled)
+				return REDUCERS[this.reduce](values);
+
+			try {
+				return new Sandbox({ inputs: values })
+				.run(this.compiled, this.timeout);
+			} catch (e) {
+				throw Utils.exception(
+					TAG, `'${this.id}' expression failed: ${e.message}`);
+			}
+		}
+
+		getReadings() {
+			if (!this.controller)
+				return Promise.reject(
+					Utils.exception(TAG, `'${this.id}' has no controller`));
+
+			return Promise.all(this.inputs.map(
+				input => input.evaluate(this.controller)))
+			.then(values => {
+				for (let i = 0; i < values.length; i++) {
+					if (typeof values[i] !== "number" || !isFinite(values[i]))
+						throw Utils.exception(
+							TAG, `'${this.id}' input '${this.inputs[i].source}' is '${values[i]}'`);
+				}
+				let t = this._combine(values);
+				if (typeof t !== "number" || !isFinite(t))
+					throw Utils.exception(
+						TAG, `'${this.id}' computed '${t}'`);
+				return { temperature: t };
+			});
+		}
+	}
+
+	VirtualSensor.Model = Utils.extend({}, Sensor.Model, {
+		$class: VirtualSensor,
+		inputs: {
+			$doc: "Values the temperature is computed from",
+			$array_of: DeclarativeRule.Operand.Model
+		},
+		reduce: {
+			$class: String,
+			$doc: "How to combine the inputs: mean, min, max, median, sum or difference",
+			$default: "mean"
+		},
+		expression: {
+			$class: String,
+			$doc: "Javascript expression over `inputs`, used instead of `reduce`",
+			$optional: true
+		},
+		timeout: {
+			$class: Number,
+			$doc: "Time (ms) the expression may run for before it is stopped",
+			$default: 100
+		}
+	});
+
+	return VirtualSensor;
+});
@@ -0,0 +1,201 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+define("server/js/WeatherCompensationRule", ["common/js/Utils", "server/js/Rule"], (Utils, Rule) => {
+
+	// Used when there is no weather information and the thermostat
+	// doesn't set a `hysteresis`, same as CentralHeatingRule
+	const DEFAULT_HYSTERESIS = 0.5;
+
+	/**
+	 * A central heating rule that adjusts the target temperature, and how
+	 * far the temperature is allowed to drop below it before the heating
+	 * comes on (the hysteresis), according to the weather outside.
+	 *
+	 * The adjustment is given by a curve, a list of points mapping an
+	 * outside temperature to an `offset` (added to the timeline target)
+	 * and a `hysteresis`. Between points the values are interpolated;
+	 * beyond the ends of the curve the end points apply. For example, on
+	 * a mild day we might lower the target a little and let the
+	 * temperature drift further before switching on, to avoid overshoot.
+	 * On a cold day we raise the target and switch on sooner, as the
+	 * house will be slow to warm up.
+	 *
+	 * The outside temperature used is the average of the temperature now
+	 * and the forecast `lookahead` ms from now, lowered by `wind_chill`
+	 * degrees for each mph of wind speed, as wind strips heat from the
+	 * house.
+	 *
+	 * If there is no weather information the rule behaves like
+	 * CentralHeatingRule. Requests (e.g. boost) are not compensated.
+	 * @class
+	 */
+	class WeatherCompensationRule extends Rule {
+
+		constructor(proto, name) {
+			super(proto, name);
+			this.curve.sort((a, b) => a.outside - b.outside);
+
+			// Last compensation applied, for reporting
+			this.compensation = undefined;
+		}
+
+		/**
+		 * Get the weather agent used by this rule
+		 * @param {Controller} controller the controller
+		 * @return {object} the agent, or undefined
+		 * @private
+		 */
+		_getAgent(controller) {
+			if (!controller.weather)
+				return undefined;
+			if (typeof this.weather !== "undefined")
+				return controller.weather[this.weather];
+			for (let name in controller.weather)
+				return controller.weather[name];
+			return undefined;
+		}
+
+		/**
+		 * Get the effective outside temperature
+		 * @param {Controller} controller the controller
+		 * @return {number} effective outside temperature, or undefined
+		 * if there is no weather information
+		 */
+		getOutside(controller) {
+			let agent = this._getAgent(controller);
+			if (!agent)
+				return undefined;
+
+			if (!agent.covers())
+				return undefined;
+			let now = agent.get("Temperature");
+
+			let outside = now;
+			if (this.lookahead > 0) {
+				let then = Utils.now() + this.lookahead;
+				if (agent.covers(then))
+					outside = (now + agent.get("Temperature", then)) / 2;
+			}
+
+			let wind = agent.get("Wind Speed");
+			if (typeof wind === "number")
+				outside -= wind * this.wind_chill;
+
+			return outside;
+		}
+
+		/**
+		 * Look up the curve
+		 * @param {number} outside effective outside temperature
+		 * @return {object} { offset, hysteresis }
+		 */
+		compensate(outside) {
+			let curve = this.curve;
+			if (curve.length === 0)
+				return { offset: 0, hysteresis: DEFAULT_HYSTERESIS };
+			if (outside <= curve[0].outside)
+				return { offset: curve[0].offset,
+						 hysteresis: curve[0].hysteresis };
+			for (let i = 1; i < curve.length; i++) {
+				let p = curve[i], lp = curve[i - 1];
+				if (outside <= p.outside) {
+					let frac = (outside - lp.outside) / (p.outside - lp.outside);
+					return {
+						offset: lp.offset + frac * (p.offset - lp.offset),
+						hysteresis: lp.hysteresis
+						+ frac * (p.hysteresis - lp.hysteresis)
+					};
+				}
+			}
+			let last = curve[curve.length - 1];
+			return { offset: last.offset, hysteresis: last.hysteresis };
+		}
+
+		test(controller) {
+			let thermostat = controller.thermostat[this.thermostat];
+			let inputs = this.getInputs(controller, thermostat);
+
+			let outside = inputs.requests.length > 0
+				? undefined : this.getOutside(controller);
+			let comp = typeof outside === "number"
+				? this.compensate(outside)
+				: {
+					offset: 0,
+					hysteresis: typeof inputs.hysteresis === "number"
+					? inputs.hysteresis : DEFAULT_HYSTERESIS
+				};
+			comp.outside = outside;
+			this.compensation = comp;
+			inputs.compensation = comp;
+
+			// When compensating, the curve gives the hysteresis, so the
+			// thermostat's own setting is not used
+			return this.decideOnTemperature(
+				controller, inputs, inputs.target + comp.offset,
+				comp.hysteresis, "Warm enough");
+		}
+
+		/**
+		 * Promise to get the compensation last applied, for /ajax/state
+		 * @return {Promise} resolves to { outside, offset, hysteresis }
+		 */
+		getSerialisableState() {
+			return Promise.resolve(this.compensation || {});
+		}
+	}
+
+	WeatherCompensationRule.Model = Utils.extend({}, Rule.Model, {
+		$class: WeatherCompensationRule,
+		thermostat: {
+			$class: String,
+			$doc: "Name of the thermostat that measures the central heating temperature",
+			$default: "CH"
+		},
+		service: {
+			$class: String,
+			$doc: "Name of the service switched by the rule",
+			$default: "CH"
+		},
+		weather: {
+			$class: String,
+			$optional: true,
+			$doc: "Name of the weather agent to use (default the first one)"
+		},
+		curve: {
+			$doc: "Compensation curve, points relating outside temperature to an offset to the target temperature and the hysteresis",
+			$array_of: {
+				outside: {
+					$class: Number,
+					$doc: "Outside temperature"
+				},
+				offset: {
+					$class: Number,
+					$doc: "Degrees added to the target at this outside temperature"
+				},
+				hysteresis: {
+					$class: Number,
+					$doc: "Degrees below the target the temperature may drop before the heating is switched on"
+				}
+			},
+			$default: [
+				{ outside: -5, offset: 1, hysteresis: 0.25 },
+				{ outside: 5, offset: 0, hysteresis: 0.5 },
+				{ outside: 15, offset: -0.5, hysteresis: 1 }
+			]
+		},
+		wind_chill: {
+			$class: Number,
+			$doc: "Degrees the effective outside temperature is lowered by for each mph of wind",
+			$default: 0.2
+		},
+		lookahead: {
+			$class: Number,
+			$doc: "How far ahead (ms) to look in the forecast. The effective outside temperature is the average of now and then. 0 to ignore the forecast.",
+			$default: 3 * 60 * 60 * 1000
+		}
+	});
+
+	return WeatherCompensationRule;
+});
@@ -0,0 +1,119 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+define("server/js/YPlan", ["common/js/Utils", "server/js/Topology"], function(Utils, Topology) {
+
+	const TAG = "YPlan";
+
+	/**
+	 * Y-plan system, where a single three-port mid-position valve
+	 * directs water to the hot water cylinder, the radiators, or both.
+	 * The valve is driven by two pins, one for each of the "HW" and "CH"
+	 * services.
+	 *
+	 * Y-plan systems have a state where if the heating is on but the hot
+	 * water is off, and the heating is turned off, then the grey wire to
+	 * the valve (the "hot water off" signal) is held high, stalling the
+	 * motor. They are designed for this so it's not a big problem, but we
+	 * can resolve it by briefly turning on the hot water while we turn the
+	 * heating off, then turning it off again. That will allow the spring to
+	 * return, powering down the motor. The time the spring takes to return
+	 * is the controller `valve_return`. The brief change to HW doesn't
+	 * count as a change of the HW pin for its `min_on` and `min_off`.
+	 *
+	 * Any other services are mapped to pins of the same name, as for the
+	 * basic Topology.
+	 * @param {object} proto see YPlan.Model
+	 * @param {string} name identifier
+	 * @class
+	 */
+	class YPlan extends Topology {
+
+		constructor(proto, name) {
+			super(proto, name);
+		}
+
+		getPin(controller, service) {
+			if (service === "HW")
+				return controller.pin[this.hw];
+			if (service === "CH")
+				return controller.pin[this.ch];
+			return super.getPin(controller, service);
+		}
+
+		changeState(controller, service, newState) {
+			if (service !== "CH" || newState !== 0)
+				return super.changeState(controller, service, newState);
+
+			let ch = this.getPin(controller, "CH");
+			let hw = this.getPin(controller, "HW");
+
+			// Avoid race condition during initialisation
+			if (typeof ch === "undefined" || typeof hw === "undefined")
+				return Promise.resolve();
+
+			return Promise.all([ ch.getState(), hw.getState() ])
+			.then(states => {
+				// Already off
+				if (states[0] === 0)
+					return Promise.resolve();
+
+				// HW is on, so just turn CH off
+				if (states[1] !== 0)
+					return ch.setState(0);
+
+				// HW is 0 but CH is 1, so we're in state 3 (grey
+				// live and white live).
+				// Need to switch on HW to kill the grey wire.
+				// This allows the spring to fully return. Then after a
+				// timeout, turn CH off.
+				return ch.setState(0) // switch off CH
+				.then(() => hw.setState(1, true)) // switch on HW
+				// wait for spring return
+				.then(() => Topology.wait("springReturn", controller.valve_return))
+				.then(() => hw.setState(0, true)); // switch off HW
+			});
+		}
+
+		reset(controller) {
+			let hw = this.requirePin(controller, this.hw);
+			let ch = this.requirePin(controller, this.ch);
+
+			// Same as the state 3 recovery
+			Utils.TRACE(TAG, "Resetting valve");
+			return hw.setState(1, true)
+			.then(() => {
+				Utils.TRACE(TAG, "Reset: HW(1) done");
+				return Topology.wait("HWreset", controller.valve_return);
+			})
+			.then(() => {
+				Utils.TRACE(TAG, "Reset: delay done");
+				return ch.setState(0);
+			})
+			.then(() => {
+				Utils.TRACE(TAG, "Reset: CH(0) done");
+				return hw.setState(0, true);
+			})
+			.then(() => {
+				Utils.TRACE(TAG, "Valve reset");
+			});
+		}
+	}
+
+	YPlan.Model = {
+		$class: YPlan,
+		hw: {
+			$class: String,
+			$doc: "Name of the pin for the hot water side of the valve",
+			$default: "HW"
+		},
+		ch: {
+			$class: String,
+			$doc: "Name of the pin for the central heating side of the valve",
+			$default: "CH"
+		}
+	};
+
+	return YPlan;
+});
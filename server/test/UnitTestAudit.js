@@ -0,0 +1,136 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+let requirejs = require('requirejs');
+requirejs.config({
+	baseUrl: "../.."
+});
+
+requirejs(["test/TestRunner", "common/js/Utils", "common/js/DataModel", "server/js/Audit"], function(TestRunner, Utils, DataModel, Audit) {
+	let tr = new TestRunner("Audit");
+	let assert = tr.assert;
+
+	const HOUR = 60 * 60 * 1000;
+	const DAY = 24 * HOUR;
+
+	// Wrap a test so the real clock is restored when it finishes
+	function clocked(fn) {
+		return () => fn().finally(() => Utils.setClock());
+	}
+
+	tr.addTest("record and query", clocked(() => {
+		let file = tr.tmpFile("audit.log");
+		let audit;
+		// Keep the records from being trimmed
+		Utils.setClock(() => 5000);
+		return DataModel.remodel("audit", { file: file }, Audit.Model)
+		.then(a => {
+			audit = a;
+			return audit.record({
+				time: 1000, rule: "CH", pin: "CH", state: 0, decision: 1,
+				changed: true, reason: "Too cold",
+				inputs: { temperature: 12, target: 18 }
+			});
+		})
+		.then(written => {
+			assert(written);
+			// A repeat of the same decision that didn't change the pin
+			// is not recorded
+			return audit.record({
+				time: 2000, rule: "CH", pin: "CH", state: 1, decision: 1,
+				changed: false, reason: "Too cold"
+			});
+		})
+		.then(written => {
+			assert(!written);
+			return audit.record({
+				time: 3000, rule: "CH", pin: "CH", state: 1,
+				changed: false, reason: "Close to target"
+			});
+		})
+		.then(written => {
+			assert(written);
+			return audit.record({
+				time: 4000, rule: "HW", pin: "HW", state: 0, decision: 1,
+				changed: true, reason: "Too cold"
+			});
+		})
+		.then(() => audit.query())
+		.then(records => {
+			assert.equal(records.length, 3);
+			assert.equal(records[0].reason, "Too cold");
+			assert.equal(records[0].inputs.temperature, 12);
+			assert.isUndefined(records[1].decision);
+		})
+		.then(() => audit.query({ pin: "CH" }))
+		.then(records => assert.equal(records.length, 2))
+		.then(() => audit.query({ since: "2500", until: 3500 }))
+		.then(records => {
+			assert.equal(records.length, 1);
+			assert.equal(records[0].reason, "Close to target");
+		});
+	}));
+
+	tr.addTest("retention", clocked(() => {
+		let file = tr.tmpFile("retention.log");
+		let now = 10 * DAY;
+		Utils.setClock(() => now);
+		let audit;
+		return DataModel.remodel(
+			"audit", { file: file, keep: DAY }, Audit.Model)
+		.then(a => {
+			audit = a;
+			return audit.record({
+				time: 8 * DAY, rule: "CH", pin: "CH", state: 0,
+				changed: true, reason: "Old"
+			});
+		})
+		// The first record appended trims the file
+		.then(() => audit.query())
+		.then(records => assert.equal(records.length, 0))
+		.then(() => audit.record({
+			time: now - HOUR, rule: "CH", pin: "CH", state: 1,
+			changed: true, reason: "Recent"
+		}))
+		.then(() => audit.record({
+			time: now, rule: "HW", pin: "HW", state: 1,
+			changed: true, reason: "Now"
+		}))
+		.then(() => audit.query())
+		.then(records => {
+			assert.equal(records.length, 2);
+			assert.equal(records[0].reason, "Recent");
+			// Less than an hour later, the file isn't trimmed again
+			now += 30 * 60 * 1000;
+			return audit.record({
+				time: 8 * DAY, rule: "CH", pin: "CH", state: 0,
+				changed: true, reason: "Stale"
+			});
+		})
+		.then(() => audit.query())
+		.then(records => {
+			assert.equal(records.length, 3);
+			// An hour after the last trim, it is
+			now += HOUR;
+			return audit.record({
+				time: now, rule: "HW", pin: "HW", state: 0,
+				changed: true, reason: "Last"
+			});
+		})
+		.then(() => audit.query())
+		.then(records => {
+			assert.deepEqual(records.map(r => r.reason),
+							 [ "Recent", "Now", "Last" ]);
+		});
+	}));
+
+	tr.addTest("missing file", () => {
+		return DataModel.remodel(
+			"audit", { file: tr.tmpFile("nonexistent.log") }, Audit.Model)
+		.then(audit => audit.query())
+		.then(records => assert.equal(records.length, 0));
+	});
+
+	tr.run();
+});
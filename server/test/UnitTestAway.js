@@ -0,0 +1,108 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+let requirejs = require('requirejs');
+requirejs.config({
+	baseUrl: "../.."
+});
+
+requirejs(["test/TestRunner", "common/js/DataModel", "common/js/Timeline", "server/js/Away"], function(TestRunner, DataModel, Timeline, Away) {
+	let tr = new TestRunner("Away");
+	let assert = tr.assert;
+
+	const HOUR = 60 * 60 * 1000;
+
+	// 12:00 on the day of the test
+	const NOW = new Date(2021, 0, 10, 12, 0, 0).getTime();
+
+	const realNow = Date.now;
+
+	// 10 degrees overnight, 20 degrees from 08:00
+	function thermostat(name) {
+		return {
+			name: name,
+			timeline: new Timeline({
+				min: 0, max: 25, period: 24 * HOUR,
+				points: [
+					{ time: 0, value: 10 },
+					{ time: 7 * HOUR, value: 10 },
+					{ time: 8 * HOUR, value: 20 },
+					{ time: 22 * HOUR, value: 20 },
+					{ time: 23 * HOUR, value: 10 }
+				]
+			})
+		};
+	}
+
+	// Wrap a test so the real clock is restored when it finishes
+	function clocked(fn) {
+		return () => fn().finally(() => {
+			Date.now = realNow;
+		});
+	}
+
+	tr.addTest("targets", clocked(() => {
+		let ch = thermostat("CH"), hw = thermostat("HW");
+		Date.now = () => NOW;
+		return DataModel.remodel("away", {}, Away.Model)
+		.then(away => {
+			assert.isFalse(away.isActive());
+			assert.isUndefined(away.getTarget(ch));
+
+			// Back at 09:00 in two days
+			away.set(NOW - HOUR, NOW + 45 * HOUR);
+			assert.isTrue(away.isActive());
+			assert.isFalse(away.isPreheating());
+			assert.equal(away.getTarget(ch), 12);
+			assert.equal(away.getTarget(hw), 0);
+
+			// Preheat to the temperature at 09:00
+			Date.now = () => NOW + 44 * HOUR;
+			assert.isTrue(away.isPreheating());
+			assert.equal(away.getTarget(ch), 20);
+			assert.equal(away.getTarget(hw), 20);
+
+			// Home
+			Date.now = () => NOW + 45 * HOUR;
+			assert.isFalse(away.isActive());
+			assert.isUndefined(away.getTarget(hw));
+
+			away.set(NOW, NOW + HOUR, "Calendar");
+			return away.getSerialisableState();
+		})
+		.then(state => assert.deepEqual(state, {
+			active: false,
+			preheating: false,
+			from: NOW,
+			until: NOW + HOUR,
+			source: "Calendar"
+		}));
+	}));
+
+	tr.addTest("set", () => {
+		return DataModel.remodel("away", { setback: 8 }, Away.Model)
+		.then(away => {
+			assert.equal(Away.parseTime(1000), 1000);
+			assert.equal(Away.parseTime("1000"), 1000);
+			assert.equal(Away.parseTime("2021-01-10T12:00:00Z"),
+						 Date.UTC(2021, 0, 10, 12));
+			assert.throws(() => Away.parseTime("next tuesday"),
+						  "Cannot understand time 'next tuesday'");
+			assert.throws(() => away.set(NOW, NOW),
+						  "Away must end after it starts");
+
+			// Serialises like any other config
+			away.set(NOW, NOW + HOUR);
+			return DataModel.getSerialisable(away, Away.Model);
+		})
+		.then(s => {
+			assert.equal(s.setback, 8);
+			assert.equal(s.from, NOW);
+			assert.equal(s.until, NOW + HOUR);
+			assert.isUndefined(s.source);
+		});
+	});
+
+	tr.run();
+});
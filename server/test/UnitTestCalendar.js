@@ -92,6 +92,25 @@ requirejs(["test/TestRunner", "test/Expectation", "common/js/Utils", "common/js/
 		return exp.expect();
 	});
 
+	tr.addTest("parse away events", () => {
+		let now = Date.now() + 250;
+		let cal = new Calendar({ prefix: "Test:" }, "Away");
+		let exp = new Expectation(2);
+		cal.setTrigger((id, s, t, u) => {
+			if (/1$/.test(id)) {
+				assert.equal(s, Calendar.AWAY);
+				assert.equal(now + 500, u);
+				exp.saw(0);
+			} else if (/2$/.test(id)) {
+				assert.equal(s, "CH");
+				assert.equal(t, 20);
+				exp.saw(1);
+			}
+		});
+		cal.parseEvents(now + 250, now + 500, "Test: Away; Test: CH=20");
+		return exp.expect();
+	});
+
 	tr.addTest("parse bad unprefixed events", () => {
 		let now = Date.now() + 250;
 		let cal = new Calendar({ }, "BAD");
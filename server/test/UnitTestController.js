@@ -7,9 +7,10 @@ requirejs.config({
 	baseUrl: "../.."
 });
 
-requirejs(["test/TestRunner", "test/Expectation", "common/js/Utils", "common/js/DataModel", "server/js/Controller", "nodemailer"], function( TestRunner, Expectation, Utils, DataModel, Controller, NodeMailer) {
+requirejs(["fs", "test/TestRunner", "test/Expectation", "common/js/Utils", "common/js/DataModel", "common/js/Location", "server/js/Controller", "nodemailer"], function(fs, TestRunner, Expectation, Utils, DataModel, Location, Controller, NodeMailer) {
 	let tr = new TestRunner("Controller");
 	let assert = tr.assert;
+	const Fs = fs.promises;
 
 	HOTPOT_DEBUG = require('../js/DebugSupport.js');
 
@@ -78,6 +79,9 @@ requirejs(["test/TestRunner", "test/Expectation", "common/js/Utils", "common/js/
 		},
 		valve_return: 500,
 		rule_interval: 3000,
+		audit: {
+			file: "$PWD/audit.log"
+		},
 		rule: {
 			HW: {
 				$instance_of: "server/js/HotWaterRule"
@@ -136,6 +140,7 @@ requirejs(["test/TestRunner", "test/Expectation", "common/js/Utils", "common/js/
 				assert.equal(typeof ser.pin.CH, "object");
 				assert.equal(typeof ser.calendar["Hotpot Test"], "object");
 				assert.equal(typeof ser.weather.MetOffice, "object");
+				assert.isFalse(ser.away.active);
 			});
 		})
 		.then(() => controller.stop())
@@ -188,6 +193,523 @@ requirejs(["test/TestRunner", "test/Expectation", "common/js/Utils", "common/js/
 		.then(() => HOTPOT_DEBUG.stop());
 	});
 
+	tr.addTest("min on/off", () => {
+		let cfg = Utils.extend(true, {}, config);
+		cfg.pin.CH.min_on = 60000;
+		let controller;
+		return DataModel.remodel("test", cfg, Controller.Model, [])
+		.then(c => {
+			controller = c;
+			for (let name in controller.pin) {
+				let pin = controller.pin[name];
+				delete pin.history;
+				pin.Gpio = {
+					value: 0,
+					getValue: function() { return Promise.resolve(this.value); },
+					setValue: function(v) { this.value = v; return Promise.resolve(); }
+				};
+			}
+			return controller.pin.CH.setState(0);
+		})
+		.then(() => controller.setPromise("CH", 1))
+		.then(() => controller.setPromise("CH", 0))
+		.then(() => controller.pin.CH.getSerialisableState())
+		.then(state => {
+			// Switching off is deferred until CH has been on for min_on
+			assert.equal(state.state, 1);
+			assert.equal(state.deferred.state, 0);
+			assert(state.deferred.until > Date.now() + 50000);
+			controller.pin.CH.lastChanged -= 60000;
+			controller.valve_return = 0;
+			return controller.setPromise("CH", 0);
+		})
+		.then(() => controller.pin.CH.getSerialisableState())
+		.then(state => {
+			assert.equal(state.state, 0);
+			assert.isUndefined(state.deferred);
+			return controller.setPromise("CH", 1);
+		})
+		// Urgent changes, made for safety vetoes, don't wait for min_on
+		.then(() => controller.setPromise("CH", 0, true))
+		.then(() => controller.pin.CH.getSerialisableState())
+		.then(state => {
+			assert.equal(state.state, 0);
+			assert.isUndefined(state.deferred);
+		});
+	});
+
+	tr.addTest("hold", () => {
+		let controller;
+		let frost = { name: "frost" }, other = { name: "other" };
+		return DataModel.remodel("test", config, Controller.Model, [])
+		.then(c => {
+			controller = c;
+			controller.valve_return = 0;
+			for (let name in controller.pin) {
+				let pin = controller.pin[name];
+				delete pin.history;
+				pin.Gpio = {
+					value: 0,
+					getValue: function() { return Promise.resolve(this.value); },
+					setValue: function(v) { this.value = v; return Promise.resolve(); }
+				};
+			}
+			controller.hold(frost, "CH", 1);
+			return controller.decide(frost, "CH", 1, "Frost", {});
+		})
+		// Overridden by the hold
+		.then(() => controller.decide(other, "CH", 0, "Warm enough", {}))
+		.then(() => controller.pin.CH.getSerialisableState())
+		.then(state => {
+			assert.equal(state.state, 1);
+			assert.equal(state.reason, "Frost");
+			assert.deepEqual(state.held, { rule: "frost", state: 1 });
+			// Only the holder can release
+			controller.release(other, "CH");
+			assert.isDefined(controller.pin.CH.held);
+			controller.release(frost, "CH");
+			return controller.decide(other, "CH", 0, "Warm enough", {});
+		})
+		.then(() => controller.pin.CH.getSerialisableState())
+		.then(state => {
+			assert.equal(state.state, 0);
+			assert.isUndefined(state.held);
+		});
+	});
+
+	tr.addTest("arbitration", () => {
+		let controller, order = [], records = [], veto = true;
+		return DataModel.remodel("test", config, Controller.Model, [])
+		.then(c => {
+			controller = c;
+			controller.valve_return = 0;
+			for (let name in controller.pin) {
+				let pin = controller.pin[name];
+				delete pin.history;
+				pin.Gpio = {
+					value: 0,
+					getValue: function() { return Promise.resolve(this.value); },
+					setValue: function(v) { this.value = v; return Promise.resolve(); }
+				};
+			}
+			controller.audit = {
+				record: r => { records.push(r); return Promise.resolve(); }
+			};
+			controller.rule = {
+				low: {
+					name: "low",
+					test: c => {
+						order.push("low");
+						return c.decide(controller.rule.low, "CH", 1, "Too cold", {})
+						.then(() => c.decide(controller.rule.low, "HW", 0, "Warm enough", {}));
+					}
+				},
+				frost: {
+					name: "frost",
+					priority: 100,
+					test: c => {
+						order.push("frost");
+						return c.force(controller.rule.frost, "HW", 1, "Frost", {});
+					}
+				},
+				safety: {
+					name: "safety",
+					priority: 10,
+					test: c => {
+						order.push("safety");
+						return veto
+						? c.veto(controller.rule.safety, "CH", 1, "Overheat", {})
+						: Promise.resolve();
+					}
+				}
+			};
+			return controller.testRules();
+		})
+		.then(() => {
+			assert.deepEqual(order, [ "frost", "safety", "low" ]);
+			assert.equal(controller.pin.CH.Gpio.value, 0);
+			assert.equal(controller.pin.HW.Gpio.value, 1);
+			assert.equal(controller.pin.HW.reason, "Frost");
+			let low = records.filter(r => r.rule === "low");
+			assert.equal(low.find(r => r.pin === "CH").vetoed, "safety");
+			assert.equal(low.find(r => r.pin === "HW").overridden, "frost");
+			let frost = records.find(r => r.rule === "frost");
+			assert.equal(frost.mode, "force");
+			assert.isTrue(frost.changed);
+
+			// Without the veto, the proposal wins
+			veto = false;
+			return controller.testRules();
+		})
+		.then(() => {
+			assert.equal(controller.pin.CH.Gpio.value, 1);
+
+			// A veto of the current state switches it
+			controller.rule = { safety: controller.rule.safety };
+			veto = true;
+			return controller.testRules();
+		})
+		.then(() => {
+			assert.equal(controller.pin.CH.Gpio.value, 0);
+			assert.equal(controller.pin.CH.reason, "Overheat");
+
+			// A safety veto beats even the highest priority force
+			controller.rule = {
+				frost: {
+					name: "frost",
+					priority: 100,
+					test: c => c.force(controller.rule.frost, "CH", 1, "Frost", {})
+				},
+				overheat: {
+					name: "overheat",
+					test: c => c.safetyVeto(
+						controller.rule.overheat, "CH", 1, "Overheat", {})
+				}
+			};
+			return controller.testRules();
+		})
+		.then(() => {
+			assert.equal(controller.pin.CH.Gpio.value, 0);
+			let frost = records.filter(r => r.rule === "frost").pop();
+			assert.equal(frost.vetoed, "overheat");
+
+			// A rule that fails doesn't stop the others
+			controller.rule = {
+				broken: {
+					name: "broken",
+					priority: 5,
+					test: () => Promise.reject(new Error("Oops"))
+				},
+				low: {
+					name: "low",
+					test: c => c.decide(controller.rule.low, "CH", 1, "Too cold", {})
+				}
+			};
+			return controller.testRules();
+		})
+		.then(() => assert.fail("Should have failed"))
+		.catch(e => {
+			assert.equal(e.message, "Rule 'broken' failed: Oops");
+			assert.equal(controller.pin.CH.Gpio.value, 1);
+		});
+	});
+
+	tr.addTest("reload rules", () => {
+		let file = tr.tmpFile("ReloadRule.js");
+		// Write a rule module that reports its version
+		function writeRule(version) {
+			return Fs.writeFile(file, `define([], () => {
+	class ReloadRule {
+		constructor(proto, name) { Object.assign(this, proto); this.name = name; }
+		get version() { return ${version}; }
+		test() { return Promise.resolve(); }
+	}
+	ReloadRule.Model = { $class: ReloadRule, setting: { $class: Number, $default: 1 } };
+	return ReloadRule;
+});`);
+		}
+		let cfg = Utils.extend(true, {}, config);
+		cfg.rule = { R: { $instance_of: file, setting: 7 } };
+		let controller, alerts = [];
+		return writeRule(1)
+		.then(() => DataModel.remodel("test", cfg, Controller.Model, []))
+		.then(c => {
+			controller = c;
+			assert.equal(controller.rule.R.version, 1);
+			return writeRule(2);
+		})
+		.then(() => controller.dispatch([ "reload_rules" ], {}))
+		.then(report => {
+			assert.deepEqual(report, { R: "OK" });
+			assert.equal(controller.rule.R.version, 2);
+			// Configuration is kept
+			assert.equal(controller.rule.R.setting, 7);
+			controller.rule.R.alert = mess => alerts.push(mess);
+			return Fs.writeFile(file, "define([], () => {");
+		})
+		.then(() => controller.reloadRules())
+		.then(report => {
+			// Broken rule falls back to the previous version
+			assert.isDefined(report.R);
+			assert.notEqual(report.R, "OK");
+			assert.equal(controller.rule.R.version, 2);
+			assert.equal(alerts.length, 1);
+			assert.match(alerts[0], /^Rule 'R' could not be reloaded/);
+		});
+	});
+
+	tr.addTest("script", () => {
+		let controller, changes = 0;
+		return DataModel.remodel("test", config, Controller.Model, [])
+		.then(c => {
+			controller = c;
+			for (let name in controller.pin)
+				controller.pin[name].Gpio = {
+					getValue: () => Promise.resolve(0)
+				};
+			controller.on("config_change", () => changes++);
+			return controller.dispatch([ "script", "Mine" ], {
+				script: 'if (time >= "00:00") setPromise("CH", 1, "Mine");',
+				priority: 5
+			});
+		})
+		.then(res => {
+			assert.equal(res.status, "OK");
+			assert.deepEqual(res.decisions,
+							 [ { pin: "CH", state: 1, reason: "Mine" } ]);
+			assert.equal(controller.rule.Mine.priority, 5);
+			assert.equal(changes, 1);
+			// A script that fails the dry run is not activated
+			return controller.dispatch([ "script", "Mine" ], {
+				script: 'setPromise("XX", 1)'
+			})
+			.then(() => assert.fail("Expected an error"))
+			.catch(e => assert.match(e.message, /No such pin 'XX'/));
+		})
+		.then(() => {
+			assert.match(controller.rule.Mine.script, /"Mine"/);
+			assert.equal(changes, 1);
+			// Only scripts can be replaced
+			return controller.setScript("CH", { script: "" })
+			.then(() => assert.fail("Expected an error"))
+			.catch(e => assert.equal(e.message, "Rule 'CH' is not a script"));
+		})
+		.then(() => controller.setScript("Mine", { script: "" }))
+		.then(() => {
+			assert.isUndefined(controller.rule.Mine);
+			assert.equal(changes, 2);
+		});
+	});
+
+	tr.addTest("open window", () => {
+		let controller;
+		let other = { name: "other" };
+		let cfg = Utils.extend(true, {}, config);
+		cfg.thermostat.CH.open_window = { suspend: 60000 };
+		return DataModel.remodel("test", cfg, Controller.Model, [])
+		.then(c => {
+			controller = c;
+			controller.valve_return = 0;
+			for (let name in controller.pin) {
+				let pin = controller.pin[name];
+				delete pin.history;
+				pin.Gpio = {
+					value: 0,
+					getValue: function() { return Promise.resolve(this.value); },
+					setValue: function(v) { this.value = v; return Promise.resolve(); }
+				};
+			}
+			// Nothing to suspend while the heating is off
+			return controller.openWindow(controller.thermostat.CH, 2);
+		})
+		.then(() => {
+			assert.isUndefined(controller.pin.CH.held);
+			return controller.decide(other, "CH", 1, "Too cold", {});
+		})
+		.then(() => controller.openWindow(controller.thermostat.CH, 2))
+		.then(() => controller.decide(other, "CH", 1, "Too cold", {}))
+		.then(() => controller.pin.CH.getSerialisableState())
+		.then(state => {
+			assert.equal(state.state, 0);
+			assert.equal(state.reason, "Window open");
+			assert.equal(state.held.rule, "Open window");
+			assert(state.held.until > Date.now());
+
+			// The hold is released when it expires
+			controller.pin.CH.held.until = Date.now();
+			controller.rule = {};
+			return controller.testRules();
+		})
+		.then(() => {
+			assert.isUndefined(controller.pin.CH.held);
+			return controller.decide(other, "CH", 1, "Too cold", {});
+		})
+		.then(() => controller.pin.CH.getSerialisableState())
+		.then(state => assert.equal(state.state, 1));
+	});
+
+	tr.addTest("away", () => {
+		let controller;
+		let now = Date.now();
+		let changes = 0;
+		return DataModel.remodel("test", config, Controller.Model, [])
+		.then(c => {
+			controller = c;
+			controller.on("config_change", () => changes++);
+			return controller.dispatch(
+				["away"], { until: now + 24 * 60 * 60 * 1000 });
+		})
+		.then(state => {
+			assert.isTrue(state.active);
+			assert.equal(changes, 1);
+			// The timelines are overridden, but not changed
+			assert.equal(controller.thermostat.CH.getTargetTemperature(), 12);
+			assert.equal(controller.thermostat.HW.getTargetTemperature(), 0);
+			// Requests still apply
+			controller.addRequest("CH", "test", 18, Utils.BOOST);
+			assert.equal(controller.thermostat.CH.getTargetTemperature(), 18);
+			return controller.dispatch(["away"], { until: "clear" });
+		})
+		.then(state => {
+			assert.isFalse(state.active);
+			assert.equal(changes, 2);
+			assert.notEqual(controller.thermostat.HW.getTargetTemperature(), 0);
+		});
+	});
+
+	tr.addTest("location", () => {
+		let cfg = Utils.extend(true, {}, config);
+		cfg.presence = {
+			Phones: { $instance_of: "server/js/Geofence", radius: 1000 }
+		};
+		let controller;
+		return DataModel.remodel("test", cfg, Controller.Model, [])
+		.then(c => {
+			controller = c;
+			controller.setLocation(new Location(53.2479442, -2.5043655));
+			return controller.dispatch(["location", "Fred"], {
+				latitude: 53.25, longitude: -2.5
+			});
+		})
+		.then(res => {
+			assert.deepEqual(res, []);
+			return controller.dispatch(["location"], {
+				_type: "location", tid: "gr", lat: 53.3, lon: -2.5
+			});
+		})
+		.then(() => assert.deepEqual(controller.getPresence(), {
+			Fred: { home: true },
+			gr: { home: false }
+		}))
+		// Bad reports are rejected, not thrown
+		.then(() => controller.dispatch(["location"], { lat: 53.3, lon: -2.5 }))
+		.then(() => assert.fail("Should have failed"))
+		.catch(e => {
+			assert.equal(e.status, 400);
+			assert.equal(e.message,
+						 "Location report doesn't say who it is for");
+		});
+	});
+
+	tr.addTest("setconfig", () => {
+		let controller;
+		return DataModel.remodel("test", config, Controller.Model, [])
+		.then(c => {
+			controller = c;
+			// Optional, and not set in the config
+			assert.isUndefined(controller.thermostat.CH.hysteresis);
+			return controller.dispatch(
+				["setconfig", "thermostat", "CH", "hysteresis"], 1);
+		})
+		.then(res => {
+			assert.equal(res.status, "OK");
+			assert.equal(controller.thermostat.CH.hysteresis, 1);
+			return controller.dispatch(
+				["setconfig", "thermostat", "CH", "overheat_margin"], 2);
+		})
+		.then(() => controller.dispatch(
+			["getconfig", "thermostat", "CH", "overheat_margin"]))
+		.then(v => assert.equal(v, 2))
+		.then(() => controller.dispatch(
+			["setconfig", "thermostat", "CH", "nonsense"], 1))
+		.then(() => assert.fail("Should have failed"))
+		.catch(e => assert.equal(
+			e.message, "Cannot update thermostat,CH,nonsense, insufficient context"));
+	});
+
+	tr.addTest("audit", () => {
+		let controller;
+		let since = Date.now();
+		return DataModel.remodel("test", config, Controller.Model, [])
+		.then(c => {
+			controller = c; return controller.initialise();
+		})
+		.then(() => controller.dispatch(["audit", "CH"], { since: since }))
+		.then(records => {
+			// The first poll of the rules always records a decision
+			assert(records.length > 0);
+			assert.equal(records[0].pin, "CH");
+			assert.equal(records[0].rule, "CH");
+			assert.equal(typeof records[0].inputs.temperature, "number");
+			assert.equal(typeof records[0].inputs.target, "number");
+		})
+		.then(() => controller.stop())
+		.then(() => HOTPOT_DEBUG.stop());
+	});
+
+	tr.addTest("energy", () => {
+		let controller;
+		return DataModel.remodel("test", config, Controller.Model, [])
+		.then(c => c.dispatch(["energy"], {}))
+		.then(() => assert.fail("Should have failed"))
+		.catch(e => {
+			assert.equal(e.status, 404);
+			assert.equal(e.message, "No energy accounting configured");
+		})
+		.then(() => DataModel.remodel(
+			"test", Utils.extend({ energy: { rating: 10 } }, config),
+			Controller.Model, []))
+		.then(c => {
+			controller = c;
+			return controller.dispatch(["energy"], { count: "lots" });
+		})
+		.then(() => assert.fail("Should have failed"))
+		.catch(e => {
+			assert.equal(e.status, 400);
+			assert.equal(e.message,
+						 "Count must be a whole number from 1 to 366, not 'NaN'");
+		})
+		.then(() => controller.dispatch(
+			["energy"], { period: "week", count: "4" }))
+		.then(report => {
+			assert.equal(report.period, "week");
+			assert.equal(report.rating, 10);
+			assert.equal(report.periods.length, 4);
+			for (let p of report.periods) {
+				assert.equal(typeof p.pins.CH, "number");
+				assert.equal(typeof p.pins.HW, "number");
+				assert(p.hours <= 7 * 24);
+			}
+		});
+	});
+
+	tr.addTest("sensor", () => {
+		let controller;
+		let cfg = Utils.extend({}, config);
+		cfg.thermostat = Utils.extend({
+			Loft: {
+				driver: {
+					$instance_of: "server/js/PushSensor",
+					tokens: { loft: "sesame" }
+				},
+				id: "loft",
+				timeline: config.thermostat.CH.timeline
+			}
+		}, config.thermostat);
+		return DataModel.remodel("test", cfg, Controller.Model, [])
+		.then(c => {
+			controller = c;
+			return controller.dispatch(
+				[ "sensor", "loft" ], { token: "sesame", temperature: 9 });
+		})
+		.then(res => {
+			assert.equal(res.status, "OK");
+			return controller.thermostat.Loft.getSensor("loft").getTemperature();
+		})
+		.then(t => {
+			assert.equal(t, 9);
+			return controller.dispatch(
+				[ "sensor", "loft" ], { token: "open", temperature: 9 });
+		})
+		.then(() => assert.fail("Should have failed"))
+		.catch(e => assert.equal(e.status, 403))
+		// DS18x20s can't be pushed to
+		.then(() => controller.dispatch(
+			[ "sensor", config.thermostat.CH.id ], { temperature: 9 }))
+		.then(() => assert.fail("Should have failed"))
+		.catch(e => assert.equal(e.status, 404));
+	});
+
 	tr.addTest("mailer", () => {
 		return DataModel.remodel("test", config, Controller.Model, [])
 		.then(c => {
@@ -0,0 +1,152 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+let requirejs = require('requirejs');
+requirejs.config({
+	baseUrl: "../.."
+});
+
+requirejs(["test/TestRunner", "common/js/Utils", "common/js/DataModel", "server/js/DeclarativeRule"], function(TestRunner, Utils, DataModel, DeclarativeRule) {
+	let tr = new TestRunner("DeclarativeRule");
+	let assert = tr.assert;
+
+	const ruleModel = {
+		rule: {
+			$map_of: { $instantiable: true }
+		}
+	};
+
+	const config = {
+		rule: {
+			"Cold snap": {
+				$instance_of: "server/js/DeclarativeRule",
+				when: [
+					{ value: "weather.Test.Temperature", is: "<", than: 0 },
+					{ value: "thermostat.CH.temperature", is: "<",
+					  than: "thermostat.CH.target" },
+					{ value: "time", is: ">=", than: "00:00" }
+				],
+				then: [ { pin: "CH", state: 1 } ],
+				else: [ { pin: "CH", state: 0, reason: "Not cold" } ]
+			}
+		}
+	};
+
+	// Minimal stand-in for a Controller
+	function fakeController(outside) {
+		let controller = {
+			thermostat: {
+				CH: {
+					temperature: 15,
+					requests: [],
+					getTargetTemperature: () => 18,
+					getMaximumTemperature: () => 20
+				}
+			},
+			pin: {
+				CH: {
+					state: 0,
+					reason: "",
+					getState: function() {
+						return Promise.resolve(this.state);
+					}
+				}
+			},
+			weather: {
+				Test: {
+					covers: () => typeof outside === "number",
+					get: what => {
+						assert.equal(what, "Temperature");
+						return outside;
+					}
+				}
+			},
+			decide: (rule, pin, state, reason, inputs) => {
+				assert.equal(inputs["thermostat.CH.temperature"], 15);
+				assert.equal(inputs["thermostat.CH.target"], 18);
+				controller.pin[pin].state = state;
+				controller.pin[pin].reason = reason;
+				return Promise.resolve();
+			}
+		};
+		return controller;
+	}
+
+	tr.addTest("compile", () => {
+		return DataModel.remodel("", config, ruleModel)
+		.then(cfg => {
+			let rule = cfg.rule["Cold snap"];
+			assert(rule instanceof DeclarativeRule);
+			assert.equal(rule.name, "Cold snap");
+			assert.equal(rule.when.length, 3);
+			assert(rule.when[0] instanceof DeclarativeRule.Condition);
+			assert(rule.then[0] instanceof DeclarativeRule.Action);
+		});
+	});
+
+	tr.addTest("bad operand", () => {
+		let bad = Utils.extend(true, {}, config);
+		bad.rule["Cold snap"].when[0].value = "thermostat.CH.colour";
+		return DataModel.remodel("", bad, ruleModel)
+		.then(() => assert.fail("Should not compile"))
+		.catch(e => assert.equal(
+			e.message, "Unknown thermostat field 'colour' in 'thermostat.CH.colour'"));
+	});
+
+	tr.addTest("bad comparison", () => {
+		let bad = Utils.extend(true, {}, config);
+		bad.rule["Cold snap"].when[0].is = "~";
+		return DataModel.remodel("", bad, ruleModel)
+		.then(() => assert.fail("Should not compile"))
+		.catch(e => assert.equal(e.message, "Unknown comparison '~'"));
+	});
+
+	tr.addTest("then", () => {
+		let controller = fakeController(-5);
+		return DataModel.remodel("", config, ruleModel)
+		.then(cfg => cfg.rule["Cold snap"].test(controller))
+		.then(() => {
+			assert.equal(controller.pin.CH.state, 1);
+			assert.equal(controller.pin.CH.reason, "Cold snap");
+		});
+	});
+
+	tr.addTest("else", () => {
+		let controller = fakeController(5);
+		controller.pin.CH.state = 1;
+		return DataModel.remodel("", config, ruleModel)
+		.then(cfg => cfg.rule["Cold snap"].test(controller))
+		.then(() => {
+			assert.equal(controller.pin.CH.state, 0);
+			assert.equal(controller.pin.CH.reason, "Not cold");
+		});
+	});
+
+	tr.addTest("failure", () => {
+		let controller = fakeController(-5);
+		delete controller.thermostat.CH;
+		return DataModel.remodel("", config, ruleModel)
+		.then(cfg => cfg.rule["Cold snap"].test(controller))
+		.then(() => assert.fail("Should have failed"))
+		.catch(e => assert.equal(
+			e.message, "No thermostat 'CH' in 'thermostat.CH.temperature'"));
+	});
+
+	tr.addTest("no forecast", () => {
+		let controller = fakeController();
+		return DataModel.remodel("", config, ruleModel)
+		.then(cfg => cfg.rule["Cold snap"].test(controller))
+		.then(() => assert.fail("Should have failed"))
+		.catch(e => assert.equal(
+			e.message, "No weather for now in 'weather.Test.Temperature'"));
+	});
+
+	tr.addTest("serialise", () => {
+		return DataModel.remodel("", config, ruleModel)
+		.then(cfg => DataModel.getSerialisable(cfg, ruleModel))
+		.then(s => assert.deepEqual(s, config));
+	});
+
+	tr.run();
+});
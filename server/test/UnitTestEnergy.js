@@ -0,0 +1,198 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+let requirejs = require('requirejs');
+requirejs.config({
+	baseUrl: "../.."
+});
+
+requirejs(["test/TestRunner", "common/js/DataModel", "server/js/Energy"], function(TestRunner, DataModel, Energy) {
+	let tr = new TestRunner("Energy");
+	let assert = tr.assert;
+
+	// Wednesday
+	const NOW = new Date(2021, 0, 13, 12, 0, 0).getTime();
+
+	const realNow = Date.now;
+
+	// Wrap a test so the real clock is restored when it finishes
+	function clocked(fn) {
+		return () => fn().finally(() => {
+			Date.now = realNow;
+		});
+	}
+
+	// Make a serialisable history from [ time, state ] pairs
+	function history(events) {
+		let base = events[0][0];
+		let h = [ base ];
+		for (let e of events)
+			h.push(e[0] - base, e[1]);
+		return h;
+	}
+
+	function fakePin(events) {
+		return {
+			getSerialisableLog: () => Promise.resolve(
+				events ? history(events) : undefined)
+		};
+	}
+
+	tr.addTest("periods", clocked(() => {
+		Date.now = () => NOW;
+		assert.deepEqual(Energy.periods("day", 2), [
+			{ start: new Date(2021, 0, 12).getTime(),
+			  end: new Date(2021, 0, 13).getTime() },
+			{ start: new Date(2021, 0, 13).getTime(),
+			  end: new Date(2021, 0, 14).getTime() }
+		]);
+		// Weeks start on Monday
+		assert.deepEqual(Energy.periods("week", 1), [
+			{ start: new Date(2021, 0, 11).getTime(),
+			  end: new Date(2021, 0, 18).getTime() }
+		]);
+		assert.deepEqual(Energy.periods("month", 2), [
+			{ start: new Date(2020, 11, 1).getTime(),
+			  end: new Date(2021, 0, 1).getTime() },
+			{ start: new Date(2021, 0, 1).getTime(),
+			  end: new Date(2021, 1, 1).getTime() }
+		]);
+		assert.throws(() => Energy.periods("year", 1));
+		for (let bad of [ NaN, 0, -3, 1.5, 367 ])
+			assert.throws(() => Energy.periods("day", bad),
+						  /^Count must be a whole number from 1 to 366/);
+		return Promise.resolve();
+	}));
+
+	tr.addTest("report", clocked(() => {
+		Date.now = () => NOW;
+		let controller = {
+			pin: {
+				CH: fakePin([
+					[ new Date(2021, 0, 12, 10).getTime(), 1 ],
+					[ new Date(2021, 0, 12, 12).getTime(), 0 ],
+					// Still on now
+					[ new Date(2021, 0, 13, 11).getTime(), 1 ]
+				]),
+				HW: fakePin([
+					[ new Date(2021, 0, 12, 11).getTime(), 1 ],
+					[ new Date(2021, 0, 12, 13).getTime(), 0 ]
+				]),
+				// Not one of the pins
+				Spare: fakePin([
+					[ new Date(2021, 0, 12, 10).getTime(), 1 ]
+				])
+			}
+		};
+		return DataModel.remodel("energy", {
+			rating: 20, price: 0.05
+		}, Energy.Model)
+		.then(energy => energy.report(controller, "day", 3))
+		.then(report => {
+			assert.equal(report.period, "day");
+			assert.equal(report.rating, 20);
+			assert.equal(report.currency, "£");
+			let p = report.periods;
+			assert.equal(p.length, 3);
+			assert.deepEqual(p[0].pins, { CH: 0, HW: 0 });
+			assert.equal(p[0].hours, 0);
+			assert.equal(p[0].cost, 0);
+
+			// CH and HW overlapped for an hour
+			assert.deepEqual(p[1].pins, { CH: 2, HW: 2 });
+			assert.equal(p[1].hours, 3);
+			assert.equal(p[1].kWh, 60);
+			assert.equal(p[1].cost, 3);
+
+			// CH has been on for an hour today
+			assert.deepEqual(p[2].pins, { CH: 1, HW: 0 });
+			assert.equal(p[2].hours, 1);
+			assert.equal(p[2].kWh, 20);
+			assert.equal(p[2].cost, 1);
+
+			// A pin with no history
+			controller.pin.HW = fakePin();
+			return DataModel.remodel("energy", {}, Energy.Model);
+		})
+		.then(energy => energy.report(controller, "week", 1))
+		.then(report => {
+			let p = report.periods[0];
+			assert.deepEqual(p.pins, { CH: 3, HW: 0 });
+			assert.equal(p.hours, 3);
+			assert.equal(p.kWh, 3 * 24);
+		});
+	}));
+
+	tr.addTest("degree days", clocked(() => {
+		Date.now = () => NOW;
+		let controller = {
+			pin: {
+				CH: fakePin([
+					// 14 hours in the week before last
+					[ new Date(2021, 0, 5, 8).getTime(), 1 ],
+					[ new Date(2021, 0, 5, 22).getTime(), 0 ],
+					// 3 hours this week
+					[ new Date(2021, 0, 12, 10).getTime(), 1 ],
+					[ new Date(2021, 0, 12, 13).getTime(), 0 ]
+				])
+			},
+			weather: {
+				// 10 degree-days every day
+				MetOffice: fakePin([
+					[ new Date(2021, 0, 4).getTime(), 5.5 ]
+				])
+			},
+			thermostat: {
+				// 0.5 degree-days every day
+				Outside: fakePin([
+					[ new Date(2021, 0, 4).getTime(), 15 ]
+				])
+			}
+		};
+		return DataModel.remodel("energy", {
+			pins: [ "CH" ],
+			degree_days: { outside: "MetOffice" }
+		}, Energy.Model)
+		.then(energy => energy.report(controller, "week", 3))
+		.then(report => {
+			assert.equal(report.base, 15.5);
+			let p = report.periods;
+			// No temperatures before the 4th
+			assert.equal(p[0].degree_days, 0);
+			assert.isNull(p[0].efficiency);
+			assert.equal(p[1].degree_days, 70);
+			assert.equal(p[1].efficiency, 0.2);
+			// Up to now
+			assert.equal(p[2].degree_days, 25);
+			assert.equal(p[2].efficiency, 0.12);
+			// Fewer hours per degree-day is better
+			assert.equal(report.trend, -0.08);
+
+			return DataModel.remodel("energy", {
+				pins: [ "CH" ],
+				degree_days: { outside: "Outside" }
+			}, Energy.Model);
+		})
+		.then(energy => energy.report(controller, "week", 2))
+		.then(report => {
+			// Outside temperature from a thermostat
+			assert.equal(report.periods[0].degree_days, 3.5);
+			assert.equal(report.periods[0].efficiency, 4);
+			assert.equal(report.periods[1].degree_days, 1.3);
+			assert.equal(report.periods[1].efficiency, 2.4);
+			assert.equal(report.trend, -1.6);
+		});
+	}));
+
+	tr.addTest("union", () => {
+		assert.deepEqual(Energy.union([
+			[ [ 0, 10 ], [ 20, 30 ] ],
+			[ [ 5, 15 ], [ 30, 40 ], [ 50, 60 ] ]
+		]), [ [ 0, 15 ], [ 20, 40 ], [ 50, 60 ] ]);
+		assert.equal(Energy.overlap([ [ 0, 15 ], [ 20, 40 ] ], 10, 30), 15);
+		return Promise.resolve();
+	});
+
+	tr.run();
+});
@@ -0,0 +1,148 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+let requirejs = require('requirejs');
+requirejs.config({
+	baseUrl: "../.."
+});
+
+requirejs(["test/TestRunner", "common/js/DataModel", "server/js/FrostRule"], function(TestRunner, DataModel, FrostRule) {
+	let tr = new TestRunner("FrostRule");
+	let assert = tr.assert;
+
+	// Minimal stand-in for a Controller, with CH and HW services and an
+	// optional weather agent
+	function fakeController(temperature, outside) {
+		let controller = {
+			thermostat: {
+				CH: {
+					temperature: temperature,
+					lastKnownGood: Date.now(),
+					requests: [],
+					getTargetTemperature: () => 3,
+					getMaximumTemperature: () => 3
+				}
+			},
+			weather: {},
+			forced: {},
+			decisions: {},
+			force: (rule, service, state, reason) => {
+				controller.forced[service] = state;
+				controller.decisions[service] = {
+					state: state, reason: reason
+				};
+				return Promise.resolve();
+			},
+			decide: (rule, service, state, reason) => {
+				delete controller.forced[service];
+				controller.decisions[service] = {
+					state: state, reason: reason
+				};
+				return Promise.resolve();
+			}
+		};
+		if (typeof outside !== "undefined")
+			controller.weather.Test = {
+				covers: () => true,
+				get: what => {
+					assert.equal(what, "Temperature");
+					return outside;
+				}
+			};
+		return controller;
+	}
+
+	function makeRule() {
+		return DataModel.remodel("frost", {
+			services: [ "CH", "HW" ]
+		}, FrostRule.Model);
+	}
+
+	tr.addTest("inside", () => {
+		let alerts = [];
+		let controller = fakeController(4);
+		let rule;
+		return makeRule()
+		.then(r => {
+			rule = r;
+			rule.setAlertHandler(mess => alerts.push(mess));
+			return rule.test(controller);
+		})
+		.then(() => {
+			assert.deepEqual(controller.forced, { CH: 1, HW: 1 });
+			assert.deepEqual(controller.decisions.HW,
+							 { state: 1, reason: "Frost protection" });
+			assert.deepEqual(alerts, [ "Frost protection on, CH is 4°C" ]);
+			// Stays on until above floor + hysteresis
+			controller.thermostat.CH.temperature = 5.5;
+			return rule.test(controller);
+		})
+		.then(() => {
+			assert.deepEqual(controller.forced, { CH: 1, HW: 1 });
+			assert.equal(alerts.length, 1);
+			controller.thermostat.CH.temperature = 6.5;
+			return rule.test(controller);
+		})
+		.then(() => {
+			assert.deepEqual(controller.forced, {});
+			assert.deepEqual(controller.decisions.CH,
+							 { state: undefined, reason: "No frost risk" });
+			return rule.getSerialisableState();
+		})
+		.then(s => assert.deepEqual(s, { active: false, trigger: undefined }));
+	});
+
+	tr.addTest("stale thermostat", () => {
+		let alerts = [];
+		// Thermostat reading looks warm, but is stale
+		let controller = fakeController(20, -2);
+		controller.thermostat.CH.lastKnownGood = Date.now() - 60 * 60 * 1000;
+		let rule;
+		return makeRule()
+		.then(r => {
+			rule = r;
+			rule.setAlertHandler(mess => alerts.push(mess));
+			return rule.test(controller);
+		})
+		.then(() => {
+			assert.deepEqual(controller.forced, { CH: 1, HW: 1 });
+			assert.deepEqual(alerts, [
+				"Frost protection on, outside is -2°C and CH has no reading"
+			]);
+			return rule.getSerialisableState();
+		})
+		.then(s => {
+			assert.deepEqual(s, { active: true, trigger: "outside" });
+			// No weather either, so stay as we are
+			controller.weather = {};
+			return rule.test(controller);
+		})
+		.then(() => {
+			assert.deepEqual(controller.forced, { CH: 1, HW: 1 });
+			// Thermostat comes back
+			controller.thermostat.CH.lastKnownGood = Date.now();
+			return rule.test(controller);
+		})
+		.then(() => assert.deepEqual(controller.forced, {}));
+	});
+
+	tr.addTest("no forecast", () => {
+		// Stale thermostat, and the weather agent has nothing for now
+		let controller = fakeController(20);
+		controller.thermostat.CH.lastKnownGood = Date.now() - 60 * 60 * 1000;
+		controller.weather.Test = {
+			covers: () => false,
+			get: () => 0
+		};
+		return makeRule()
+		.then(rule => rule.test(controller))
+		.then(() => {
+			// Missing weather isn't taken as 0°C outside
+			assert.deepEqual(controller.forced, {});
+			assert.isUndefined(controller.decisions.CH.state);
+		});
+	});
+
+	tr.run();
+});
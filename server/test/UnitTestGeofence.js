@@ -0,0 +1,75 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+let requirejs = require('requirejs');
+requirejs.config({
+	baseUrl: "../.."
+});
+
+requirejs(["test/TestRunner", "common/js/DataModel", "common/js/Location", "server/js/Geofence"], function(TestRunner, DataModel, Location, Geofence) {
+	let tr = new TestRunner("Geofence");
+	let assert = tr.assert;
+
+	const HOME = new Location(53.2479442, -2.5043655);
+
+	// About 5km north of home
+	const AWAY = { latitude: 53.2929, longitude: -2.5043655 };
+
+	// About 2km north of home
+	const NEARER = { latitude: 53.2659, longitude: -2.5043655 };
+
+	function makeGeofence() {
+		return DataModel.remodel("phones", {}, Geofence.Model)
+		.then(g => {
+			g.setLocation(HOME);
+			return g;
+		});
+	}
+
+	tr.addTest("plain", () => {
+		return makeGeofence()
+		.then(g => {
+			assert(g.report("Fred", {
+				latitude: HOME.latitude, longitude: HOME.longitude
+			}));
+			assert(g.report(undefined, {
+				person: "Ginger", latitude: AWAY.latitude,
+				longitude: AWAY.longitude
+			}));
+			assert.deepEqual(g.getPresence(), {
+				Fred: { home: true },
+				Ginger: { home: false }
+			});
+			assert.closeTo(g.people.Ginger.distance, 5000, 50);
+			assert.throws(() => g.report(undefined, AWAY),
+						  "Location report doesn't say who it is for");
+			assert.throws(() => g.report("Fred", { latitude: "x" }),
+						  "Bad location report for Fred");
+		});
+	});
+
+	tr.addTest("OwnTracks", () => {
+		let t = 1610280000; // epoch seconds
+		return makeGeofence()
+		.then(g => {
+			// Other message types are ignored
+			assert.isFalse(g.report(undefined, { _type: "transition", tid: "fa" }));
+			assert(g.report(undefined, {
+				_type: "location", tid: "fa", tst: t,
+				lat: AWAY.latitude, lon: AWAY.longitude
+			}));
+			assert.isUndefined(g.getPresence().fa.eta);
+			// 3km closer in 5 minutes, so 2km to go takes 200s
+			assert(g.report(undefined, {
+				_type: "location", tid: "fa", tst: t + 300,
+				lat: NEARER.latitude, lon: NEARER.longitude
+			}));
+			let p = g.getPresence().fa;
+			assert.isFalse(p.home);
+			assert.closeTo(p.eta, (t + 500) * 1000, 10000);
+		});
+	});
+
+	tr.run();
+});
@@ -0,0 +1,127 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+let requirejs = require('requirejs');
+requirejs.config({
+	baseUrl: "../.."
+});
+
+requirejs(["test/TestRunner", "fs", "common/js/DataModel", "server/js/LANPresence"], function(TestRunner, fs, DataModel, LANPresence) {
+	let tr = new TestRunner("LANPresence");
+	let assert = tr.assert;
+	const Fs = fs.promises;
+
+	const MINUTE = 60 * 1000;
+
+	const NOW = new Date(2021, 0, 10, 12, 0, 0).getTime();
+
+	const realNow = Date.now;
+
+	const ARP_HEADER = "IP address       HW type     Flags       HW address            Mask     Device\n";
+
+	// Wrap a test so the real clock is restored when it finishes
+	function clocked(fn) {
+		return () => fn().finally(() => {
+			Date.now = realNow;
+		});
+	}
+
+	tr.addTest("arp", clocked(() => {
+		let arp = tr.tmpFile("arp");
+		let lan;
+		Date.now = () => NOW;
+		return Fs.writeFile(arp, ARP_HEADER
+			+ "192.168.1.10     0x1         0x2         AA:BB:CC:DD:EE:01     *        wlan0\n"
+			+ "192.168.1.11     0x1         0x0         aa:bb:cc:dd:ee:02     *        wlan0\n")
+		.then(() => DataModel.remodel("lan", {
+			people: {
+				Fred: [ "aa:bb:cc:dd:ee:01" ],
+				Ginger: [ "aa:bb:cc:dd:ee:02", "aa:bb:cc:dd:ee:03" ]
+			},
+			arp: arp
+		}, LANPresence.Model))
+		.then(l => {
+			lan = l;
+			return lan.update();
+		})
+		.then(() => {
+			// Ginger's entry is incomplete
+			assert.deepEqual(lan.getPresence(), {
+				Fred: { home: true },
+				Ginger: { home: false }
+			});
+
+			// Fred's phone drops off, Ginger's laptop appears
+			Date.now = () => NOW + MINUTE;
+			return Fs.writeFile(arp, ARP_HEADER
+				+ "192.168.1.12     0x1         0x2         aa:bb:cc:dd:ee:03     *        wlan0\n");
+		})
+		.then(() => lan.update())
+		.then(() => {
+			// Fred isn't away until the debounce has passed
+			assert.deepEqual(lan.getPresence(), {
+				Fred: { home: true },
+				Ginger: { home: true }
+			});
+			Date.now = () => NOW + 10 * MINUTE;
+			return lan.update();
+		})
+		.then(() => {
+			assert.deepEqual(lan.getPresence(), {
+				Fred: { home: false },
+				Ginger: { home: true }
+			});
+
+			// Can't read the table, so nothing changes
+			lan.arp = tr.tmpFile("nonexistent");
+			Date.now = () => NOW + 60 * MINUTE;
+			return lan.update();
+		})
+		.then(() => {
+			assert.isTrue(lan.getPresence().Ginger.home);
+			return lan.getSerialisableState();
+		})
+		.then(state => assert.deepEqual(state, {
+			Fred: { home: false, seen: NOW },
+			Ginger: { home: true, seen: NOW + 10 * MINUTE }
+		}));
+	}));
+
+	tr.addTest("leases", clocked(() => {
+		let arp = tr.tmpFile("leases_arp");
+		let leases = tr.tmpFile("leases_leases");
+		let lan;
+		Date.now = () => NOW;
+		let now = NOW / 1000;
+		return Fs.writeFile(arp, ARP_HEADER
+			+ "192.168.1.10     0x1         0x2         aa:bb:cc:dd:ee:01     *        wlan0\n")
+		.then(() => Fs.writeFile(leases,
+			`${now + 3600} aa:bb:cc:dd:ee:01 192.168.1.10 freds-phone 01:aa:bb:cc:dd:ee:01\n`
+			+ `${now + 3600} aa:bb:cc:dd:ee:02 192.168.1.11 Gingers-Phone *\n`
+			+ `${now - 3600} aa:bb:cc:dd:ee:03 192.168.1.12 freds-laptop *\n`))
+		.then(() => DataModel.remodel("lan", {
+			people: {
+				Fred: [ "freds-laptop" ],
+				Ginger: [ "gingers-phone" ],
+				Astaire: [ "freds-phone" ]
+			},
+			arp: arp,
+			leases: leases
+		}, LANPresence.Model))
+		.then(l => {
+			lan = l;
+			return lan.update();
+		})
+		.then(() => assert.deepEqual(lan.getPresence(), {
+			// Lease has expired
+			Fred: { home: false },
+			// Lease is current
+			Ginger: { home: true },
+			// Found in ARP by hostname
+			Astaire: { home: true }
+		}));
+	}));
+
+	tr.run();
+});
@@ -0,0 +1,182 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+let requirejs = require('requirejs');
+requirejs.config({
+	baseUrl: "../.."
+});
+
+requirejs(["test/TestRunner", "common/js/DataModel", "server/js/LegionellaRule"], function(TestRunner, DataModel, LegionellaRule) {
+	let tr = new TestRunner("LegionellaRule");
+	let assert = tr.assert;
+
+	const HOUR = 60 * 60 * 1000;
+
+	// 01:00 on the day of the test
+	const NOW = new Date(2021, 0, 10, 1, 0, 0).getTime();
+
+	// 02:00 on the day of the test, when cycles start
+	const START = NOW + HOUR;
+
+	const realNow = Date.now;
+
+	// Minimal stand-in for a Controller
+	function fakeController(temperature) {
+		let controller = {
+			thermostat: {
+				HW: {
+					temperature: temperature,
+					requests: [],
+					getTargetTemperature: () => 45,
+					getMaximumTemperature: () => 50,
+					addRequest: function(source, target, until) {
+						this.requests = [ { source: source, target: target, until: until } ];
+					},
+					purgeRequests: function(match) {
+						this.requests = this.requests.filter(
+							r => r.source !== match.source);
+					}
+				}
+			},
+			weather: {},
+			forced: {},
+			force: (rule, service, state, reason) => {
+				assert.equal(service, "HW");
+				controller.forced[service] = state;
+				controller.decision = { state: state, reason: reason };
+				return Promise.resolve();
+			},
+			decide: (rule, service, state, reason) => {
+				assert.equal(service, "HW");
+				delete controller.forced[service];
+				controller.decision = { state: state, reason: reason };
+				return Promise.resolve();
+			}
+		};
+		return controller;
+	}
+
+	function makeRule(config) {
+		return DataModel.remodel(
+			"rule", config || {}, LegionellaRule.Model);
+	}
+
+	// Wrap a test so the real clock is restored when it finishes
+	function clocked(fn) {
+		return () => fn().finally(() => {
+			Date.now = realNow;
+		});
+	}
+
+	tr.addTest("cycle", clocked(() => {
+		let config = {
+			history: { file: tr.tmpFile("legionella_cycle.log") }
+		};
+		let controller = fakeController(45);
+		let rule;
+		Date.now = () => NOW;
+		return makeRule(config)
+		.then(r => {
+			rule = r;
+			return rule.test(controller);
+		})
+		.then(() => {
+			// Never run, so due at the next start time
+			assert.equal(rule.due, START);
+			assert.deepEqual(controller.decision,
+							 { state: undefined, reason: "Not due" });
+			Date.now = () => START + 1000;
+			return rule.test(controller);
+		})
+		.then(() => {
+			assert.deepEqual(controller.forced, { HW: 1 });
+			assert.deepEqual(controller.decision,
+							 { state: 1, reason: "Legionella cycle" });
+			// The maximum is raised, so overheat doesn't stop the cycle
+			assert.deepEqual(controller.thermostat.HW.requests, [
+				{ source: "rule", target: 60, until: -274 }
+			]);
+			controller.thermostat.HW.temperature = 60.5;
+			Date.now = () => START + HOUR;
+			return rule.test(controller);
+		})
+		.then(() => {
+			assert.deepEqual(controller.forced, {});
+			assert.deepEqual(controller.decision,
+							 { state: undefined, reason: "Sterilised" });
+			assert.deepEqual(controller.thermostat.HW.requests, []);
+			return rule.getSerialisableState();
+		})
+		.then(state => {
+			assert.deepEqual(state, {
+				last: START + HOUR,
+				due: START + 7 * 24 * HOUR,
+				running: undefined
+			});
+			// A new rule picks up the last success from the history
+			return makeRule(config);
+		})
+		.then(r => r.test(fakeController(45)).then(() => r))
+		.then(r => {
+			assert.equal(r.lastSuccess, START + HOUR);
+			assert.equal(r.due, START + 7 * 24 * HOUR);
+		});
+	}));
+
+	tr.addTest("already hot", clocked(() => {
+		// The timeline got there anyway, so no cycle is needed
+		let controller = fakeController(62);
+		let rule;
+		Date.now = () => NOW;
+		return makeRule()
+		.then(r => {
+			rule = r;
+			return rule.test(controller);
+		})
+		.then(() => {
+			assert.equal(rule.lastSuccess, NOW);
+			// The last start time before the week is up
+			assert.equal(rule.due, START + 6 * 24 * HOUR);
+			Date.now = () => START;
+			return rule.test(controller);
+		})
+		.then(() => {
+			assert.deepEqual(controller.forced, {});
+			assert.deepEqual(controller.decision,
+							 { state: undefined, reason: "Sterilised" });
+		});
+	}));
+
+	tr.addTest("timeout", clocked(() => {
+		let alerts = [];
+		let controller = fakeController(45);
+		let rule;
+		Date.now = () => START;
+		return makeRule()
+		.then(r => {
+			rule = r;
+			rule.setAlertHandler(mess => alerts.push(mess));
+			return rule.test(controller);
+		})
+		.then(() => {
+			assert.deepEqual(controller.forced, { HW: 1 });
+			controller.thermostat.HW.temperature = 52;
+			Date.now = () => START + 5 * HOUR;
+			return rule.test(controller);
+		})
+		.then(() => {
+			assert.deepEqual(controller.forced, {});
+			assert.deepEqual(controller.decision,
+							 { state: undefined, reason: "Cycle failed" });
+			assert.deepEqual(controller.thermostat.HW.requests, []);
+			assert.equal(alerts.length, 1);
+			assert.match(alerts[0], /failed to reach 60°C in .*the highest was 52°C$/);
+			// Try again tomorrow
+			assert.equal(rule.due, START + 24 * HOUR);
+			assert.isUndefined(rule.lastSuccess);
+		});
+	}));
+
+	tr.run();
+});
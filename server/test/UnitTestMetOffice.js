@@ -65,5 +65,27 @@ requirejs(["test/TestRunner", "common/js/Utils", "common/js/Time", "common/js/Da
 		});
 	});
 
+	tr.addTest('forecast', () => {
+		return DataModel.remodel(
+			"test", { api_key: "x" }, MetOffice.Model, [])
+		.then(mo => {
+			let now = Date.now();
+			assert.isFalse(mo.covers());
+			assert.equal(mo.get("Temperature"), 0);
+			mo.log = [
+				{ $: now - 3600000, Temperature: 10, "Wind Speed": 4, Type: "a" },
+				{ $: now + 3600000, Temperature: 12, "Wind Speed": 8, Type: "b" },
+				{ $: now + 3 * 3600000, Temperature: 4, "Wind Speed": 8, Type: "c" }
+			];
+			assert.isTrue(mo.covers(now));
+			assert.closeTo(mo.get("Temperature", now), 11, 0.0001);
+			assert.closeTo(mo.get("Wind Speed", now), 6, 0.0001);
+			assert.closeTo(mo.get("Temperature", now + 2 * 3600000), 8, 0.0001);
+			assert.equal(mo.get("Type", now + 2 * 3600000), "b");
+			assert.isFalse(mo.covers(now + 4 * 3600000));
+			assert.equal(mo.get("Temperature", now + 4 * 3600000), 0);
+		});
+	});
+
 	tr.run();
 });
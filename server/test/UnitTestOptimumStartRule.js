@@ -0,0 +1,204 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+let requirejs = require('requirejs');
+requirejs.config({
+	baseUrl: "../.."
+});
+
+requirejs(["test/TestRunner", "common/js/Utils", "common/js/DataModel", "common/js/Timeline", "server/js/OptimumStartRule"], function(TestRunner, Utils, DataModel, Timeline, OptimumStartRule) {
+	let tr = new TestRunner("OptimumStartRule");
+	let assert = tr.assert;
+
+	const HOUR = 60 * 60 * 1000;
+
+	// 05:00 on the day of the test
+	const NOW = new Date(2021, 0, 10, 5, 0, 0).getTime();
+
+	const realNow = Date.now;
+
+	// 10 degrees overnight, 20 degrees from 08:00
+	function timeline() {
+		return new Timeline({
+			min: 0, max: 25, period: 24 * HOUR,
+			points: [
+				{ time: 0, value: 10 },
+				{ time: 7 * HOUR, value: 10 },
+				{ time: 8 * HOUR, value: 20 },
+				{ time: 22 * HOUR, value: 20 },
+				{ time: 23 * HOUR, value: 10 }
+			]
+		});
+	}
+
+	// Make a serialisable history from [ time, sample ]
+	function history(samples) {
+		let base = samples[0][0];
+		let h = [ base ];
+		for (let s of samples)
+			h.push(s[0] - base, s[1]);
+		return h;
+	}
+
+	// Two days ago the heating ran for 2 hours with 0 outside, rising
+	// 4 degrees. Yesterday it ran for 2 hours with 10 outside, rising
+	// 8 degrees. So the rate is 4 - (inside - outside) / 5
+	const DAY1 = NOW - 48 * HOUR, DAY2 = NOW - 24 * HOUR;
+	const LOGS = {
+		temps: history([
+			[ DAY1, 10 ], [ DAY1 + 2 * HOUR, 14 ],
+			[ DAY2, 10 ], [ DAY2 + 2 * HOUR, 18 ] ]),
+		states: history([
+			[ DAY1, 1 ], [ DAY1 + 2 * HOUR, 0 ],
+			[ DAY2, 1 ], [ DAY2 + 2 * HOUR, 0 ] ]),
+		outside: history([
+			[ DAY1 - HOUR, 0 ], [ DAY2 - HOUR, 10 ] ])
+	};
+
+	// Minimal stand-in for a Controller
+	function fakeController(temperature, outside) {
+		let controller = {
+			thermostat: {
+				CH: {
+					temperature: temperature,
+					requests: [],
+					timeline: timeline(),
+					getTargetTemperature: function() {
+						return this.timeline.valueAtTime(Date.now() - NOW + 5 * HOUR);
+					},
+					getMaximumTemperature: function() {
+						return this.timeline.getMaxValue();
+					},
+					getSerialisableLog: () => Promise.resolve(LOGS.temps)
+				}
+			},
+			pin: {
+				CH: {
+					state: 0,
+					getSerialisableLog: () => Promise.resolve(LOGS.states)
+				}
+			},
+			weather: {
+				Test: {
+					covers: () => true,
+					get: () => outside,
+					getSerialisableLog: () => Promise.resolve(LOGS.outside)
+				}
+			},
+			getServicePin: service => controller.pin[service],
+			decide: (rule, pin, state, reason) => {
+				controller.decision = { state: state, reason: reason };
+				return Promise.resolve();
+			}
+		};
+		return controller;
+	}
+
+	function makeRule(config) {
+		return DataModel.remodel(
+			"rule", config || {}, OptimumStartRule.Model)
+		.then(rule => {
+			rule.name = "CH";
+			return rule;
+		});
+	}
+
+	// Wrap a test so the real clock is restored when it finishes
+	function clocked(fn) {
+		return () => fn().finally(() => {
+			Date.now = realNow;
+		});
+	}
+
+	tr.addTest("learn", clocked(() => {
+		Date.now = () => NOW;
+		return makeRule()
+		.then(rule => rule.learn(fakeController(10, 5)))
+		.then(model => {
+			assert.equal(model.runs, 2);
+			assert.closeTo(model.a, 4, 0.0001);
+			assert.closeTo(model.b, -0.2, 0.0001);
+		});
+	}));
+
+	tr.addTest("no history", clocked(() => {
+		Date.now = () => NOW;
+		let controller = fakeController(10, 5);
+		controller.pin.CH.getSerialisableLog = () => Promise.resolve();
+		return makeRule({ default_rate: 3 })
+		.then(rule => rule.learn(controller)
+			  .then(() => assert.equal(rule.getRate(10, 5), 3)));
+	}));
+
+	tr.addTest("start early", clocked(() => {
+		// 12 inside and 7 outside gives 3 degrees per hour, so to get
+		// to 20 by 08:00 the heating has to be on by 05:20
+		let controller = fakeController(12, 7);
+		let rule;
+		return makeRule()
+		.then(r => {
+			rule = r;
+			Date.now = () => NOW; // 05:00
+			return rule.test(controller);
+		})
+		.then(() => {
+			assert.equal(rule.prediction.target, 20);
+			assert.equal(rule.prediction.at, NOW + 3 * HOUR);
+			assert.closeTo(rule.prediction.start, NOW + 20 * 60 * 1000, 1);
+			// 12 degrees is above target at 05:00, so it stays off
+			assert.equal(controller.decision.reason, "Warm enough");
+			Date.now = () => NOW + 25 * 60 * 1000; // 05:25
+			return rule.test(controller);
+		})
+		.then(() => {
+			assert.equal(controller.decision.state, 1);
+			assert.equal(controller.decision.reason, "Optimum start");
+			return rule.getSerialisableState();
+		})
+		.then(state => {
+			assert.equal(state.runs, 2);
+			assert.equal(state.prediction.target, 20);
+		});
+	}));
+
+	tr.addTest("max preheat", clocked(() => {
+		// Very cold outside, so the rate would be tiny
+		let controller = fakeController(10, -40);
+		let rule;
+		return makeRule({ max_preheat: 2 * HOUR })
+		.then(r => {
+			rule = r;
+			Date.now = () => NOW; // 05:00 is outside the window
+			return rule.test(controller);
+		})
+		.then(() => {
+			assert.isUndefined(rule.prediction);
+			Date.now = () => NOW + HOUR + 1; // 06:00 is inside it
+			return rule.test(controller);
+		})
+		.then(() => {
+			assert.equal(rule.prediction.start, NOW + HOUR);
+			assert.equal(controller.decision.reason, "Optimum start");
+		});
+	}));
+
+	tr.addTest("requests", clocked(() => {
+		let controller = fakeController(10, 5);
+		controller.thermostat.CH.requests.push({ target: 5 });
+		controller.thermostat.CH.getTargetTemperature = () => 5;
+		let rule;
+		return makeRule()
+		.then(r => {
+			rule = r;
+			Date.now = () => NOW;
+			return rule.test(controller);
+		})
+		.then(() => {
+			assert.isUndefined(rule.prediction);
+			assert.equal(controller.decision.state, 0);
+		});
+	}));
+
+	tr.run();
+});
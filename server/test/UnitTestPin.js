@@ -38,5 +38,37 @@ requirejs(["fs", "test/TestRunner", "test/Expectation", "common/js/Utils", "comm
 		});
 	});
 
+	tr.addTest("min on/off", () => {
+		const realNow = Date.now;
+		let now = 1000000;
+		Date.now = () => now;
+		return DataModel.remodel("test", {
+			gpio: 6, min_on: 60000, min_off: 30000
+		}, Pin.Model, [])
+		.then(p => {
+			p.Gpio = { setValue: () => Promise.resolve() };
+			// First state set doesn't count
+			return p.setState(0)
+			.then(() => {
+				assert.equal(p.getHold(1), 0);
+				return p.setState(1);
+			})
+			.then(() => {
+				assert.equal(p.getHold(0), 60000);
+				now += 50000;
+				assert.equal(p.getHold(0), 10000);
+				now += 10000;
+				assert.equal(p.getHold(0), 0);
+				return p.setState(0);
+			})
+			.then(() => {
+				assert.equal(p.getHold(1), 30000);
+			});
+		})
+		.finally(() => {
+			Date.now = realNow;
+		});
+	});
+
 	tr.run();
 });
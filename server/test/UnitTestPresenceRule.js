@@ -0,0 +1,82 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+let requirejs = require('requirejs');
+requirejs.config({
+	baseUrl: "../.."
+});
+
+requirejs(["test/TestRunner", "common/js/DataModel", "server/js/PresenceRule"], function(TestRunner, DataModel, PresenceRule) {
+	let tr = new TestRunner("PresenceRule");
+	let assert = tr.assert;
+
+	const HOUR = 60 * 60 * 1000;
+
+	// Minimal stand-in for a Controller, with a CH thermostat that
+	// records the setbacks
+	function fakeController(presence) {
+		let controller = {
+			thermostat: {
+				CH: {
+					setbacks: {},
+					setSetback: function(source, limit) {
+						if (typeof limit === "undefined")
+							delete this.setbacks[source];
+						else
+							this.setbacks[source] = limit;
+					}
+				}
+			},
+			presence: presence,
+			getPresence: () => controller.presence
+		};
+		return controller;
+	}
+
+	tr.addTest("presence", () => {
+		let controller = fakeController({});
+		let rule;
+		return DataModel.remodel("Presence", {}, PresenceRule.Model)
+		.then(r => {
+			rule = r;
+			return rule.test(controller);
+		})
+		.then(() => {
+			// Nobody known, so nothing to do
+			assert.deepEqual(controller.thermostat.CH.setbacks, {});
+			controller.presence = {
+				Fred: { home: false },
+				Ginger: { home: true }
+			};
+			return rule.test(controller);
+		})
+		.then(() => {
+			assert.deepEqual(controller.thermostat.CH.setbacks, {});
+			assert.deepEqual(rule.state,
+							 { away: false, reason: "Ginger is home" });
+			controller.presence.Ginger.home = false;
+			return rule.test(controller);
+		})
+		.then(() => {
+			assert.deepEqual(controller.thermostat.CH.setbacks,
+							 { Presence: 15 });
+			// Still a long way off
+			controller.presence.Fred.eta = Date.now() + 2 * HOUR;
+			return rule.test(controller);
+		})
+		.then(() => {
+			assert.deepEqual(controller.thermostat.CH.setbacks,
+							 { Presence: 15 });
+			// Nearly home, so preheat
+			controller.presence.Fred.eta = Date.now() + HOUR / 2;
+			return rule.test(controller);
+		})
+		.then(() => {
+			assert.deepEqual(controller.thermostat.CH.setbacks, {});
+			assert.match(rule.state.reason, /^Someone is coming home at/);
+		});
+	});
+
+	tr.run();
+});
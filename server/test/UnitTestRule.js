@@ -0,0 +1,103 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+let requirejs = require('requirejs');
+requirejs.config({
+	baseUrl: "../.."
+});
+
+requirejs(["test/TestRunner", "common/js/DataModel", "server/js/HotWaterRule", "server/js/CentralHeatingRule"], function(TestRunner, DataModel, HotWaterRule, CentralHeatingRule) {
+	let tr = new TestRunner("Rule");
+	let assert = tr.assert;
+
+	// Minimal stand-in for a Controller, with a single thermostat
+	// that has a target of 20 and a maximum of 25
+	function fakeController(name, temperature, settings) {
+		let controller = {
+			thermostat: {},
+			weather: {},
+			decide: (rule, service, state, reason) => {
+				assert.equal(service, name);
+				controller.decision = { state: state, reason: reason };
+				return Promise.resolve();
+			},
+			safetyVeto: (rule, service, state, reason) => {
+				assert.equal(service, name);
+				controller.decision = { veto: state, reason: reason };
+				return Promise.resolve();
+			}
+		};
+		controller.thermostat[name] = Object.assign({
+			temperature: temperature,
+			requests: [],
+			overheat_margin: 0,
+			getTargetTemperature: () => 20,
+			getMaximumTemperature: () => 25
+		}, settings);
+		return controller;
+	}
+
+	// Promise to get the decision a rule makes
+	function decision(rule, name, temperature, settings) {
+		let controller = fakeController(name, temperature, settings);
+		return rule.test(controller)
+		.then(() => controller.decision);
+	}
+
+	tr.addTest("default hysteresis", () => {
+		let ch, hw;
+		return Promise.all([
+			DataModel.remodel("CH", {}, CentralHeatingRule.Model),
+			DataModel.remodel("HW", {}, HotWaterRule.Model)
+		])
+		.then(rules => {
+			ch = rules[0];
+			hw = rules[1];
+			return decision(ch, "CH", 19.6);
+		})
+		.then(d => {
+			assert.deepEqual(d, { state: undefined, reason: "Close to target" });
+			return decision(ch, "CH", 19.4);
+		})
+		.then(d => {
+			assert.deepEqual(d, { state: 1, reason: "Too cold" });
+			return decision(hw, "HW", 18.5);
+		})
+		.then(d => {
+			assert.deepEqual(d, { state: undefined, reason: "Close to target" });
+			return decision(hw, "HW", 20.5);
+		})
+		.then(d => assert.deepEqual(d, { state: 0, reason: "Hot enough" }));
+	});
+
+	tr.addTest("thermostat hysteresis", () => {
+		let ch;
+		return DataModel.remodel("CH", {}, CentralHeatingRule.Model)
+		.then(rule => {
+			ch = rule;
+			return decision(ch, "CH", 19.4, { hysteresis: 1 });
+		})
+		.then(d => {
+			assert.deepEqual(d, { state: undefined, reason: "Close to target" });
+			return decision(ch, "CH", 18.9, { hysteresis: 1 });
+		})
+		.then(d => assert.deepEqual(d, { state: 1, reason: "Too cold" }));
+	});
+
+	tr.addTest("overheat margin", () => {
+		let ch;
+		return DataModel.remodel("CH", {}, CentralHeatingRule.Model)
+		.then(rule => {
+			ch = rule;
+			return decision(ch, "CH", 25.5);
+		})
+		.then(d => {
+			assert.deepEqual(d, { veto: 1, reason: "Overheat" });
+			return decision(ch, "CH", 25.5, { overheat_margin: 1 });
+		})
+		.then(d => assert.deepEqual(d, { state: 0, reason: "Warm enough" }));
+	});
+
+	tr.run();
+});
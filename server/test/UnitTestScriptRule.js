@@ -0,0 +1,132 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+let requirejs = require('requirejs');
+requirejs.config({
+	baseUrl: "../.."
+});
+
+requirejs(["test/TestRunner", "common/js/DataModel", "server/js/ScriptRule"], function(TestRunner, DataModel, ScriptRule) {
+	let tr = new TestRunner("ScriptRule");
+	let assert = tr.assert;
+
+	// Minimal stand-in for a Controller, with a CH thermostat and pin
+	// and a weather agent
+	function fakeController() {
+		let controller = {
+			thermostat: {
+				CH: {
+					temperature: 17,
+					requests: [],
+					getTargetTemperature: () => 20,
+					getMaximumTemperature: () => 22
+				}
+			},
+			pin: {
+				CH: { getState: () => Promise.resolve(0) }
+			},
+			weather: {
+				MetOffice: {
+					covers: () => true,
+					get: what => what === "Temperature" ? -2 : undefined
+				}
+			},
+			decisions: [],
+			decide: (rule, pin, state, reason) => {
+				controller.decisions.push({
+					pin: pin, state: state, reason: reason
+				});
+				return Promise.resolve();
+			}
+		};
+		return controller;
+	}
+
+	function makeRule(script, timeout) {
+		let config = { script: script };
+		if (typeof timeout !== "undefined")
+			config.timeout = timeout;
+		return DataModel.remodel("Script", config, ScriptRule.Model);
+	}
+
+	tr.addTest("decide", () => {
+		let controller = fakeController();
+		return makeRule(`
+let ch = thermostat.CH;
+if (ch.temperature < ch.target && weather("Temperature") < 0
+    && pin.CH.state === 0)
+  setPromise("CH", 1, "Cold outside");
+setPromise("CH", 0);
+`)
+		.then(rule => rule.dryRun(controller)
+			  .then(decisions => {
+				  assert.deepEqual(decisions, [
+					  { pin: "CH", state: 1, reason: "Cold outside" },
+					  { pin: "CH", state: 0, reason: "Script" }
+				  ]);
+				  // Dry run doesn't act
+				  assert.deepEqual(controller.decisions, []);
+				  return rule.test(controller);
+			  }))
+		.then(() => assert.deepEqual(controller.decisions, [
+			{ pin: "CH", state: 1, reason: "Cold outside" },
+			{ pin: "CH", state: 0, reason: "Script" }
+		]));
+	});
+
+	tr.addTest("syntax error", () => {
+		return makeRule("setPromise(")
+		.then(() => assert.fail("Expected a syntax error"))
+		.catch(e => assert.instanceOf(e, SyntaxError));
+	});
+
+	tr.addTest("bad calls", () => {
+		let controller = fakeController();
+		return makeRule('setPromise("Nowhere", 1)')
+		.then(rule => rule.dryRun(controller))
+		.then(() => assert.fail("Expected an error"))
+		.catch(e => assert.match(e.message, /No such pin 'Nowhere'/))
+		.then(() => makeRule('setPromise("CH", "on")'))
+		.then(rule => rule.dryRun(controller))
+		.then(() => assert.fail("Expected an error"))
+		.catch(e => assert.match(e.message, /Bad state on/));
+	});
+
+	tr.addTest("runaway", () => {
+		return makeRule("while (true) {}", 50)
+		.then(rule => rule.dryRun(fakeController()))
+		.then(() => assert.fail("Expected a timeout"))
+		.catch(e => assert.match(e.message, /timed out/));
+	});
+
+	tr.addTest("sandbox", () => {
+		// The functions given to the script don't lead outside the sandbox
+		return makeRule('setPromise.constructor("return process")().exit(1)')
+		.then(rule => rule.dryRun(fakeController()))
+		.then(() => assert.fail("Expected an error"))
+		.catch(e => assert.match(e.message, /process is not defined/))
+		// Nor do errors thrown by them
+		.then(() => makeRule(`
+try { setPromise("Nowhere", 1); }
+catch (e) { e.constructor.constructor("return process")().exit(1); }`))
+		.then(rule => rule.dryRun(fakeController()))
+		.then(() => assert.fail("Expected an error"))
+		.catch(e => assert.match(e.message, /process is not defined/))
+		// Nor does the global object
+		.then(() => makeRule(
+			'this.constructor.constructor("return process")().exit(1)'))
+		.then(rule => rule.dryRun(fakeController()))
+		.then(() => assert.fail("Expected an error"))
+		.catch(e => assert.match(e.message, /process is not defined/));
+	});
+
+	tr.addTest("runaway promise", () => {
+		return makeRule("Promise.resolve().then(() => { while (true) {} });", 50)
+		.then(rule => rule.dryRun(fakeController()))
+		.then(() => assert.fail("Expected a timeout"))
+		.catch(e => assert.match(e.message, /timed out/));
+	});
+
+	tr.run();
+});
@@ -0,0 +1,321 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+let requirejs = require('requirejs');
+requirejs.config({
+	baseUrl: "../.."
+});
+
+requirejs(["test/TestRunner", "fs", "common/js/DataModel", "server/js/Thermostat", "server/js/BME280", "server/js/SHT3x", "server/js/SimulatedSensor", "server/js/VirtualSensor", "server/js/DeclarativeRule"], function(TestRunner, fs, DataModel, Thermostat, BME280, SHT3x, SimulatedSensor, VirtualSensor, DeclarativeRule) {
+	let tr = new TestRunner("Sensor");
+	let assert = tr.assert;
+	const Fs = fs.promises;
+
+	// Make a directory laid out like sysfs, with a device in it
+	function makeDevice(root, device, files) {
+		let dir = `${root}/${device}`;
+		return Fs.mkdir(dir, { recursive: true })
+		.then(() => Promise.all(Object.keys(files).map(
+			f => Fs.writeFile(`${dir}/${f}`, `${files[f]}\n`))));
+	}
+
+	const timeline = {
+		min: 0, max: 25, period: 86400000,
+		points: [ { times: "00:00", value: 18 } ]
+	};
+
+	tr.addTest("BME280", () => {
+		let root = tr.tmpFile("iio");
+		return makeDevice(root, "iio:device0", {
+			name: "bme280",
+			in_temp_input: 21520,
+			in_humidityrelative_input: 45250,
+			in_pressure_input: 101.325
+		})
+		.then(() => DataModel.remodel(
+			"driver", { path: root }, BME280.Model))
+		.then(driver => {
+			// Found by device directory
+			return driver.forSensor("iio:device0").getReadings()
+			.then(r => {
+				assert.equal(r.temperature, 21.52);
+				assert.equal(r.humidity, 45.25);
+				assert.closeTo(r.pressure, 1013.25, 0.001);
+				// Found by name
+				return driver.forSensor("bme280").getTemperature();
+			})
+			.then(t => {
+				assert.equal(t, 21.52);
+				return driver.forSensor("bme680").getReadings();
+			})
+			.then(() => assert.fail("Should have failed"))
+			.catch(e => assert.equal(
+				e.message, `No device 'bme680' in ${root}`));
+		});
+	});
+
+	tr.addTest("SHT3x", () => {
+		let root = tr.tmpFile("hwmon");
+		let sensor;
+		return makeDevice(root, "hwmon1", {
+			name: "sht3x",
+			temp1_input: 19875
+		})
+		.then(() => DataModel.remodel(
+			"driver", { path: root }, SHT3x.Model))
+		.then(driver => {
+			sensor = driver.forSensor("sht3x");
+			return sensor.initialiseSensor();
+		})
+		.then(s => {
+			assert.equal(s, sensor);
+			return sensor.getReadings();
+		})
+		// No humidity file, so no humidity
+		.then(r => assert.deepEqual(r, { temperature: 19.875 }))
+		.then(() => Fs.writeFile(`${root}/hwmon1/temp1_input`, "rubbish"))
+		.then(() => sensor.getReadings())
+		.then(() => assert.fail("Should have failed"))
+		.catch(e => assert.equal(e.message, "'sht3x' bad temperature 'rubbish'"));
+	});
+
+	tr.addTest("simulated", () => {
+		return DataModel.remodel(
+			"driver", { temperature: 18, humidity: 60, noise: 0.5 },
+			SimulatedSensor.Model)
+		.then(driver => driver.forSensor("A").getReadings())
+		.then(r => {
+			assert.closeTo(r.temperature, 18, 0.5);
+			assert.closeTo(r.humidity, 60, 0.5);
+			assert.isUndefined(r.pressure);
+		});
+	});
+
+	tr.addTest("thermostat driver", () => {
+		let root = tr.tmpFile("iio");
+		let th;
+		return makeDevice(root, "iio:device0", {
+			in_temp_input: 20000,
+			in_humidityrelative_input: 40000
+		})
+		.then(() => makeDevice(root, "iio:device1", {
+			in_temp_input: 22000,
+			in_humidityrelative_input: 50000
+		}))
+		.then(() => DataModel.remodel(
+			"Lounge",
+			{
+				driver: { $instance_of: "server/js/BME280", path: root },
+				sensors: [ "iio:device0", "iio:device1" ],
+				timeline: timeline
+			}, Thermostat.Model, []))
+		.then(t => {
+			th = t;
+			assert(th.probes[0].sensor instanceof BME280);
+			assert.equal(th.probes[1].sensor.id, "iio:device1");
+			return th.initialise();
+		})
+		.then(() => th.poll())
+		.then(() => {
+			th.stop();
+			assert.equal(th.temperature, 21);
+			assert.equal(th.humidity, 45);
+			assert.isUndefined(th.pressure);
+			return th.getSerialisableState();
+		})
+		.then(state => {
+			assert.equal(state.humidity, 45);
+			assert.equal(state.sensors[1].humidity, 50);
+			assert.isUndefined(state.sensors[1].pressure);
+			return DataModel.getSerialisable(th, Thermostat.Model);
+		})
+		.then(ser => assert.deepEqual(ser.driver, {
+			$instance_of: "server/js/BME280", path: root
+		}));
+	});
+
+	tr.addTest("push", () => {
+		const realNow = Date.now;
+		const NOW = Date.UTC(2021, 0, 10, 12);
+		const MINUTE = 60 * 1000;
+		let alerts = [];
+		let th, sensor;
+		function pollAt(t) {
+			Date.now = () => NOW + t;
+			return th.poll().then(() => th.stop());
+		}
+		Date.now = () => NOW;
+		return DataModel.remodel(
+			"Loft",
+			{
+				driver: {
+					$instance_of: "server/js/PushSensor",
+					tokens: { loft: "sesame" }
+				},
+				id: "loft",
+				timeline: timeline
+			}, Thermostat.Model, [])
+		.then(t => {
+			th = t;
+			th.setAlertHandler(mess => alerts.push(mess));
+			sensor = th.getSensor("loft");
+			assert(sensor.waitsForReadings());
+			assert.isUndefined(th.getSensor("attic"));
+			// Nothing sent yet
+			return th.initialise();
+		})
+		.then(() => {
+			// No temperature until something is sent
+			assert.isUndefined(th.temperature);
+			assert.equal(th.probes[0].fault, "no_reading");
+			assert.throws(() => sensor.push("open", { temperature: 12 }),
+						  "Bad token for 'loft'");
+			assert.throws(() => sensor.push(undefined, { temperature: 12 }),
+						  "Bad token for 'loft'");
+			assert.throws(() => sensor.push("sesame", { humidity: 50 }),
+						  "'loft' no temperature");
+			assert.throws(() => sensor.push("sesame", { temperature: "warm" }),
+						  "'loft' bad temperature 'warm'");
+			sensor.push("sesame", { temperature: "12.5", humidity: 70 });
+			return pollAt(MINUTE);
+		})
+		.then(() => {
+			assert.equal(th.temperature, 12.5);
+			assert.equal(th.humidity, 70);
+			// Nothing more is sent, so the reading goes stale
+			return pollAt(6 * MINUTE);
+		})
+		.then(() => {
+			assert.isFalse(th.probes[0].responding);
+			assert.equal(th.temperature, 12.5);
+			assert.equal(alerts.length, 0);
+			return pollAt(11 * MINUTE);
+		})
+		.then(() => {
+			assert.equal(alerts.length, 1);
+			assert.equal(alerts[0], "Loft sensor loft has had no reading for 10m");
+			Date.now = () => NOW + 12 * MINUTE;
+			sensor.push("sesame", { temperature: 13 });
+			return pollAt(12 * MINUTE);
+		})
+		.then(() => {
+			assert.equal(th.temperature, 13);
+			assert.isTrue(th.probes[0].responding);
+			assert.isUndefined(th.humidity);
+		})
+		.finally(() => {
+			Date.now = realNow;
+		});
+	});
+
+	tr.addTest("virtual", () => {
+		// Just enough of a controller for the operands
+		let controller = {
+			thermostat: {
+				Lounge: { temperature: 19 },
+				Kitchen: { temperature: 21 }
+			},
+			weather: {
+				MetOffice: {
+					covers: () => true,
+					get: f => f === "Temperature" ? 4 : undefined
+				}
+			}
+		};
+		let th;
+		return DataModel.remodel(
+			"House",
+			{
+				driver: {
+					$instance_of: "server/js/VirtualSensor",
+					inputs: [ "thermostat.Lounge.temperature",
+							  "thermostat.Kitchen.temperature" ]
+				},
+				id: "house",
+				timeline: timeline
+			}, Thermostat.Model, [])
+		.then(t => {
+			th = t;
+			assert(th.isVirtual());
+			// No controller yet, so nothing to compute from
+			return th.initialise();
+		})
+		.then(() => {
+			assert.isUndefined(th.temperature);
+			assert.equal(th.probes[0].fault, "no_reading");
+			th.setController(controller);
+			return th.poll();
+		})
+		.then(() => {
+			th.stop();
+			assert.equal(th.temperature, 20);
+			return DataModel.getSerialisable(th, Thermostat.Model);
+		})
+		.then(ser => assert.deepEqual(ser.driver, {
+			$instance_of: "server/js/VirtualSensor",
+			inputs: [ "thermostat.Lounge.temperature",
+					  "thermostat.Kitchen.temperature" ],
+			reduce: "mean",
+			timeout: 100
+		}))
+		.then(() => DataModel.remodel(
+			"driver",
+			{
+				inputs: [ "thermostat.Lounge.temperature",
+						  "weather.MetOffice.Temperature" ],
+				expression: "inputs[0] - inputs[1]"
+			}, VirtualSensor.Model))
+		.then(driver => {
+			let sensor = driver.forSensor("delta");
+			sensor.setController(controller);
+			return sensor.getReadings()
+			.then(r => {
+				assert.deepEqual(r, { temperature: 15 });
+				// Weather agent has no such field
+				sensor.inputs[1] = new DeclarativeRule.Operand(
+					"weather.MetOffice.Humidity");
+				return sensor.getReadings();
+			})
+			.then(() => assert.fail("Should have failed"))
+			.catch(e => assert.equal(
+				e.message,
+				"'delta' input 'weather.MetOffice.Humidity' is 'undefined'"));
+		})
+		.then(() => DataModel.remodel(
+			"driver",
+			{ inputs: [ 1, 2, 3 ], reduce: "difference" },
+			VirtualSensor.Model))
+		.then(() => assert.fail("Should have failed"))
+		.catch(e => assert.equal(
+			e.message, "'driver' difference needs two inputs"))
+		.then(() => DataModel.remodel(
+			"driver",
+			{ inputs: [ 1 ], expression: "while (true) ;", timeout: 10 },
+			VirtualSensor.Model))
+		.then(driver => {
+			let sensor = driver.forSensor("forever");
+			sensor.setController(controller);
+			return sensor.getReadings();
+		})
+		.then(() => assert.fail("Should have failed"))
+		.catch(e => assert.match(e.message, /^'forever' expression failed/))
+		.then(() => DataModel.remodel(
+			"driver",
+			{
+				inputs: [ 1 ],
+				expression: "Promise.resolve().then(() => { while (true) ; }); 1",
+				timeout: 10
+			},
+			VirtualSensor.Model))
+		.then(driver => {
+			let sensor = driver.forSensor("later");
+			sensor.setController(controller);
+			return sensor.getReadings();
+		})
+		.then(() => assert.fail("Should have failed"))
+		.catch(e => assert.match(e.message, /^'later' expression failed.*timed out/));
+	});
+
+	tr.run();
+});
@@ -0,0 +1,167 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+let requirejs = require('requirejs');
+requirejs.config({
+	baseUrl: "../.."
+});
+
+requirejs(["fs", "test/TestRunner", "common/js/Utils", "common/js/DataModel", "server/js/Controller", "server/js/Simulator"], function(fs, TestRunner, Utils, DataModel, Controller, Simulator) {
+	let tr = new TestRunner("Simulator");
+	let assert = tr.assert;
+
+	const Fs = fs.promises;
+
+	// Start of the recorded history
+	const T0 = new Date(2021, 0, 1, 12, 0, 0).getTime();
+	const MINUTE = 60000;
+
+	function timeline(value) {
+		return {
+			min: 0, max: 50, period: 86400000,
+			points: [ { times: "00:00", value: value } ]
+		};
+	}
+
+	// Write a history log, given [ minutes after T0, sample ]
+	function writeLog(file, samples) {
+		return Fs.writeFile(
+			file, samples.map(s => `${T0 + s[0] * MINUTE},${s[1]}\n`).join(""));
+	}
+
+	// Each test uses its own log files
+	function log(test, name) {
+		return tr.tmpFile(`${test}_${name}.log`);
+	}
+
+	function makeConfig(test) {
+		return {
+			thermostat: {
+				HW: {
+					id: "28-0115914ff5ff",
+					timeline: timeline(40),
+					history: { file: log(test, "HW_temp") }
+				},
+				CH: {
+					id: "28-0316027f81ff",
+					timeline: timeline(18),
+					history: { file: log(test, "CH_temp") }
+				}
+			},
+			pin: {
+				CH: { gpio: 23, history: { file: log(test, "CH_state") } },
+				HW: { gpio: 25, history: { file: log(test, "HW_state") } }
+			},
+			rule: {
+				HW: { $instance_of: "server/js/HotWaterRule" },
+				CH: { $instance_of: "server/js/CentralHeatingRule" }
+			},
+			calendar: {},
+			weather: {}
+		};
+	}
+
+	tr.addTest("replay", () => {
+		let test = "replay";
+		let controller;
+		return Promise.all([
+			// Hot water stays hot
+			writeLog(log(test, "HW_temp"), [ [0, 50], [60, 50] ]),
+			writeLog(log(test, "HW_state"), [ [0, 0] ]),
+			// Heating goes cold for 20 minutes
+			writeLog(log(test, "CH_temp"),
+					 [ [0, 20], [10, 15], [30, 20], [60, 20] ]),
+			// but the boiler wasn't switched on until 20 minutes in
+			writeLog(log(test, "CH_state"),
+					 [ [0, 0], [20, 1], [30, 0] ])
+		])
+		.then(() => DataModel.remodel("test", makeConfig(test), Controller.Model))
+		.then(c => {
+			controller = c;
+			return new Simulator(controller, { step: MINUTE }).run();
+		})
+		.then(report => {
+			assert.equal(report.HW.steps, 61);
+			assert.equal(report.HW.agreed, 61);
+			assert.equal(report.HW.differences.length, 0);
+
+			assert.equal(report.CH.steps, 61);
+			assert.equal(report.CH.agreed, 51);
+			assert.deepEqual(report.CH.differences, [{
+				from: T0 + 10 * MINUTE,
+				to: T0 + 19 * MINUTE,
+				simulated: 1,
+				recorded: 0
+			}]);
+			// Nothing should have been written to the logs
+			return Fs.readFile(log(test, "CH_state"));
+		})
+		.then(data => {
+			assert.equal(data.toString().split("\n").length, 4);
+			// The real clock is restored
+			assert(Utils.now() > T0 + 60 * MINUTE);
+		});
+	});
+
+	tr.addTest("failure", () => {
+		let test = "failure";
+		let seen;
+		return Promise.all([
+			writeLog(log(test, "HW_temp"), [ [0, 50], [10, 50] ]),
+			writeLog(log(test, "HW_state"), [ [0, 0] ]),
+			writeLog(log(test, "CH_temp"), [ [0, 15], [10, 15] ]),
+			writeLog(log(test, "CH_state"), [ [0, 0] ])
+		])
+		.then(() => DataModel.remodel("test", makeConfig(test), Controller.Model))
+		.then(controller => {
+			let steps = 0;
+			controller.testRules = () => {
+				seen = Utils.now();
+				if (++steps < 3)
+					return Promise.resolve();
+				return Promise.reject(new Error("Broken rule"));
+			};
+			return new Simulator(controller, { step: MINUTE }).run();
+		})
+		.then(() => assert.fail("Should have failed"))
+		.catch(e => {
+			assert.equal(e.message, "Broken rule");
+			assert.equal(seen, T0 + 2 * MINUTE);
+			// The real clock is restored
+			assert(Utils.now() > T0 + 60 * MINUTE);
+		});
+	});
+
+	tr.addTest("range", () => {
+		let test = "range";
+		return Promise.all([
+			writeLog(log(test, "HW_temp"), [ [0, 50] ]),
+			writeLog(log(test, "HW_state"), [ [0, 0] ]),
+			writeLog(log(test, "CH_temp"), [ [0, 15] ]),
+			writeLog(log(test, "CH_state"), [ [0, 0] ])
+		])
+		.then(() => DataModel.remodel("test", makeConfig(test), Controller.Model))
+		.then(controller => new Simulator(controller, {
+			from: T0 + 5 * MINUTE,
+			to: T0 + 10 * MINUTE,
+			step: MINUTE
+		}).run())
+		.then(report => {
+			assert.equal(report.CH.steps, 6);
+			assert.equal(report.CH.differences.length, 1);
+			assert.equal(report.CH.differences[0].from, T0 + 5 * MINUTE);
+			assert.equal(report.CH.differences[0].to, T0 + 10 * MINUTE);
+		});
+	});
+
+	tr.addTest("no history", () => {
+		let config = makeConfig("none");
+		return DataModel.remodel("test", config, Controller.Model)
+		.then(controller => new Simulator(controller).run())
+		.then(() => assert.fail("Should have failed"))
+		.catch(e => assert.equal(e.message, "No recorded thermostat data"));
+	});
+
+	tr.run();
+});
@@ -7,7 +7,7 @@ requirejs.config({
 	baseUrl: "../.."
 });
 
-requirejs(["fs", "test/TestRunner", "test/Expectation", "common/js/Utils", "common/js/DataModel", "server/js/Thermostat"], function(fs, TestRunner, Expectation, Utils, DataModel, Thermostat) {
+requirejs(["fs", "test/TestRunner", "test/Expectation", "common/js/Utils", "common/js/DataModel", "server/js/Sensor", "server/js/Thermostat"], function(fs, TestRunner, Expectation, Utils, DataModel, Sensor, Thermostat) {
 	let tr = new TestRunner("Thermostat");
 	let assert = tr.assert;
 	const Fs = fs.promises;
@@ -49,11 +49,371 @@ requirejs(["fs", "test/TestRunner", "test/Expectation", "common/js/Utils", "comm
 				assert(st.temperature <= 12);
 				assert(Math.abs(st.target - th.getTargetTemperature()) < 0.1);
 			assert.equal(st.requests.length, 0);
+				assert.isUndefined(st.hysteresis);
+				assert.equal(st.overheat_margin, 0);
 				th.stop();
 			})
 			.then(() => HOTPOT_DEBUG.stop());
 		});
 	});
 
+	tr.addTest("setback", () => {
+		function make(value) {
+			return DataModel.remodel(
+				"CH", { id: "A", timeline: {
+					min: 0, max: 30, period: 86400000,
+					points: [ { times: "00:00", value: value } ]
+				} }, Thermostat.Model, []);
+		}
+		return make(10)
+		.then(th => {
+			// The setback never raises the timeline target
+			th.setSetback("Presence", 15);
+			assert.equal(th.getTargetTemperature(), 10);
+			return make(20);
+		})
+		.then(th => {
+			th.setSetback("Presence", 15);
+			assert.equal(th.getTargetTemperature(), 15);
+			// The lowest setback applies
+			th.setSetback("Other", 13);
+			assert.equal(th.getTargetTemperature(), 13);
+			th.setSetback("Other");
+			assert.equal(th.getTargetTemperature(), 15);
+			// A lower target, such as away mode, isn't raised
+			th.setTargetOverride(() => 12);
+			assert.equal(th.getTargetTemperature(), 12);
+			th.setTargetOverride(() => undefined);
+			// Requests still take precedence
+			th.addRequest("Boost", 21);
+			assert.equal(th.getTargetTemperature(), 21);
+		});
+	});
+
+	tr.addTest("open window", () => {
+		const realNow = Date.now;
+		const NOW = Date.UTC(2021, 0, 10, 12);
+		let temp = 20, drops = [];
+		return DataModel.remodel(
+			"CH",
+			{ id: "FF-C04EFECAFEBABE",
+			  open_window: { drop: 1, period: 180000 },
+			  timeline: {
+				  min: 0, max: 25, period: 86400000,
+				  points: [ { times: "00:00", value: 18 } ]
+			  }
+			}, Thermostat.Model, [])
+		.then(th => {
+			th.probes[0].sensor = { getTemperature: () => Promise.resolve(temp) };
+			th.setOpenWindowHandler(drop => drops.push(drop));
+			function pollAt(t, reading) {
+				Date.now = () => NOW + t;
+				temp = reading;
+				return th.poll().then(() => th.stop());
+			}
+			return pollAt(0, 20)
+			// Slow fall isn't an open window
+			.then(() => pollAt(120000, 19.5))
+			.then(() => pollAt(240000, 19.2))
+			.then(() => pollAt(360000, 18.9))
+			.then(() => assert.deepEqual(drops, []))
+			// Fast fall is
+			.then(() => pollAt(420000, 18.6))
+			.then(() => pollAt(480000, 17.8))
+			.then(() => {
+				assert.equal(drops.length, 1);
+				assert(Math.abs(drops[0] - 1.1) < 0.01);
+			})
+			// The same fall isn't reported twice
+			.then(() => pollAt(500000, 17.7))
+			.then(() => assert.equal(drops.length, 1));
+		})
+		.finally(() => {
+			Date.now = realNow;
+		});
+	});
+
+	tr.addTest("sensors", () => {
+		const realNow = Date.now;
+		const NOW = Date.UTC(2021, 0, 10, 12);
+		let temps = { A: 19, B: 20, C: 24 };
+		let alerts = [];
+		let th;
+		function fakeSensor(id) {
+			return {
+				initialiseSensor: function() { return Promise.resolve(this); },
+				getTemperature: () => typeof temps[id] === "number"
+				? Promise.resolve(temps[id])
+				: Promise.reject(new Error("No reading"))
+			};
+		}
+		function pollAt(t) {
+			Date.now = () => NOW + t;
+			return th.poll().then(() => th.stop());
+		}
+		Date.now = () => NOW;
+		return DataModel.remodel(
+			"CH",
+			{ sensors: [ "A", "B", "C" ],
+			  aggregate: "median",
+			  timeline: {
+				  min: 0, max: 25, period: 86400000,
+				  points: [ { times: "00:00", value: 18 } ]
+			  }
+			}, Thermostat.Model, [])
+		.then(t => {
+			th = t;
+			for (let probe of th.probes)
+				probe.sensor = fakeSensor(probe.id);
+			th.setAlertHandler(mess => alerts.push(mess));
+			return th.initialise();
+		})
+		.then(() => {
+			assert.equal(th.temperature, 20);
+			th.aggregate = "mean";
+			return pollAt(1000);
+		})
+		.then(() => {
+			assert.equal(th.temperature, 21);
+			th.aggregate = "max";
+			return pollAt(2000);
+		})
+		.then(() => {
+			assert.equal(th.temperature, 24);
+
+			// A stops responding, and is left out
+			delete temps.A;
+			th.aggregate = "primary";
+			return pollAt(3000);
+		})
+		.then(() => {
+			assert.equal(th.temperature, 20);
+			th.aggregate = "min";
+			return th.getSerialisableState();
+		})
+		.then(state => {
+			assert.deepEqual(state.sensors, [
+				{ id: "A", temperature: 19, raw: 19, responding: false, lastKnownGood: NOW + 2000, fault: "no_reading" },
+				{ id: "B", temperature: 20, raw: 20, responding: true, lastKnownGood: NOW + 3000 },
+				{ id: "C", temperature: 24, raw: 24, responding: true, lastKnownGood: NOW + 3000 }
+			]);
+			assert.equal(alerts.length, 0);
+			// Still nothing from A after 10 minutes
+			return pollAt(2000 + 10 * 60 * 1000);
+		})
+		.then(() => {
+			assert.equal(th.temperature, 20);
+			assert.equal(alerts.length, 1);
+			assert.equal(alerts[0], "CH sensor A has had no reading for 10m");
+
+			// Nothing responding, keep the last temperature
+			temps = {};
+			return pollAt(3000 + 10 * 60 * 1000);
+		})
+		.then(() => {
+			assert.equal(th.temperature, 20);
+			assert.equal(th.lastKnownGood, NOW + 2000 + 10 * 60 * 1000);
+			// Only one alert for A
+			assert.equal(alerts.length, 1);
+
+			// The reset value is rejected even without a filter
+			temps = { B: 85 };
+			return pollAt(4000 + 10 * 60 * 1000);
+		})
+		.then(() => {
+			assert.equal(th.temperature, 20);
+			assert.equal(th.probes[1].fault, "reset");
+		})
+		.finally(() => {
+			Date.now = realNow;
+		});
+	});
+
+	tr.addTest("filter", () => {
+		const realNow = Date.now;
+		const NOW = Date.UTC(2021, 0, 10, 12);
+		const MINUTE = 60 * 1000;
+		let raw = 20;
+		let th;
+		function pollAt(t, reading) {
+			Date.now = () => NOW + t;
+			raw = reading;
+			return th.poll().then(() => th.stop());
+		}
+		Date.now = () => NOW;
+		return DataModel.remodel(
+			"CH",
+			{ id: "A",
+			  poll_every: 60,
+			  calibration: { A: { offset: -0.5 } },
+			  filter: { max_rate: 1, smooth: "median", window: 3 },
+			  timeline: {
+				  min: 0, max: 25, period: 86400000,
+				  points: [ { times: "00:00", value: 18 } ]
+			  }
+			}, Thermostat.Model, [])
+		.then(t => {
+			th = t;
+			th.probes[0].sensor = {
+				initialiseSensor: function() { return Promise.resolve(this); },
+				getTemperature: () => Promise.resolve(raw)
+			};
+			return th.initialise();
+		})
+		.then(() => {
+			assert.equal(th.temperature, 19.5);
+			// Power-on value
+			return pollAt(MINUTE, 85);
+		})
+		.then(() => {
+			assert.equal(th.temperature, 19.5);
+			assert.equal(th.probes[0].raw, 85);
+			assert.isFalse(th.probes[0].responding);
+			// 2 minutes since the last good reading
+			return pollAt(2 * MINUTE, 21.5);
+		})
+		.then(() => {
+			assert.equal(th.probes[0].last, 21);
+			assert.equal(th.temperature, 20.25);
+			// Impossible jump
+			return pollAt(3 * MINUTE, 30);
+		})
+		.then(() => {
+			assert.equal(th.temperature, 20.25);
+			assert.equal(th.probes[0].raw, 30);
+			return pollAt(4 * MINUTE, 21);
+		})
+		.then(() => {
+			// Median of 19.5, 21, 20.5
+			assert.equal(th.temperature, 20.5);
+			return pollAt(5 * MINUTE, 21.5);
+		})
+		.then(() => {
+			// Median of 21, 20.5, 21
+			assert.equal(th.temperature, 21);
+			return th.getSerialisableState();
+		})
+		.then(state => {
+			assert.equal(state.sensors[0].raw, 21.5);
+			assert.equal(state.sensors[0].temperature, 21);
+		})
+		.finally(() => {
+			Date.now = realNow;
+		});
+	});
+
+	tr.addTest("faults", () => {
+		const realNow = Date.now;
+		const NOW = Date.UTC(2021, 0, 10, 12);
+		const MINUTE = 60 * 1000;
+		const HOUR = 60 * MINUTE;
+		let reading = 20, service = 1, alerts = [];
+		let th;
+		function pollAt(t, r) {
+			Date.now = () => NOW + t;
+			reading = r;
+			return th.poll().then(() => th.stop());
+		}
+		Date.now = () => NOW;
+		return DataModel.remodel(
+			"HW",
+			{ id: "A",
+			  faults: { min: 0, max: 90, stuck: HOUR },
+			  timeline: {
+				  min: 0, max: 60, period: 86400000,
+				  points: [ { times: "00:00", value: 45 } ]
+			  }
+			}, Thermostat.Model, [])
+		.then(t => {
+			th = t;
+			th.probes[0].sensor = {
+				initialiseSensor: function() { return Promise.resolve(this); },
+				getTemperature: () => reading instanceof Error
+				? Promise.reject(reading) : Promise.resolve(reading)
+			};
+			th.setAlertHandler(mess => alerts.push(mess));
+			th.setServiceCheck(() => Promise.resolve(service));
+			return th.initialise();
+		})
+		.then(() => pollAt(MINUTE, Sensor.fault("crc", "CRC check failed")))
+		.then(() => {
+			assert.equal(th.temperature, 20);
+			assert.equal(th.probes[0].fault, "crc");
+			return pollAt(11 * MINUTE, 95);
+		})
+		.then(() => {
+			// Each type of fault is alerted
+			assert.deepEqual(alerts, [
+				"HW sensor A has had readings out of bounds for 11m"
+			]);
+			return pollAt(12 * MINUTE, Sensor.fault("crc", "CRC check failed"));
+		})
+		.then(() => pollAt(13 * MINUTE, Sensor.fault("crc", "CRC check failed")))
+		.then(() => {
+			assert.equal(alerts.length, 2);
+			assert.equal(alerts[1], "HW sensor A has had CRC failures for 12m");
+			return th.getSerialisableState();
+		})
+		.then(state => {
+			assert.equal(state.sensors[0].fault, "crc");
+			return pollAt(14 * MINUTE, 30);
+		})
+		.then(() => {
+			assert.equal(th.temperature, 30);
+			assert.isUndefined(th.probes[0].fault);
+			// The reading doesn't change while the service is off
+			service = 0;
+			return pollAt(HOUR + 15 * MINUTE, 30);
+		})
+		.then(() => {
+			assert.isTrue(th.probes[0].responding);
+			// or for an hour while it is on
+			service = 1;
+			return pollAt(HOUR + 16 * MINUTE, 30);
+		})
+		.then(() => pollAt(2 * HOUR + 14 * MINUTE, 30))
+		.then(() => {
+			assert.isTrue(th.probes[0].responding);
+			return pollAt(2 * HOUR + 15 * MINUTE, 30);
+		})
+		.then(() => {
+			assert.isFalse(th.probes[0].responding);
+			assert.equal(th.probes[0].fault, "stuck");
+			assert.equal(alerts.length, 3);
+			assert.equal(alerts[2], "HW sensor A has had a stuck reading while the service is on for 1h");
+			return pollAt(2 * HOUR + 17 * MINUTE, 30.5);
+		})
+		.then(() => {
+			assert.equal(th.temperature, 30.5);
+			assert.isUndefined(th.probes[0].fault);
+		})
+		.finally(() => {
+			Date.now = realNow;
+		});
+	});
+
+	tr.addTest("bad sensors", () => {
+		let timeline = {
+			min: 0, max: 25, period: 86400000,
+			points: [ { times: "00:00", value: 18 } ]
+		};
+		return DataModel.remodel(
+			"CH", { timeline: timeline }, Thermostat.Model, [])
+		.then(() => assert.fail("Should have failed"))
+		.catch(e => assert.equal(e.message, "'CH' has no sensors"))
+		.then(() => DataModel.remodel(
+			"CH", { id: "A", aggregate: "mode", timeline: timeline },
+			Thermostat.Model, []))
+		.then(() => assert.fail("Should have failed"))
+		.catch(e => assert.equal(
+			e.message, "'CH' unknown aggregate 'mode'"))
+		.then(() => DataModel.remodel(
+			"CH", { id: "A", filter: { smooth: "mode" }, timeline: timeline },
+			Thermostat.Model, []))
+		.then(() => assert.fail("Should have failed"))
+		.catch(e => assert.equal(
+			e.message, "'CH' unknown smoothing 'mode'"));
+	});
+
 	tr.run();
 });
@@ -0,0 +1,209 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+let requirejs = require('requirejs');
+requirejs.config({
+	baseUrl: "../.."
+});
+
+requirejs(["test/TestRunner", "common/js/DataModel"], function(TestRunner, DataModel) {
+	let tr = new TestRunner("Topology");
+	let assert = tr.assert;
+
+	const model = {
+		topology: { $instantiable: true }
+	};
+
+	// Minimal stand-in for a Controller, with pins that record the
+	// order they were switched in, and which switches were brief
+	function fakeController(names) {
+		let controller = { pin: {}, valve_return: 10, switched: [], brief: [] };
+		for (let name of names) {
+			controller.pin[name] = {
+				state: 0,
+				getState: function() {
+					return Promise.resolve(this.state);
+				},
+				setState: function(state, transient) {
+					this.state = state;
+					controller.switched.push(`${name}=${state}`);
+					if (transient)
+						controller.brief.push(`${name}=${state}`);
+					return Promise.resolve();
+				}
+			};
+		}
+		return controller;
+	}
+
+	function makeTopology(config) {
+		return DataModel.remodel("", { topology: config }, model)
+		.then(cfg => cfg.topology);
+	}
+
+	tr.addTest("YPlan", () => {
+		let controller = fakeController([ "HW", "CH" ]);
+		let topology;
+		return makeTopology({ $instance_of: "server/js/YPlan" })
+		.then(t => {
+			topology = t;
+			return topology.reset(controller);
+		})
+		.then(() => {
+			assert.deepEqual(controller.switched, [ "HW=1", "CH=0", "HW=0" ]);
+			assert.deepEqual(controller.brief, [ "HW=1", "HW=0" ]);
+			controller.switched = [];
+			controller.brief = [];
+			assert.equal(topology.getPin(controller, "CH"), controller.pin.CH);
+			return topology.setState(controller, "CH", 1);
+		})
+		.then(() => {
+			assert.deepEqual(controller.switched, [ "CH=1" ]);
+			controller.switched = [];
+			// CH going off while HW is off stalls the valve motor, so
+			// HW is pulsed to let the spring return. The HW request
+			// has to wait for that to finish.
+			return Promise.all([
+				topology.setState(controller, "CH", 0),
+				topology.setState(controller, "HW", 1)
+			]);
+		})
+		.then(() => {
+			assert.deepEqual(controller.switched,
+							 [ "CH=0", "HW=1", "HW=0", "HW=1" ]);
+			// Only the spring return pulse is brief, so it doesn't
+			// count against the HW minimum on and off times
+			assert.deepEqual(controller.brief, [ "HW=1", "HW=0" ]);
+			return topology.getChanges(controller, "CH", 1);
+		})
+		.then(changes => assert.deepEqual(changes, [
+			{ pin: controller.pin.CH, state: 1 } ]));
+	});
+
+	tr.addTest("YPlan renamed pins", () => {
+		let controller = fakeController([ "water", "heat" ]);
+		return makeTopology({
+			$instance_of: "server/js/YPlan", hw: "water", ch: "heat"
+		})
+		.then(topology => {
+			assert.equal(topology.getPin(controller, "HW"), controller.pin.water);
+			return topology.setState(controller, "CH", 1);
+		})
+		.then(() => assert.equal(controller.pin.heat.state, 1));
+	});
+
+	tr.addTest("YPlan missing pin", () => {
+		let controller = fakeController([ "HW" ]);
+		return makeTopology({ $instance_of: "server/js/YPlan" })
+		.then(topology => topology.reset(controller))
+		.then(() => assert.fail("Should have failed"))
+		.catch(e => assert.equal(
+			e.message, "YPlan topology needs a pin called 'CH'"));
+	});
+
+	tr.addTest("SPlan", () => {
+		let controller = fakeController([ "HW", "CH1", "CH2", "Boiler" ]);
+		let topology;
+		return makeTopology({
+			$instance_of: "server/js/SPlan",
+			zone: { HW: "HW", Upstairs: "CH1", Downstairs: "CH2" },
+			boiler: "Boiler",
+			valve_open: 10
+		})
+		.then(t => {
+			topology = t;
+			assert.equal(topology.getPin(controller, "Upstairs"),
+						 controller.pin.CH1);
+			assert.isUndefined(topology.getPin(controller, "CH"));
+			return topology.setState(controller, "Upstairs", 1);
+		})
+		.then(() => {
+			// Valve opens before the boiler fires
+			assert.deepEqual(controller.switched, [ "CH1=1", "Boiler=1" ]);
+			controller.switched = [];
+			return topology.setState(controller, "HW", 1);
+		})
+		.then(() => {
+			assert.deepEqual(controller.switched, [ "HW=1" ]);
+			controller.switched = [];
+			return Promise.all([
+				topology.setState(controller, "Upstairs", 0),
+				topology.setState(controller, "HW", 0)
+			]);
+		})
+		.then(() => {
+			// Boiler goes off before the last valve closes
+			assert.deepEqual(controller.switched,
+							 [ "CH1=0", "Boiler=0", "HW=0" ]);
+			return topology.setState(controller, "Kitchen", 1);
+		})
+		.then(() => assert.fail("Should have failed"))
+		.catch(e => assert.equal(e.message, "No zone valve for 'Kitchen'"));
+	});
+
+	tr.addTest("SPlan changes", () => {
+		let controller = fakeController([ "HW", "CH", "Boiler" ]);
+		let topology;
+		return makeTopology({
+			$instance_of: "server/js/SPlan",
+			zone: { HW: "HW", CH: "CH" },
+			boiler: "Boiler"
+		})
+		.then(t => {
+			topology = t;
+			return topology.getChanges(controller, "CH", 1);
+		})
+		.then(changes => {
+			// The boiler is switched as well as the valve
+			assert.deepEqual(changes, [
+				{ pin: controller.pin.CH, state: 1 },
+				{ pin: controller.pin.Boiler, state: 1 } ]);
+			controller.pin.CH.state = 1;
+			controller.pin.HW.state = 1;
+			controller.pin.Boiler.state = 1;
+			return topology.getChanges(controller, "CH", 0);
+		})
+		.then(changes => {
+			// The boiler stays on for HW
+			assert.deepEqual(changes, [ { pin: controller.pin.CH, state: 0 } ]);
+			controller.pin.HW.state = 0;
+			return topology.getChanges(controller, "CH", 0);
+		})
+		.then(changes => assert.deepEqual(changes, [
+			{ pin: controller.pin.CH, state: 0 },
+			{ pin: controller.pin.Boiler, state: 0 } ]))
+		.then(() => topology.getChanges(controller, "Kitchen", 1))
+		.then(changes => assert.deepEqual(changes, []));
+	});
+
+	tr.addTest("Combi", () => {
+		let controller = fakeController([ "CH" ]);
+		let topology;
+		return makeTopology({ $instance_of: "server/js/Combi" })
+		.then(t => {
+			topology = t;
+			assert.isUndefined(topology.getPin(controller, "HW"));
+			return topology.setState(controller, "CH", 1);
+		})
+		.then(() => {
+			assert.equal(controller.pin.CH.state, 1);
+			return topology.reset(controller);
+		})
+		.then(() => assert.equal(controller.pin.CH.state, 0));
+	});
+
+	tr.addTest("serialise", () => {
+		let config = {
+			$instance_of: "server/js/SPlan",
+			zone: { HW: "HW", CH: "CH" },
+			boiler: "Boiler",
+			valve_open: 30000
+		};
+		return makeTopology(config)
+		.then(topology => DataModel.getSerialisable({ topology: topology }, model))
+		.then(s => assert.deepEqual(s.topology, config));
+	});
+
+	tr.run();
+});
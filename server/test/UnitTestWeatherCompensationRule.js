@@ -0,0 +1,145 @@
+/*@preserve Copyright (C) 2021 Crawford Currie http://c-dot.co.uk license MIT*/
+
+/*eslint-env node */
+
+let requirejs = require('requirejs');
+requirejs.config({
+	baseUrl: "../.."
+});
+
+requirejs(["test/TestRunner", "common/js/DataModel", "server/js/WeatherCompensationRule"], function(TestRunner, DataModel, WeatherCompensationRule) {
+	let tr = new TestRunner("WeatherCompensationRule");
+	let assert = tr.assert;
+
+	const config = {
+		curve: [
+			{ outside: 10, offset: 0, hysteresis: 1 },
+			{ outside: 0, offset: 2, hysteresis: 0.2 }
+		],
+		wind_chill: 0.5,
+		lookahead: 3600000
+	};
+
+	// Minimal stand-in for a Controller. weather is { now, later, wind }
+	function fakeController(temperature, weather) {
+		let controller = {
+			thermostat: {
+				CH: {
+					temperature: temperature,
+					requests: [],
+					getTargetTemperature: () => 18,
+					getMaximumTemperature: () => 25
+				}
+			},
+			weather: {},
+			decide: (rule, pin, state, reason, inputs) => {
+				assert.equal(pin, "CH");
+				controller.decision = {
+					state: state, reason: reason, inputs: inputs
+				};
+				return Promise.resolve();
+			}
+		};
+		if (weather)
+			controller.weather.Test = {
+				covers: time => typeof (typeof time === "undefined"
+										 ? weather.now : weather.later) === "number",
+				get: (what, time) => {
+					if (what === "Wind Speed")
+						return weather.wind;
+					assert.equal(what, "Temperature");
+					return typeof time === "undefined"
+						? weather.now : weather.later;
+				}
+			};
+		return controller;
+	}
+
+	function makeRule(cfg) {
+		return DataModel.remodel(
+			"rule", cfg || config, WeatherCompensationRule.Model);
+	}
+
+	tr.addTest("curve", () => {
+		return makeRule()
+		.then(rule => {
+			// Sorted by outside temperature
+			assert.equal(rule.curve[0].outside, 0);
+			assert.deepEqual(rule.compensate(-10), { offset: 2, hysteresis: 0.2 });
+			assert.deepEqual(rule.compensate(20), { offset: 0, hysteresis: 1 });
+			let c = rule.compensate(5);
+			assert.closeTo(c.offset, 1, 0.0001);
+			assert.closeTo(c.hysteresis, 0.6, 0.0001);
+		});
+	});
+
+	tr.addTest("outside", () => {
+		return makeRule()
+		.then(rule => {
+			// Average of now and forecast, less wind chill
+			assert.closeTo(rule.getOutside(
+				fakeController(18, { now: 4, later: 8, wind: 4 })), 4, 0.0001);
+			// No forecast
+			assert.closeTo(rule.getOutside(
+				fakeController(18, { now: 4 })), 4, 0.0001);
+			assert.isUndefined(rule.getOutside(fakeController(18)));
+			assert.isUndefined(rule.getOutside(fakeController(18, {})));
+		});
+	});
+
+	tr.addTest("cold", () => {
+		// 0 outside, target is raised to 20 and hysteresis is 0.2, so
+		// 19.5 is too cold
+		let controller = fakeController(19.5, { now: 0, later: 0, wind: 0 });
+		return makeRule()
+		.then(rule => rule.test(controller)
+			  .then(() => rule.getSerialisableState()))
+		.then(state => {
+			assert.equal(controller.decision.state, 1);
+			assert.equal(controller.decision.reason, "Too cold");
+			assert.equal(controller.decision.inputs.compensation.offset, 2);
+			assert.equal(state.outside, 0);
+		});
+	});
+
+	tr.addTest("mild", () => {
+		// 10 outside, so 17.5 is close enough to 18
+		let controller = fakeController(17.5, { now: 10, later: 10, wind: 0 });
+		return makeRule()
+		.then(rule => rule.test(controller))
+		.then(() => {
+			assert.isUndefined(controller.decision.state);
+			assert.equal(controller.decision.reason, "Close to target");
+		});
+	});
+
+	tr.addTest("no weather", () => {
+		// Behaves like CentralHeatingRule
+		let controller = fakeController(17.4);
+		return makeRule()
+		.then(rule => rule.test(controller))
+		.then(() => {
+			assert.equal(controller.decision.state, 1);
+			assert.equal(controller.decision.inputs.compensation.offset, 0);
+		});
+	});
+
+	tr.addTest("requests", () => {
+		// Requests are not compensated
+		let controller = fakeController(18.5, { now: 0, later: 0, wind: 0 });
+		controller.thermostat.CH.requests.push({ source: "test", target: 18 });
+		return makeRule()
+		.then(rule => rule.test(controller))
+		.then(() => assert.equal(controller.decision.reason, "Warm enough"));
+	});
+
+	tr.addTest("default curve", () => {
+		return makeRule({})
+		.then(rule => {
+			assert.equal(rule.curve.length, 3);
+			assert.equal(rule.lookahead, 3 * 3600000);
+		});
+	});
+
+	tr.run();
+});
@@ -78,7 +78,7 @@ if (ASYNC) {
 	.then(ids => {
 		console.log("Sensors ", ids);
 		Promise.all(ids.map(id => {
-			let sensor = new DS18x20(id);
+			let sensor = new DS18x20({}, id);
 			lastKnownGood[sensor.id] = Date.now();
 			longestWait[sensor.id] = 0;
 			return sensor.initialiseSensor();